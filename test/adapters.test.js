@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const VOTAX = require('../votax.js');
+
+test('registered adapters can be chosen per store or per call', () => {
+    const memory = VOTAX.Persistence.adapters.memory();
+    const store = VOTAX.createStore();
+    store.Persistence.registerAdapter('mine', memory);
+    store.CRUD.add('s', { n: 1 });
+    store.Persistence.saveLocal('s', { adapter: 'mine' });
+    assert.deepEqual(memory.list('votax:'), ['votax:s']);
+    const reader = VOTAX.createStore({ adapter: memory });
+    reader.Persistence.loadLocal('s');
+    assert.deepEqual(reader.CRUD.getAll('s'), store.CRUD.getAll('s'));
+});
+
+test('async adapters return promises', async () => {
+    const data = new Map();
+    const later = value => new Promise(resolve => setTimeout(() => resolve(value), 1));
+    const adapter = {
+        get: key => later(data.get(key)),
+        set: (key, value) => later(data.set(key, value)),
+        delete: key => later(data.delete(key)),
+        list: prefix => later([...data.keys()].filter(k => k.startsWith(prefix)))
+    };
+    const store = VOTAX.createStore({ adapter });
+    store.CRUD.add('a', { n: 1 });
+    store.CRUD.add('b', { n: 2 });
+    assert.equal(await store.Persistence.saveAllLocal(), true);
+    const reader = VOTAX.createStore({ adapter });
+    assert.equal(await reader.Persistence.loadAllLocal(), 2);
+    assert.deepEqual([reader.CRUD.getAll('a').length, reader.CRUD.getAll('b').length], [1, 1]);
+});
+
+test('the JSON file adapter persists to disk', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'votax-')), 'data.json');
+    try {
+        const store = VOTAX.createStore({ adapter: VOTAX.Persistence.adapters.jsonFile(file) });
+        store.CRUD.add('s', { n: 1 });
+        store.Persistence.saveLocal('s');
+        const reader = VOTAX.createStore({ adapter: VOTAX.Persistence.adapters.jsonFile(file) });
+        reader.Persistence.loadLocal('s');
+        assert.equal(reader.CRUD.getAll('s')[0].n, 1);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
+
+test('loadAllLocal only loads this store\'s modules', () => {
+    const shared = VOTAX.Persistence.adapters.memory();
+    const main = VOTAX.createStore({ adapter: shared });
+    const widget = VOTAX.createStore({ name: 'widget', adapter: shared });
+    widget.CRUD.add('notes', { t: 1 });
+    widget.Persistence.saveAllLocal();
+    main.CRUD.add('students', { n: 1 });
+    main.Persistence.saveAllLocal();
+
+    const main2 = VOTAX.createStore({ adapter: shared });
+    assert.equal(main2.Persistence.loadAllLocal(), 1);
+    assert.deepEqual(Object.keys(main2.CRUD._store), ['students']);
+    const widget2 = VOTAX.createStore({ name: 'widget', adapter: shared });
+    assert.equal(widget2.Persistence.loadAllLocal(), 1);
+    assert.deepEqual(Object.keys(widget2.CRUD._store), ['notes']);
+    // an explicit prefix reads another store's keys
+    const main3 = VOTAX.createStore({ adapter: shared });
+    assert.equal(main3.Persistence.loadAllLocal('votax:widget:'), 1);
+    assert.deepEqual(Object.keys(main3.CRUD._store), ['notes']);
+});
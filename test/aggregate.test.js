@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const school = () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo');
+    [['Amy', 18, 'A', ['x']], ['Bo', 22, 'A', ['x', 'y']], ['Cy', 30, 'B', []], ['Di', 16, 'B', ['y']]]
+        .forEach(([name, age, grade, tags]) => store.CRUD.add('students', { id: name, name, age, grade, tags }));
+    [['Amy', 'open'], ['Amy', 'done'], ['Bo', 'open']]
+        .forEach(([assignedTo, status]) => store.CRUD.add('tasks', { assignedTo, status }));
+    return store;
+};
+
+test('match, group with accumulators and sort', () => {
+    const store = school();
+    const rows = store.CRUD.aggregate('students', [
+        { match: { field: 'age', op: 'gte', value: 18 } },
+        { group: { by: 'grade', avgAge: { avg: 'age' }, n: { count: true }, names: { distinct: 'name' } } },
+        { sort: '-avgAge' }
+    ]);
+    assert.deepEqual(rows, [
+        { grade: 'B', avgAge: 30, n: 1, names: ['Cy'] },
+        { grade: 'A', avgAge: 20, n: 2, names: ['Amy', 'Bo'] }
+    ]);
+});
+
+test('unwind then group counts array members', () => {
+    const store = school();
+    const rows = store.CRUD.aggregate('students', [{ unwind: 'tags' }, { group: { by: 'tags', n: { count: true } } }, { sort: 'tags' }]);
+    assert.deepEqual(rows, [{ tags: 'x', n: 2 }, { tags: 'y', n: 2 }]);
+});
+
+test('join embeds related records and select projects', () => {
+    const store = school();
+    const rows = store.CRUD.aggregate('students', [
+        { join: { module: 'tasks', as: 'open', filter: { status: 'open' } } },
+        { match: { name: 'Amy' } },
+        { select: ['name', 'open'] }
+    ]);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(rows[0].open.map(t => t.status), ['open']);
+});
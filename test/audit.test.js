@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const logged = store => store.Audit.query().map(({ type, cause, id, diff, source }) => ({ type, cause, id, diff, source }));
+
+test('writes are logged with actor, source and field diffs', () => {
+    const store = VOTAX.createStore();
+    store.Audit.enable();
+    store.setActor('u1');
+    const a = store.CRUD.add('s', { id: 'a', grade: 'B', address: { zip: '1' } });
+    store.CRUD.update('s', a.id, { grade: 'A', address: { zip: '2' } });
+    store.Audit.withSource('remote', () => store.CRUD.remove('s', a.id));
+    const [, update, remove] = store.Audit.query({ module: 's', id: 'a' });
+    assert.deepEqual(update.diff, [{ path: 'grade', from: 'B', to: 'A' }, { path: 'address.zip', from: '1', to: '2' }]);
+    assert.deepEqual([update.actor, remove.type, remove.source], ['u1', 'remove', 'remote']);
+    assert.equal(store.Audit.query({ actor: 'u1', type: 'update' }).length, 1);
+});
+
+test('undo, redo and restore are logged with their diffs', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('s', { id: 'a', n: 1 });
+    const snap = store.snapshot();
+    store.Audit.enable();
+    store.CRUD.update('s', 'a', { n: 2 });
+    store.CRUD.undo();
+    store.CRUD.redo();
+    store.CRUD.add('s', { id: 'b', n: 3 });
+    store.restore(snap);
+    assert.deepEqual(logged(store).slice(1).map(e => [e.type, e.cause, e.id, e.diff && e.diff.filter(d => d.path === 'n')]), [
+        ['update', 'undo', 'a', [{ path: 'n', from: 2, to: 1 }]],
+        ['update', 'redo', 'a', [{ path: 'n', from: 1, to: 2 }]],
+        ['add', undefined, 'b', [{ path: 'n', to: 3 }]],
+        ['update', 'restore', 'a', [{ path: 'n', from: 2, to: 1 }]],
+        ['remove', 'restore', 'b', [{ path: 'n', from: 3 }]]
+    ]);
+    assert.equal(store.Audit.query({ type: 'update' }).filter(e => e.source === 'restore').length, 1);
+});
+
+test('snapshots restore modules, counters and relations', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo');
+    store.CRUD.add('students', { name: 'Amy' });
+    const snap = JSON.parse(JSON.stringify(store.snapshot()));
+    store.CRUD.add('students', { name: 'Bo' });
+    store.restore(snap);
+    assert.deepEqual(store.CRUD.getAll('students').map(s => s.name), ['Amy']);
+    assert.equal(store.CRUD.canUndo(), false);
+    assert.equal(store.CRUD._relations.students.tasks.length, 1);
+    assert.equal(store.CRUD.add('students', { name: 'Cy' }).code, 'STU-0002');
+});
+
+test('the persisted log stays out of loadAllLocal', () => {
+    const memory = VOTAX.Persistence.adapters.memory();
+    const store = VOTAX.createStore({ adapter: memory });
+    store.Audit.enable({ persist: true });
+    store.CRUD.add('students', { n: 1 });
+    store.Persistence.saveAllLocal();
+    store.Audit.save();
+    assert.ok(memory.list('votax:').includes('votax:__audit'));
+    const reader = VOTAX.createStore({ adapter: memory });
+    assert.equal(reader.Persistence.loadAllLocal(), 1);
+    assert.deepEqual(Object.keys(reader.CRUD._store), ['students']);
+    assert.equal(reader.Audit.load(), true);
+    assert.equal(reader.Audit.query()[0].type, 'add');
+    store.Audit.disable();
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const school = () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo', { name: 'tasks' });
+    store.CRUD.add('students', { id: 'amy', first: 'Amy', last: 'Ash' });
+    store.CRUD.add('students', { id: 'bo', first: 'Bo', last: 'Birch' });
+    store.CRUD.add('tasks', { assignedTo: 'bo' });
+    return store;
+};
+
+test('cached values are dropped only when a dependency changes', () => {
+    const store = school();
+    let runs = 0;
+    store.CRUD.registerComputed('students', 'taskCount', (s, ctx) => { runs++; return ctx.related('tasks').length; });
+    assert.equal(store.CRUD.compute('students', 'bo', 'taskCount'), 1);
+    store.CRUD.compute('students', 'bo', 'taskCount');
+    store.CRUD.add('courses', { name: 'math' });
+    assert.equal(store.CRUD.compute('students', 'bo', 'taskCount'), 1);
+    assert.equal(runs, 1);
+    store.CRUD.add('tasks', { assignedTo: 'bo' });
+    assert.equal(store.CRUD.compute('students', 'bo', 'taskCount'), 2);
+    assert.equal(runs, 2);
+});
+
+test('computed fields can be included, filtered and sorted on', () => {
+    const store = school();
+    store.CRUD.registerComputed('students', 'fullName', s => s.first + ' ' + s.last, { cache: true });
+    store.CRUD.registerComputed('students', 'taskCount', (s, ctx) => ctx.related('tasks').length);
+    assert.deepEqual(store.CRUD.get('students', 'amy', { withComputed: ['fullName'] }).fullName, 'Amy Ash');
+    assert.equal(store.CRUD.get('students', 'amy').fullName, undefined);
+    const busy = store.CRUD.query('students', { field: 'taskCount', op: 'gte', value: 1 }, { withComputed: true });
+    assert.deepEqual(busy.map(s => [s.id, s.taskCount]), [['bo', 1]]);
+    assert.deepEqual(store.CRUD.query('students', {}, { sort: '-taskCount' }).map(s => s.id), ['bo', 'amy']);
+    store.CRUD.update('students', 'amy', { last: 'Oak' });
+    assert.equal(store.CRUD.compute('students', 'amy', 'fullName'), 'Amy Oak');
+});
+
+test('computed fields without ctx are not served stale', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo');
+    const s = store.CRUD.add('students', { name: 'A' });
+    store.CRUD.registerComputed('students', 'direct', st => store.CRUD.getRelated('students', st.id, 'tasks').length);
+    store.CRUD.registerComputed('students', 'tracked', (st, ctx) => ctx.related('tasks').length);
+    assert.deepEqual(store.CRUD.computeItem('students', s.id), { direct: 0, tracked: 0 });
+    store.CRUD.add('tasks', { assignedTo: s.id });
+    assert.deepEqual(store.CRUD.computeItem('students', s.id), { direct: 1, tracked: 1 });
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const students = () => {
+    const store = VOTAX.createStore();
+    store.Validation.registerSchema('s', { name: { required: true }, age: { type: 'number' }, tags: { type: 'array' } });
+    return store;
+};
+
+async function* chunks(text, size) {
+    for(let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+}
+
+test('CSV round-trips with quoting, nested columns and arrays', () => {
+    const store = students();
+    store.CRUD.add('s', { id: 'a', name: 'Lee, "Amy"', age: 21, tags: ['x', 'y'], address: { zip: '01234' } });
+    const csv = store.Persistence.exportCSV('s', { fields: ['id', 'name', 'age', 'tags', 'address.zip'] });
+    assert.equal(csv, 'id,name,age,tags,address.zip\r\na,"Lee, ""Amy""",21,x|y,01234');
+    const reader = students();
+    const report = reader.Persistence.importCSV('s', csv);
+    assert.deepEqual(report.inserted, ['a']);
+    const { name, age, tags, address } = reader.CRUD.get('s', 'a');
+    assert.deepEqual({ name, age, tags, address }, { name: 'Lee, "Amy"', age: 21, tags: ['x', 'y'], address: { zip: '01234' } });
+});
+
+test('CSV imports map headers and report invalid rows', () => {
+    const store = students();
+    const report = store.Persistence.importCSV('s', 'Full name,Age,Notes\nAmy,21,hi\n,22,\nBo,x,');
+    assert.equal(report.inserted.length, 0);
+    const mapped = store.Persistence.importCSV('s', 'Full name,Age,Notes\nAmy,21,hi\n,22,\nBo,23,', { mapping: { 'Full name': 'name', 'Age': 'age', 'Notes': null } });
+    assert.equal(mapped.rows, 3);
+    assert.deepEqual(mapped.invalid.map(r => r.row), [3]);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => [s.name, s.age, s.Notes]), [['Amy', 21, undefined], ['Bo', 23, undefined]]);
+});
+
+test('NDJSON text imports report bad lines', () => {
+    const store = students();
+    const report = store.Persistence.importNDJSON('s', '{"id":"a","name":"Amy"}\n{oops\n\n{"id":"b"}\n');
+    assert.deepEqual(report.inserted, ['a']);
+    assert.deepEqual(report.invalid.map(r => r.row), [2, 4]);
+    assert.equal(report.rows, 3);
+});
+
+test('streamed replace clears once and keeps every batch', async () => {
+    const store = students();
+    store.CRUD.add('s', { id: 'old', name: 'Old' });
+    const lines = Array.from({ length: 7 }, (_, i) => JSON.stringify({ id: `r${i}`, name: `N${i}` }));
+    // the last batch is exactly full and the dump ends with a newline
+    const report = await store.Persistence.importNDJSON('s', chunks(lines.join('\n') + '\n', 10), { mode: 'replace', batchSize: 7 });
+    assert.equal(report.inserted.length, 7);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.id), lines.map((_, i) => `r${i}`));
+
+    await store.Persistence.importNDJSON('s', chunks(lines.join('\n'), 3), { mode: 'replace', batchSize: 2 });
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.id), lines.map((_, i) => `r${i}`));
+
+    await store.Persistence.importNDJSON('s', chunks('', 1), { mode: 'replace' });
+    assert.equal(store.CRUD.getAll('s').length, 0);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('wrong passphrases fail through onError and exports stay encrypted', async () => {
+    const memory = VOTAX.Persistence.adapters.memory();
+    const store = VOTAX.createStore({ adapter: memory });
+    await store.Persistence.setEncryption('pw1', { iterations: 1000 });
+    store.CRUD.add('s', { secret: 'Amy' });
+    await store.Persistence.saveLocal('s');
+    const json = await store.Persistence.exportJSON();
+    assert.ok(!json.includes('Amy'));
+
+    const reader = VOTAX.createStore({ adapter: memory });
+    await reader.Persistence.setEncryption('nope', { iterations: 1000 });
+    const errors = [];
+    reader.Persistence.onError(e => errors.push(e.error.message));
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(await reader.Persistence.loadLocal('s'), false);
+    } finally {
+        console.error = error;
+    }
+    assert.match(errors[0], /wrong passphrase/);
+    await reader.Persistence.importJSON(json, { passphrase: 'pw1' });
+    assert.equal(reader.CRUD.getAll('s')[0].secret, 'Amy');
+});
+
+test('encryption round-trips and key rotation leaves other stores alone', async () => {
+    const shared = VOTAX.Persistence.adapters.memory();
+    const widget = VOTAX.createStore({ name: 'widget', adapter: shared });
+    widget.CRUD.add('notes', { t: 1 });
+    widget.Persistence.saveAllLocal();
+
+    const main = VOTAX.createStore({ adapter: shared });
+    await main.Persistence.setEncryption('pw1', { iterations: 1000 });
+    main.CRUD.add('students', { name: 'Amy' });
+    await main.Persistence.saveAllLocal();
+    assert.ok(!JSON.stringify(shared.get('votax:students')).includes('Amy'));
+
+    assert.deepEqual(await main.Persistence.rotateKey('pw2'), { keys: 1, records: 0 });
+    const reader = VOTAX.createStore({ adapter: shared });
+    await reader.Persistence.setEncryption('pw2', { iterations: 1000 });
+    await reader.Persistence.loadLocal('students');
+    assert.equal(reader.CRUD.getAll('students')[0].name, 'Amy');
+
+    const widget2 = VOTAX.createStore({ name: 'widget', adapter: shared });
+    assert.equal(widget2.Persistence.loadLocal('notes').inserted.length, 1);
+});
+
+test('a failed key rotation restores the stored payloads', async () => {
+    const memory = VOTAX.Persistence.adapters.memory();
+    let failing = false;
+    const adapter = {
+        get: key => memory.get(key),
+        list: prefix => memory.list(prefix),
+        delete: key => memory.delete(key),
+        set: (key, value) => {
+            if(failing) { failing = false; throw new Error('disk full'); }
+            return memory.set(key, value);
+        }
+    };
+    const store = VOTAX.createStore({ adapter });
+    await store.Persistence.setEncryption('pw1', { iterations: 1000 });
+    store.CRUD.add('a', { n: 1 });
+    store.CRUD.add('b', { n: 2 });
+    await store.Persistence.saveAllLocal();
+    const before = JSON.stringify(memory.list('votax:').map(k => memory.get(k)));
+    failing = true;
+    await assert.rejects(store.Persistence.rotateKey('pw2'), /disk full/);
+    assert.equal(JSON.stringify(memory.list('votax:').map(k => memory.get(k))), before);
+    const reader = VOTAX.createStore({ adapter: memory });
+    await reader.Persistence.setEncryption('pw1', { iterations: 1000 });
+    assert.equal(await reader.Persistence.loadAllLocal(), 2);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('before hooks can cancel or replace the payload', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.on('s', 'before:add', item => item.name ? { ...item, name: item.name.trim() } : false);
+    store.CRUD.on('s', 'before:update', ({ after }) => { after.touched = true; });
+    assert.equal(store.CRUD.add('s', {}), null);
+    const amy = store.CRUD.add('s', { name: ' Amy ' });
+    assert.equal(amy.name, 'Amy');
+    assert.equal(store.CRUD.update('s', amy.id, { name: 'Amy B' }).touched, true);
+    assert.equal(store.CRUD.getAll('s').length, 1);
+});
+
+test('wildcards, priority, once and off', () => {
+    const store = VOTAX.createStore();
+    const calls = [];
+    const off = store.CRUD.on('*', 'after:*', (payload, { module, event }) => calls.push(`${module} ${event}`));
+    store.CRUD.on('s', 'before:add', () => calls.push('low'));
+    store.CRUD.on('s', 'before:add', () => calls.push('high'), { priority: 10 });
+    store.CRUD.once('s', 'after:add', () => calls.push('once'));
+    const a = store.CRUD.add('s', {});
+    store.CRUD.off('s', 'before:add');
+    off();
+    store.CRUD.remove('s', a.id);
+    assert.deepEqual(calls, ['high', 'low', 's after:add', 'once']);
+});
+
+test('async hooks need the *Async methods', async () => {
+    const store = VOTAX.createStore();
+    store.CRUD.on('u', 'before:add', async user => user.email !== 'taken');
+    assert.throws(() => store.CRUD.add('u', { email: 'a' }));
+    assert.equal(await store.CRUD.addAsync('u', { email: 'taken' }), null);
+    const user = await store.CRUD.addAsync('u', { email: 'a' });
+    assert.equal((await store.CRUD.updateAsync('u', user.id, { name: 'A' })).name, 'A');
+    await store.CRUD.removeAsync('u', user.id);
+    assert.equal(store.CRUD.getAll('u').length, 0);
+});
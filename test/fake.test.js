@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const school = () => {
+    const store = VOTAX.createStore();
+    store.Validation.registerSchema('students', {
+        name: { required: true, minLength: 2 },
+        email: { type: 'string', unique: true },
+        age: { type: 'number', min: 18, max: 30 },
+        status: { type: 'enum', enum: ['active', 'alumni'] },
+        joined: { type: 'date', min: '2019-01-01', max: '2019-12-31' },
+        zip: { type: 'string', pattern: /^\d{5}$/ }
+    });
+    store.Validation.setupHooks('students');
+    store.Validation.registerSchema('tasks', { title: { required: true }, assignedTo: { required: true } });
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo', { enforce: true });
+    store.CRUD.seed('students', 10, undefined, { seed: 42 });
+    store.CRUD.seed('tasks', 20, undefined, { seed: 42 });
+    return store;
+};
+
+test('seeding from a schema gives valid, reproducible records', () => {
+    const a = school(), b = school();
+    const students = a.CRUD.getAll('students');
+    assert.equal(students.length, 10);
+    students.forEach(s => assert.deepEqual(a.Validation.validate('students', s).errors, []));
+    assert.equal(new Set(students.map(s => s.email)).size, 10);
+    assert.equal(JSON.stringify(students), JSON.stringify(b.CRUD.getAll('students')));
+    assert.equal(JSON.stringify(a.CRUD.getAll('tasks')), JSON.stringify(b.CRUD.getAll('tasks')));
+});
+
+test('seeded foreign keys point at existing records', () => {
+    const store = school();
+    const ids = new Set(store.CRUD.getAll('students').map(s => s.id));
+    assert.ok(store.CRUD.getAll('tasks').every(t => ids.has(t.assignedTo)));
+});
+
+test('seeded samples and fakers repeat', () => {
+    const store = school();
+    assert.deepEqual(store.CRUD.sample('students', 3, { seed: 7 }), store.CRUD.sample('students', 3, { seed: 7 }));
+    store.Validation.registerSchema('ev', { when: { type: 'date' } });
+    assert.equal(store.Fake.item('ev', {}, { seed: 5 }).when, store.Fake.item('ev', {}, { seed: 5 }).when);
+    assert.match(store.Fake.create(1).pattern(/^[A-Z]{3}-\d{4}$/), /^[A-Z]{3}-\d{4}$/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const names = store => store.CRUD.getAll('s').map(s => s.name);
+
+test('redo replays undone writes until a new write', () => {
+    const store = VOTAX.createStore();
+    const a = store.CRUD.add('s', { name: 'a' });
+    store.CRUD.update('s', a.id, { name: 'b' });
+    store.CRUD.undo();
+    assert.deepEqual(names(store), ['a']);
+    assert.ok(store.CRUD.canRedo());
+    store.CRUD.redo();
+    assert.deepEqual(names(store), ['b']);
+    store.CRUD.undo();
+    store.CRUD.add('s', { name: 'c' });
+    assert.equal(store.CRUD.canRedo(), false);
+});
+
+test('history can be browsed, labelled and jumped through', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('s', { name: 'a' }, { label: 'Add a' });
+    store.CRUD.add('s', { name: 'b' });
+    store.CRUD.history.label('Add b');
+    assert.deepEqual(store.CRUD.history.list().map(h => [h.index, h.label, h.applied]), [[1, 'Add a', true], [2, 'Add b', true]]);
+    store.CRUD.history.goto(0);
+    assert.deepEqual(names(store), []);
+    store.CRUD.history.goto(1);
+    assert.deepEqual(names(store), ['a']);
+});
+
+test('history depth is bounded and can be turned off per module', () => {
+    const store = VOTAX.createStore({ historyLimit: 2 });
+    ['a', 'b', 'c'].forEach(name => store.CRUD.add('s', { name }));
+    assert.equal(store.CRUD.history.list().length, 2);
+    store.CRUD.configure('logs', { history: false });
+    store.CRUD.add('logs', {});
+    assert.equal(store.CRUD.history.list().length, 2);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('id strategies', () => {
+    const store = VOTAX.createStore();
+    const formats = { uuid4: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/, uuid7: /^[0-9a-f]{8}-[0-9a-f]{4}-7/, ulid: /^[0-9A-HJKMNP-TV-Z]{26}$/, nanoid: /^[\w-]{21}$/ };
+    Object.keys(formats).forEach(idStrategy => {
+        store.CRUD.configure(idStrategy, { idStrategy });
+        assert.match(store.CRUD.add(idStrategy, {}).id, formats[idStrategy]);
+    });
+    store.CRUD.configure('tickets', { idStrategy: (item, module) => `${module}-${item.slug}` });
+    assert.equal(store.CRUD.add('tickets', { slug: 'x' }).id, 'tickets-x');
+});
+
+test('ids are unique', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.configure('cf', { idStrategy: () => 'fixed' });
+    store.CRUD.add('cf', {});
+    assert.throws(() => store.CRUD.add('cf', {}), /unique id/);
+    store.CRUD.add('x', { id: 'a' });
+    assert.throws(() => store.CRUD.add('x', { id: 'a' }), /already has an item with id a/);
+    const seeded = store.CRUD.seed('p', 2, {}, { seed: 1 }).concat(store.CRUD.seed('q', 2, {}, { seed: 1 }));
+    assert.equal(new Set(seeded.map(i => i.id)).size, 4);
+});
+
+test('code templates, prefixes and sequences', () => {
+    const store = VOTAX.createStore({ adapter: 'memory' });
+    store.CRUD.configure('invoices', { prefix: 'INV', code: '{PREFIX}-{seq:5}' });
+    assert.equal(store.CRUD.add('invoices', {}).code, 'INV-00001');
+    store.CRUD.add('invoices', { code: 'INV-00002' });
+    assert.equal(store.CRUD.add('invoices', {}).code, 'INV-00003');
+    assert.throws(() => store.CRUD.add('invoices', { code: 'INV-00003' }), /already has an item with code INV-00003/);
+    store.CRUD.setSequence('invoices', 1000);
+    assert.equal(store.CRUD.add('invoices', {}).code, 'INV-01001');
+
+    const [a, b] = ['students', 'studios'].map(m => store.CRUD.add(m, {}).code.split('-')[0]);
+    assert.notEqual(a, b);
+
+    store.Persistence.saveLocal('invoices');
+    store.CRUD.setSequence('invoices', 0);
+    store.Persistence.loadLocal('invoices');
+    assert.equal(store.CRUD.getSequence('invoices'), 1001);
+});
@@ -0,0 +1,37 @@
+require('fake-indexeddb/auto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('saveIDB and loadIDB round-trip one record per item', async () => {
+    const store = VOTAX.createStore({ name: 'idb-roundtrip' });
+    store.CRUD.add('s', { id: 'a', n: 1, tags: ['x'] });
+    store.CRUD.add('s', { id: 'b', n: 2 });
+    assert.equal(await store.Persistence.saveIDB('s'), true);
+    const reader = VOTAX.createStore({ name: 'idb-roundtrip' });
+    const report = await reader.Persistence.loadIDB('s');
+    assert.deepEqual(report.inserted, ['a', 'b']);
+    assert.deepEqual(reader.CRUD.getAll('s'), store.CRUD.getAll('s'));
+});
+
+test('autosave persists writes and undo', async () => {
+    const store = VOTAX.createStore({ name: 'idb-autosave' });
+    const stop = store.Persistence.autosave('*', { delay: 5 });
+    const a = store.CRUD.add('s', { n: 1 });
+    store.CRUD.add('s', { n: 2 });
+    store.CRUD.update('s', a.id, { n: 10 });
+    await store.Persistence.flush();
+    store.CRUD.undo();
+    await store.Persistence.flush();
+    await stop();
+    const reader = VOTAX.createStore({ name: 'idb-autosave' });
+    await reader.Persistence.loadIDB('s');
+    assert.deepEqual(reader.CRUD.getAll('s').map(s => s.n), [1, 2]);
+});
+
+test('named stores use their own database', async () => {
+    const a = VOTAX.createStore({ name: 'idb-a' });
+    a.CRUD.add('s', { n: 1 });
+    await a.Persistence.saveIDB('s');
+    assert.equal(await VOTAX.createStore({ name: 'idb-b' }).Persistence.loadIDB('s'), false);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const users = () => {
+    const store = VOTAX.createStore();
+    store.Performance.createIndex('u', 'email', { unique: true });
+    [1, 2, 3].forEach(n => store.CRUD.add('u', { n, email: `e${n}` }));
+    return store;
+};
+
+test('unique indexes reject duplicates on add and update', () => {
+    const store = users();
+    assert.throws(() => store.CRUD.add('u', { email: 'e1' }), /unique index violation/);
+    const e2 = store.CRUD.query('u', { email: 'e2' })[0];
+    assert.throws(() => store.CRUD.update('u', e2.id, { email: 'e3' }), /unique index violation/);
+    assert.equal(store.CRUD.update('u', e2.id, { email: 'e9' }).email, 'e9');
+});
+
+test('bulkUpdate checks the whole batch before writing', () => {
+    const store = users();
+    assert.throws(() => store.CRUD.bulkUpdate('u', r => r.n <= 2, { email: 'z' }), /unique index violation/);
+    assert.throws(() => store.CRUD.bulkUpdate('u', r => r.n <= 2, { email: 'e3' }), /unique index violation/);
+    assert.deepEqual(store.CRUD.getAll('u').map(r => r.email), ['e1', 'e2', 'e3']);
+    assert.deepEqual(Object.keys(store.Performance.buildIndex('u', 'email')), ['e1', 'e2', 'e3']);
+    assert.equal(store.CRUD.bulkUpdate('u', r => r.n === 1, { email: 'e1' }), 1);
+});
+
+test('indexed queries match unindexed ones, null and undefined included', () => {
+    const records = [{ g: 'a', n: 1 }, { g: null, n: 2 }, { n: 3 }, { g: 'b', n: 4 }, { g: 'a', n: 5 }];
+    const plain = VOTAX.createStore();
+    const indexed = VOTAX.createStore();
+    indexed.Performance.createIndex('r', 'g');
+    indexed.Performance.createIndex('r', 'n', { type: 'sorted' });
+    records.forEach(r => { plain.CRUD.add('r', r); indexed.CRUD.add('r', r); });
+    const ns = (store, filters) => store.CRUD.query('r', filters).map(r => r.n);
+    [
+        { g: 'a' }, { g: null }, { g: undefined }, { g: ['a', null] }, { g: ['b'] },
+        [{ field: 'g', op: 'eq', value: null }],
+        [{ field: 'n', op: 'between', value: [2, 4] }, { g: null }],
+        [{ field: 'n', op: 'gt', value: 1 }, { field: 'g', op: 'in', value: ['a', undefined] }]
+    ].forEach(filters => assert.deepEqual(ns(indexed, filters), ns(plain, filters), JSON.stringify(filters)));
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const saved = (records, extra = {}) => JSON.stringify(Object.assign({ modules: { s: records } }, extra));
+
+test('load modes: merge-by-id, replace and append', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('s', { id: 'a', n: 1 });
+    store.CRUD.add('s', { id: 'b', n: 2 });
+    const merged = store.Persistence.importJSON(saved([{ id: 'a', n: 10 }, { id: 'c', n: 3 }]), { mode: 'merge-by-id' }).s;
+    assert.deepEqual([merged.updated, merged.inserted], [['a'], ['c']]);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.n), [10, 2, 3]);
+
+    const appended = store.Persistence.importJSON(saved([{ id: 'a', n: 11 }]), { mode: 'append' }).s;
+    assert.equal(appended.inserted.length, 1);
+    assert.notEqual(appended.inserted[0], 'a');
+    assert.equal(store.CRUD.getAll('s').length, 4);
+
+    store.Persistence.importJSON(saved([{ id: 'z', n: 0 }]), { mode: 'replace' });
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.id), ['z']);
+});
+
+test('loading twice does not duplicate records', () => {
+    const store = VOTAX.createStore({ adapter: 'memory' });
+    store.CRUD.add('s', { n: 1 });
+    store.Persistence.saveLocal('s');
+    store.Persistence.loadLocal('s');
+    store.Persistence.loadLocal('s');
+    assert.equal(store.CRUD.getAll('s').length, 1);
+});
+
+test('loads enforce unique indexes within the batch', () => {
+    const store = VOTAX.createStore();
+    store.Performance.createIndex('s', 'email', { unique: true });
+    store.CRUD.add('s', { id: 'a', email: 'x' });
+    const report = store.Persistence.importJSON(saved([{ id: 'b', email: 'e' }, { id: 'c', email: 'e' }]), { mode: 'merge-by-id' }).s;
+    assert.deepEqual(report.errors.map(e => e.id), ['c']);
+    // a record may take a key another record gives up in the same load
+    const swap = store.Persistence.importJSON(saved([{ id: 'a', email: 'y' }, { id: 'd', email: 'x' }]), { mode: 'merge-by-id' }).s;
+    assert.deepEqual(swap.errors, []);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.email), ['y', 'e', 'x']);
+});
+
+test('loaded code prefixes never collide with other modules', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('students', {});
+    store.Persistence.importJSON(JSON.stringify({ prefixes: { teachers: 'STU' }, modules: { teachers: [{ id: 't1', code: 'STU-0001' }] } }), { mode: 'merge-by-id' });
+    assert.notEqual(store._codePrefixes.teachers, 'STU');
+    assert.ok(!store.CRUD.get('teachers', 't1').code.startsWith('STU-'));
+});
+
+test('replace with hooks removes soft-deleted records for good and keeps incoming ids', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.configure('s', { softDelete: true });
+    store.CRUD.add('s', { id: 'a', n: 1 });
+    store.CRUD.add('s', { id: 'b', n: 2 });
+    store.CRUD.remove('s', 'b');
+    const removed = [];
+    store.CRUD.on('s', 'after:bulkRemove', ({ removedCount }) => removed.push(removedCount));
+    const report = store.Persistence.importJSON(saved([{ id: 'a', n: 10 }, { id: 'c', n: 3 }]), { mode: 'replace', hooks: true }).s;
+    assert.deepEqual(report.inserted, ['a', 'c']);
+    assert.deepEqual(store.CRUD.getAll('s', { includeDeleted: true }).map(s => [s.id, s.n]), [['a', 10], ['c', 3]]);
+    assert.deepEqual(removed, [2]);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const legacy = records => JSON.stringify({ versions: { s: 0 }, modules: { s: records } });
+
+const versioned = () => {
+    const store = VOTAX.createStore();
+    store.Persistence.registerMigration('s', 0, s => { s.fullName = `${s.first} ${s.last}`; delete s.first; delete s.last; });
+    store.Persistence.registerMigration('s', 1, s => s.archived ? null : { ...s, grade: s.grade || 'C' });
+    return store;
+};
+
+test('imports run the migration chain', () => {
+    const store = versioned();
+    assert.equal(store.Persistence.getVersion('s'), 2);
+    store.Persistence.importJSON(legacy([{ id: 'a', first: 'Amy', last: 'Lee' }, { id: 'b', archived: true }]));
+    assert.deepEqual(store.CRUD.getAll('s').map(({ id, fullName, grade }) => ({ id, fullName, grade })), [{ id: 'a', fullName: 'Amy Lee', grade: 'C' }]);
+});
+
+test('dry runs report changes without loading', () => {
+    const store = versioned();
+    const { s } = store.Persistence.importJSON(legacy([{ id: 'a', first: 'A', last: 'B' }, { id: 'b', archived: true }]), { dryRun: true });
+    assert.deepEqual([s.from, s.to, s.total, s.dropped, s.changed.map(c => c.id)], [0, 2, 2, ['b'], ['a']]);
+    assert.equal(store.CRUD.getAll('s').length, 0);
+});
+
+test('failed migrations go to onError and load nothing', () => {
+    const store = versioned();
+    store.Persistence.registerMigration('s', 1, () => { throw new Error('bad step'); });
+    const errors = [];
+    store.Persistence.onError(e => errors.push([e.op, e.module, e.error.message]));
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(store.Persistence.importJSON(legacy([{ id: 'a' }])), false);
+        assert.equal(store.Persistence.importJSON(JSON.stringify({ versions: { s: 5 }, modules: { s: [] } })), false);
+    } finally {
+        console.error = error;
+    }
+    assert.deepEqual(errors, [['migrate', 's', 'bad step'], ['migrate', 's', 's data has version 5, newer than 2']]);
+    assert.equal(store.CRUD.getAll('s').length, 0);
+});
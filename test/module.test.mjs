@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import VOTAX, { createStore } from '../votax.mjs';
+
+const require = createRequire(import.meta.url);
+
+test('ES module and CommonJS entries expose the same default store', () => {
+    assert.equal(VOTAX, require('../votax.js'));
+    assert.equal(createStore, VOTAX.createStore);
+    const store = createStore({ name: 'esm' });
+    store.CRUD.add('notes', { text: 'hi' });
+    assert.equal(store.CRUD.getAll('notes').length, 1);
+});
+
+test('RealTime runs without a DOM and delivers to same-tab subscribers', () => {
+    const store = createStore();
+    const got = [];
+    const off = store.RealTime.subscribe('ch', (event, data) => got.push([event, data]));
+    store.RealTime.broadcast('ch', 'ping', 1);
+    off();
+    store.RealTime.broadcast('ch', 'ping', 2);
+    assert.deepEqual(got, [['ping', 1]]);
+});
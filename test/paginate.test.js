@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const numbers = count => {
+    const store = VOTAX.createStore();
+    for(let n = 1; n <= count; n++) store.CRUD.add('s', { id: `s${n}`, n, odd: n % 2 === 1 });
+    return store;
+};
+const ns = page => page.items.map(s => s.n);
+
+test('page numbers keep the legacy shape', () => {
+    const page = numbers(5).Performance.paginate('s', 2, 2);
+    assert.deepEqual([page.page, page.pageSize, page.total, page.pages, ns(page)], [2, 2, 5, 3, [3, 4]]);
+});
+
+test('cursors follow filters and sort and survive inserts before them', () => {
+    const store = numbers(9);
+    const opts = { filters: { odd: true }, sort: '-n', pageSize: 2 };
+    const first = store.Performance.paginate('s', opts);
+    assert.deepEqual(ns(first), [9, 7]);
+    assert.equal(first.prev, null);
+    store.CRUD.add('s', { n: 11, odd: true });
+    const second = store.Performance.paginate('s', { ...opts, cursor: first.next });
+    assert.deepEqual(ns(second), [5, 3]);
+    assert.deepEqual(ns(store.Performance.paginate('s', { ...opts, cursor: second.prev })), [9, 7]);
+    const last = store.Performance.paginate('s', { ...opts, cursor: second.next });
+    assert.deepEqual([ns(last), last.next], [[1], null]);
+});
+
+test('iterate walks every record in chunks', async () => {
+    const store = numbers(7);
+    const chunks = [];
+    for await (const chunk of store.Performance.iterate('s', { chunkSize: 3, sort: '-n' })) chunks.push(chunk.map(s => s.n));
+    assert.deepEqual(chunks, [[7, 6, 5], [4, 3, 2], [1]]);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const school = () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo', { name: 'tasks' });
+    store.CRUD.addRelation('projects', 'tasks', 'id', 'projectId', { name: 'project' });
+    store.CRUD.add('projects', { id: 'p1', title: 'P1' });
+    store.CRUD.add('students', { id: 'amy', name: 'Amy' });
+    store.CRUD.add('students', { id: 'bo', name: 'Bo' });
+    store.CRUD.add('tasks', { id: 't1', title: 'Essay', status: 'open', due: 1, assignedTo: 'amy', projectId: 'p1' });
+    store.CRUD.add('tasks', { id: 't2', title: 'Quiz', status: 'open', due: 2, assignedTo: 'amy' });
+    store.CRUD.add('tasks', { id: 't3', title: 'Lab', status: 'done', due: 3, assignedTo: 'amy' });
+    return store;
+};
+
+test('nested populate embeds arrays and single parents', () => {
+    const store = school();
+    const amy = store.CRUD.get('students', 'amy', { populate: 'tasks.project' });
+    assert.deepEqual(amy.tasks.map(t => [t.id, t.project && t.project.title]), [['t1', 'P1'], ['t2', null], ['t3', null]]);
+    assert.deepEqual(store.CRUD.getAll('students', { populate: 'tasks' }).map(s => s.tasks.length), [3, 0]);
+    assert.equal(store.CRUD.get('students', 'amy').tasks, undefined);
+});
+
+test('per-relation filter, sort, limit, select and as', () => {
+    const store = school();
+    const [amy] = store.CRUD.query('students', { name: 'Amy' }, {
+        select: ['name'],
+        populate: { tasks: { filter: { status: 'open' }, sort: '-due', limit: 1, select: ['title'], as: 'todo' } }
+    });
+    assert.deepEqual(amy, { id: 'amy', name: 'Amy', todo: [{ id: 't2', title: 'Quiz' }] });
+});
+
+test('paginate populates each page', () => {
+    const store = school();
+    const page = store.Performance.paginate('students', { pageSize: 1, populate: ['tasks'] });
+    assert.equal(page.items[0].tasks.length, 3);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const people = () => {
+    const store = VOTAX.createStore();
+    [
+        { name: 'Amy', age: 19, grade: 'A', address: { city: 'Oslo' }, tags: ['honor'] },
+        { name: 'Bo', age: 24, grade: 'F', address: { city: 'Rome' }, tags: ['club', 'honor'] },
+        { name: 'Cy', age: 31, grade: 'B', address: { city: 'Oslo' }, tags: [], email: 'cy@x' }
+    ].forEach(p => store.CRUD.add('p', p));
+    return store;
+};
+const names = list => list.map(p => p.name);
+
+test('$or, $not and dotted paths compose', () => {
+    const store = people();
+    assert.deepEqual(names(store.CRUD.query('p', { $or: [{ 'address.city': 'Rome' }, { field: 'name', op: 'regex', value: /^am/i }] })), ['Amy', 'Bo']);
+    assert.deepEqual(names(store.CRUD.query('p', [{ $not: { grade: 'F' } }, { 'address.city': 'Oslo' }])), ['Amy', 'Cy']);
+});
+
+test('between, exists, hasAny and size operators', () => {
+    const store = people();
+    assert.deepEqual(names(store.CRUD.query('p', [{ field: 'age', op: 'between', value: [19, 24] }])), ['Amy', 'Bo']);
+    assert.deepEqual(names(store.CRUD.query('p', [{ field: 'email', op: 'exists' }])), ['Cy']);
+    assert.deepEqual(names(store.CRUD.query('p', [{ field: 'email', op: 'exists', value: false }])), ['Amy', 'Bo']);
+    assert.deepEqual(names(store.CRUD.query('p', [{ field: 'tags', op: 'hasAny', value: ['club'] }])), ['Bo']);
+    assert.deepEqual(names(store.CRUD.query('p', [{ field: 'tags', op: 'size', value: 2 }])), ['Bo']);
+});
+
+test('sort, skip, limit and select', () => {
+    const store = people();
+    assert.deepEqual(names(store.CRUD.query('p', {}, { sort: ['-age'] })), ['Cy', 'Bo', 'Amy']);
+    const page = store.CRUD.query('p', {}, { sort: { field: 'age', dir: 'asc' }, skip: 1, limit: 1, select: ['name', 'address.city'] });
+    assert.deepEqual(page, [{ id: page[0].id, name: 'Bo', address: { city: 'Rome' } }]);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const school = () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo', { name: 'tasks', enforce: true, onDelete: 'cascade' });
+    store.CRUD.addRelation('students', 'courses', 'id', 'id', {
+        name: 'courses', type: 'many-to-many', through: 'enrollments', throughFrom: 'studentId', throughTo: 'courseId', enforce: true, onDelete: 'cascade'
+    });
+    ['amy', 'bo'].forEach(id => store.CRUD.add('students', { id, name: id }));
+    ['math', 'art'].forEach(id => store.CRUD.add('courses', { id, name: id }));
+    [['amy', 'math'], ['amy', 'art'], ['bo', 'math']].forEach(([studentId, courseId]) => store.CRUD.add('enrollments', { studentId, courseId }));
+    store.CRUD.add('tasks', { id: 't1', assignedTo: 'amy' });
+    return store;
+};
+const ids = list => list.map(i => i.id);
+
+test('foreign keys and many-to-many pairs are enforced', () => {
+    const store = school();
+    assert.throws(() => store.CRUD.add('tasks', { assignedTo: 'nope' }), /references missing students nope/);
+    assert.throws(() => store.CRUD.add('enrollments', { studentId: 'bo', courseId: 'math' }), /already links/);
+    assert.throws(() => store.CRUD.update('tasks', 't1', { assignedTo: 'nope' }), /references missing/);
+});
+
+test('cascades run on delete and undo as one step', () => {
+    const store = school();
+    store.CRUD.remove('students', 'amy');
+    assert.deepEqual([store.CRUD.getAll('tasks').length, store.CRUD.getAll('enrollments').length], [0, 1]);
+    store.CRUD.undo();
+    assert.deepEqual([store.CRUD.getAll('tasks').length, store.CRUD.getAll('enrollments').length], [1, 3]);
+});
+
+test('restrict and setNull', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.addRelation('projects', 'tasks', 'id', 'projectId', { onDelete: 'restrict' });
+    store.CRUD.addRelation('people', 'tasks', 'id', 'ownerId', { onDelete: 'setNull' });
+    store.CRUD.add('projects', { id: 'p' });
+    store.CRUD.add('people', { id: 'u' });
+    store.CRUD.add('tasks', { id: 't', projectId: 'p', ownerId: 'u' });
+    assert.throws(() => store.CRUD.remove('projects', 'p'));
+    store.CRUD.remove('people', 'u');
+    assert.equal(store.CRUD.get('tasks', 't').ownerId, null);
+});
+
+test('named relations read from either side', () => {
+    const store = school();
+    assert.deepEqual(ids(store.CRUD.getRelated('students', 'amy', 'courses')), ['math', 'art']);
+    assert.deepEqual(ids(store.CRUD.getRelated('courses', 'math', 'courses')), ['amy', 'bo']);
+    assert.deepEqual(ids(store.CRUD.query('students', { op: 'related', value: { relationName: 'courses', filter: { name: 'art' } } })), ['amy']);
+});
+
+test('aggregate joins follow many-to-many, named and reverse relations', () => {
+    const store = school();
+    const byStudent = store.CRUD.aggregate('students', [{ join: { module: 'courses' } }, { select: ['courses'] }]);
+    assert.deepEqual(byStudent.map(r => ids(r.courses)), [['math', 'art'], ['math']]);
+    const byCourse = store.CRUD.aggregate('courses', [{ join: { module: 'courses', as: 'students', filter: { name: 'bo' } } }]);
+    assert.deepEqual(byCourse.map(r => ids(r.students)), [['bo'], []]);
+    const owners = store.CRUD.aggregate('tasks', [{ join: { module: 'tasks', as: 'owner' } }]);
+    assert.deepEqual(owners.map(r => ids(r.owner)), [['amy']]);
+    assert.throws(() => store.CRUD.aggregate('students', [{ join: { module: 'nothing' } }]), /no relation/);
+});
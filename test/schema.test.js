@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const students = () => {
+    const store = VOTAX.createStore();
+    store.Validation.registerSchema('s', {
+        name: { required: true, type: 'string' },
+        age: { type: 'number', min: 5 },
+        status: { type: 'enum', enum: ['active', 'alumni'], default: 'active' },
+        address: { type: 'object', fields: { zip: { type: 'string', pattern: /^\d{5}$/ } } },
+        tags: { type: 'array', items: { type: 'string', maxLength: 3 } },
+        email: { type: 'string', unique: true }
+    }, { rules: [{ path: 'age', message: 'alumni are adults', check: s => s.status !== 'alumni' || s.age >= 18 }] });
+    store.Validation.setupHooks('s');
+    return store;
+};
+
+test('defaults and coercion on add and update', () => {
+    const store = students();
+    const amy = store.CRUD.add('s', { name: 'Amy', age: '21' });
+    assert.deepEqual([amy.age, amy.status], [21, 'active']);
+    assert.equal(store.CRUD.update('s', amy.id, { age: '22' }).age, 22);
+});
+
+test('nested paths, cross-field rules and unique fields report errors', () => {
+    const store = students();
+    store.CRUD.add('s', { name: 'Amy', email: 'a@x' });
+    const { valid, errors } = store.Validation.validate('s', {
+        name: 'Bo', age: 7, status: 'alumni', address: { zip: '12' }, tags: ['ok', 'toolong'], email: 'a@x'
+    });
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(e => e.field).sort(), ['address.zip', 'age', 'email', 'tags[1]']);
+    assert.equal(store.CRUD.add('s', { name: 'Bo', email: 'a@x' }), null);
+});
+
+test('async validators run through addAsync', async () => {
+    const store = VOTAX.createStore();
+    store.Validation.registerSchema('u', { email: { type: 'string', validate: async v => v !== 'blocked' } });
+    store.Validation.setupHooks('u');
+    assert.equal(await store.CRUD.addAsync('u', { email: 'blocked' }), null);
+    assert.ok(await store.CRUD.addAsync('u', { email: 'fine' }));
+    assert.equal((await store.Validation.validateAsync('u', { email: 'blocked' })).valid, false);
+});
+
+test('bulkUpdate coerces like update', () => {
+    const store = students();
+    const amy = store.CRUD.add('s', { name: 'Amy', age: 6 });
+    assert.equal(store.CRUD.bulkUpdate('s', () => true, { age: '23' }), 1);
+    assert.equal(store.CRUD.get('s', amy.id).age, 23);
+});
+
+test('rejected writes are announced as events, not logged', async () => {
+    const store = students();
+    const failed = [];
+    store.CRUD.on('s', 'validation:failed', ({ item, errors }) => failed.push([item.name, errors.map(e => e.field)]));
+    const warn = console.warn;
+    console.warn = () => assert.fail('unexpected console.warn');
+    try {
+        assert.equal(store.CRUD.add('s', { age: 1 }), null);
+        assert.equal(await store.CRUD.addAsync('s', { name: 'Bo', age: 2 }), null);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(failed, [['', ['name', 'age']], ['Bo', ['age']]]);
+    assert.equal(store.Validation.getErrors().length, 2);
+});
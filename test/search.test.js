@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const people = () => {
+    const store = VOTAX.createStore();
+    ['José García', 'Amy Mathematics', 'Bo Math', 'Cy Garcon'].forEach(name => store.CRUD.add('p', { name }));
+    return store;
+};
+const names = list => list.map(p => p.name);
+
+test('folding, prefix and typo tolerance, exact matches first', () => {
+    const store = people();
+    assert.deepEqual(names(store.CRUD.search('p', 'jose')), ['José García']);
+    assert.deepEqual(names(store.CRUD.search('p', 'math')), ['Bo Math', 'Amy Mathematics']);
+    assert.deepEqual(names(store.CRUD.search('p', 'garsia')), ['José García']);
+    assert.deepEqual(names(store.CRUD.search('p', 'garsia', [], { fuzzy: false })), []);
+    assert.deepEqual(names(store.CRUD.search('p', 'math', [], { prefix: false })), ['Bo Math']);
+});
+
+test('the index follows writes', () => {
+    const store = people();
+    const bo = store.CRUD.query('p', { name: 'Bo Math' })[0];
+    assert.equal(store.CRUD.search('p', 'math').length, 2);
+    store.CRUD.update('p', bo.id, { name: 'Bo Mathias' });
+    store.CRUD.remove('p', store.CRUD.query('p', { name: 'Amy Mathematics' })[0].id);
+    assert.deepEqual(names(store.CRUD.search('p', 'math')), ['Bo Mathias']);
+    assert.deepEqual(names(store.CRUD.search('p', 'mathematics')), []);
+    store.CRUD.add('p', { name: 'Di Mathematics' });
+    assert.deepEqual(names(store.CRUD.search('p', 'mathematic')), ['Di Mathematics']);
+});
+
+test('scores, boosts and highlights', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('p', { name: 'Amy', bio: 'likes garcia' });
+    store.CRUD.add('p', { name: 'García', bio: '' });
+    const [first, second] = store.CRUD.search('p', 'garcia', [], { withScores: true, boosts: { name: 3 } });
+    assert.equal(first.item.name, 'García');
+    assert.ok(first.score > second.score);
+    assert.equal(first.highlights.name, '<mark>García</mark>');
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('stores created with createStore are isolated', () => {
+    const a = VOTAX.createStore({ name: 'a' });
+    const b = VOTAX.createStore({ name: 'b' });
+    a.CRUD.add('notes', { text: 'hi' });
+    assert.equal(a.CRUD.getAll('notes').length, 1);
+    assert.equal(b.CRUD.getAll('notes').length, 0);
+    assert.equal(VOTAX.CRUD.getAll('notes').length, 0);
+});
+
+test('each store keeps its own schemas, hooks and history', () => {
+    const a = VOTAX.createStore();
+    const b = VOTAX.createStore();
+    a.Validation.registerSchema('s', { age: { type: 'number' } });
+    a.Validation.setupHooks('s');
+    assert.equal(a.CRUD.add('s', { age: 'x' }), null);
+    assert.ok(b.CRUD.add('s', { age: 'x' }));
+    b.CRUD.undo();
+    assert.equal(b.CRUD.getAll('s').length, 0);
+});
+
+test('RealTime channels are namespaced per store', () => {
+    const a = VOTAX.createStore();
+    const b = VOTAX.createStore({ name: 'widget' });
+    const written = [];
+    global.localStorage = { setItem: key => written.push(key) };
+    try {
+        a.RealTime.broadcast('ch', 'ping', 1);
+        b.RealTime.broadcast('ch', 'ping', 2);
+    } finally {
+        delete global.localStorage;
+    }
+    assert.deepEqual(written, ['votax:sync:ch', 'votax:widget:sync:ch']);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('a throwing transaction restores every touched module', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('students', { name: 'Bo' });
+    const events = [];
+    store.CRUD.on('*', 'after:add', (item, { module }) => events.push(module));
+    assert.throws(() => store.CRUD.transaction(crud => {
+        const amy = crud.add('students', { name: 'Amy' });
+        crud.add('tasks', { assignedTo: amy.id });
+        throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(store.CRUD.getAll('students').map(s => s.name), ['Bo']);
+    assert.equal(store.CRUD.getAll('tasks').length, 0);
+    assert.deepEqual(events, []);
+});
+
+test('a committed transaction fires after events once and undoes as one unit', () => {
+    const store = VOTAX.createStore();
+    const events = [];
+    store.CRUD.on('*', 'after:add', (item, { module }) => events.push(module));
+    store.CRUD.transaction(crud => {
+        const amy = crud.add('students', { name: 'Amy' });
+        crud.add('tasks', { assignedTo: amy.id });
+        assert.deepEqual(events, []);
+    });
+    assert.deepEqual(events, ['students', 'tasks']);
+    store.CRUD.undo();
+    assert.equal(store.CRUD.getAll('students').length + store.CRUD.getAll('tasks').length, 0);
+});
+
+test('a cancelled write aborts unless abortOnCancel is false', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.on('s', 'before:add', item => !item.bad);
+    assert.throws(() => store.CRUD.transaction(crud => {
+        crud.add('s', { n: 1 });
+        crud.add('s', { bad: true });
+    }));
+    assert.equal(store.CRUD.getAll('s').length, 0);
+    store.CRUD.transaction(crud => {
+        crud.add('s', { n: 1 });
+        assert.equal(crud.add('s', { bad: true }), null);
+    }, { abortOnCancel: false });
+    assert.equal(store.CRUD.getAll('s').length, 1);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+const day = 24 * 3600 * 1000;
+const trashing = () => {
+    const store = VOTAX.createStore();
+    store.CRUD.configure('s', { softDelete: true });
+    ['a', 'b', 'c'].forEach(id => store.CRUD.add('s', { id, n: 1 }));
+    return store;
+};
+
+test('removed items go to the trash and can be restored', () => {
+    const store = trashing();
+    store.CRUD.remove('s', 'b');
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.id), ['a', 'c']);
+    assert.deepEqual(store.CRUD.trash('s').map(s => s.id), ['b']);
+    assert.equal(store.CRUD.get('s', 'b'), null);
+    assert.ok(store.CRUD.get('s', 'b', { includeDeleted: true }).deletedAt);
+    assert.equal(store.CRUD.restore('s', 'b').deletedAt, undefined);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.id), ['a', 'b', 'c']);
+});
+
+test('updates and bulk updates leave trashed items alone', async () => {
+    const store = trashing();
+    store.CRUD.remove('s', 'b');
+    const updated = [];
+    store.CRUD.on('s', 'after:update', item => updated.push(item.id));
+    assert.equal(store.CRUD.update('s', 'b', { n: 2 }), null);
+    assert.equal(await store.CRUD.updateAsync('s', 'b', { n: 2 }), null);
+    assert.equal(store.CRUD.bulkUpdate('s', () => true, { n: 3 }), 2);
+    assert.deepEqual(updated, ['a', 'c']);
+    assert.equal(store.CRUD.get('s', 'b', { includeDeleted: true }).n, 1);
+});
+
+test('purge by age follows the store clock', () => {
+    const store = trashing();
+    store._clock = Date.UTC(2024, 0, 1);
+    store.CRUD.remove('s', 'a');
+    store._clock += 10 * day;
+    store.CRUD.bulkRemove('s', s => s.id === 'b');
+    assert.equal(store.CRUD.get('s', 'b', { includeDeleted: true }).deletedAt, Date.UTC(2024, 0, 11));
+    store._clock += 5 * day;
+    assert.equal(store.CRUD.purge('s', { olderThan: 7 * day }), 1);
+    assert.deepEqual(store.CRUD.trash('s').map(s => s.id), ['b']);
+    assert.equal(store.CRUD.purge('s'), 1);
+    assert.deepEqual(store.CRUD.getAll('s', { includeDeleted: true }).map(s => s.id), ['c']);
+});
+
+test('bulkRemove removes or trashes matches and undo restores them', () => {
+    const store = VOTAX.createStore();
+    [1, 2, 3, 4].forEach(n => store.CRUD.add('s', { n }));
+    assert.equal(store.CRUD.bulkRemove('s', s => s.n % 2 === 0), 2);
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.n), [1, 3]);
+    store.CRUD.undo();
+    assert.deepEqual(store.CRUD.getAll('s').map(s => s.n), [1, 2, 3, 4]);
+
+    const soft = trashing();
+    assert.equal(soft.CRUD.bulkRemove('s', s => s.id !== 'b'), 2);
+    assert.deepEqual(soft.CRUD.trash('s').map(s => s.id), ['a', 'c']);
+    soft.CRUD.undo();
+    assert.deepEqual([soft.CRUD.getAll('s').length, soft.CRUD.trash('s').length], [3, 0]);
+});
@@ -0,0 +1,10 @@
+// Type-checked by `npm run typecheck`: the CommonJS build as seen through require()
+import VOTAX = require('@oracle57200/vpower');
+
+const store: typeof VOTAX = VOTAX.createStore({ name: 'typed' });
+const item = store.CRUD.add('notes', { text: 'hi' });
+const id: string | undefined = item?.id;
+store.RealTime.broadcast('ch', 'ping', id);
+
+// @ts-expect-error require() returns the instance itself, there is no default export
+VOTAX.default;
@@ -0,0 +1,7 @@
+// Type-checked by `npm run typecheck`: the ES module entry as seen through import
+import VOTAX, { createStore } from '@oracle57200/vpower';
+
+const store = createStore({ name: 'typed' });
+const count: number = VOTAX.CRUD.getAll('notes').length + store.CRUD.getAll('notes').length;
+
+export { count };
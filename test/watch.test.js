@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VOTAX = require('../votax.js');
+
+test('watch with undefined filters follows every write', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('s', { n: 1 });
+    const seen = [];
+    store.CRUD.watch('s', undefined, list => seen.push(list.map(s => s.n)));
+    const b = store.CRUD.add('s', { n: 2 });
+    store.CRUD.update('s', b.id, { n: 3 });
+    assert.deepEqual(seen, [[1], [1, 2], [1, 3]]);
+});
+
+test('watch ignores writes outside its results', () => {
+    const store = VOTAX.createStore();
+    store.CRUD.add('s', { n: 1 });
+    let calls = 0;
+    store.CRUD.watch('s', { n: 1 }, () => calls++);
+    store.CRUD.add('s', { n: 2 });
+    assert.equal(calls, 1);
+    store.CRUD.add('s', { n: 1 });
+    assert.equal(calls, 2);
+});
+
+test('watchers and liveStats follow undo and notify once per transaction', () => {
+    const store = VOTAX.createStore();
+    const sums = [];
+    let lists = 0;
+    store.CRUD.watch('s', {}, () => lists++);
+    const sub = store.CRUD.liveStats('s', 'sum', 'n', value => sums.push(value));
+    store.CRUD.transaction(crud => { crud.add('s', { n: 1 }); crud.add('s', { n: 2 }); });
+    store.CRUD.undo();
+    sub.unsubscribe();
+    store.CRUD.add('s', { n: 5 });
+    assert.deepEqual(sums, [0, 3, 0]);
+    assert.equal(lists, 4);
+});
@@ -0,0 +1,8 @@
+/**
+ * VOTAX v3.0.0 TypeScript Definitions — ES module entry (votax.mjs)
+ */
+
+import VOTAX from './votax.js';
+
+export declare const createStore: typeof VOTAX.createStore;
+export default VOTAX;
@@ -7,6 +7,8 @@ interface VOTAXItem {
   id: string;
   code: string;
   tags: string[];
+  /** Set (ms timestamp) while the item sits in the trash of a soft-delete module */
+  deletedAt?: number;
   [key: string]: any;
 }
 
@@ -21,12 +23,69 @@ interface PaginationResult<T = VOTAXItem> {
   total: number;
   pages: number;
   items: T[];
+  /** Opaque cursor for the following page, null on the last page */
+  next: string | null;
+  /** Opaque cursor for the preceding page, null on the first page */
+  prev: string | null;
 }
 
-interface RelationConfig {
+interface PopulateOptions {
+  /** Field the related records are embedded under (default: the relation name) */
+  as?: string;
+  filter?: QueryFilter;
+  sort?: SortSpec;
+  skip?: number;
+  limit?: number;
+  select?: string[];
+  populate?: Populate;
+}
+
+/** 'tasks', 'tasks.project', ['tasks', 'courses'], { tasks: true | PopulateOptions } or { path, ...PopulateOptions } */
+type Populate = string | (PopulateOptions & { path: string }) | { [relation: string]: boolean | PopulateOptions } | Populate[];
+
+interface PaginateOptions {
+  filters?: QueryFilter;
+  sort?: SortSpec;
+  pageSize?: number;
+  page?: number;
+  cursor?: string | null;
+  select?: string[];
+  includeDeleted?: boolean;
+  populate?: Populate;
+  withComputed?: boolean | string[];
+}
+
+interface IterateOptions {
+  filters?: QueryFilter;
+  sort?: SortSpec;
+  chunkSize?: number;
+  select?: string[];
+  includeDeleted?: boolean;
+  populate?: Populate;
+  withComputed?: boolean | string[];
+}
+
+interface RelationOptions {
+  /** Name usable by getRelated and the related operator, from either side */
+  name?: string;
+  /** Default 'one-to-many'; 'many-to-many' when through is set */
+  type?: 'one-to-one' | 'one-to-many' | 'many-to-many';
+  /** Join module (many-to-many) */
+  through?: string;
+  /** Join-module field matching keyFrom */
+  throughFrom?: string;
+  /** Join-module field matching keyTo */
+  throughTo?: string;
+  /** Reject add/update when a foreign key points at a missing record */
+  enforce?: boolean;
+  /** What removing a referenced record does to the records pointing at it */
+  onDelete?: 'cascade' | 'restrict' | 'setNull';
+  [key: string]: any;
+}
+
+interface RelationConfig extends RelationOptions {
   keyFrom: string;
   keyTo: string;
-  [key: string]: any;
 }
 
 interface AnimationOptions {
@@ -36,24 +95,410 @@ interface AnimationOptions {
 
 interface SchemaRule {
   required?: boolean;
-  type?: string;
+  type?: 'string' | 'number' | 'boolean' | 'date' | 'array' | 'object' | 'enum' | string;
+  /** Static value or function of the item, applied on add */
+  default?: any;
+  enum?: any[];
   pattern?: RegExp;
-  custom?: (value: any) => boolean;
+  /** Return false or an error message to fail */
+  custom?: (value: any, item: any) => boolean | string;
+  /** Async validator, run by validateAsync and addAsync/updateAsync */
+  validate?: (value: any, item: any) => boolean | string | Promise<boolean | string>;
   minLength?: number;
   maxLength?: number;
-  min?: number;
-  max?: number;
+  /** Numbers, or dates for type 'date' */
+  min?: number | string | Date;
+  max?: number | string | Date;
+  minItems?: number;
+  maxItems?: number;
+  /** Rule for array elements */
+  items?: SchemaRule;
+  /** Schema of a nested object */
+  fields?: Record<string, SchemaRule>;
+  /** No other record in the module may hold the same value */
+  unique?: boolean;
+  /** Faker name ('email', 'city'...) or function used by seed/Fake.item; false to leave the field alone */
+  fake?: keyof Faker | ((fake: Faker) => any) | false;
+}
+
+interface Faker {
+  random: () => number;
+  int(min?: number, max?: number): number;
+  float(min?: number, max?: number, decimals?: number): number;
+  bool(p?: number): boolean;
+  pick<T>(list: ArrayLike<T>): T;
+  shuffle<T>(list: T[]): T[];
+  firstName(): string;
+  lastName(): string;
+  name(): string;
+  username(): string;
+  /** Derived from name when given */
+  email(name?: string): string;
+  phone(): string;
+  city(): string;
+  address(): string;
+  zip(): string;
+  url(): string;
+  color(): string;
+  word(): string;
+  words(n?: number): string;
+  title(): string;
+  sentence(): string;
+  /** ISO string; defaults to the year before now (a fixed clock for seeded fakers) */
+  date(min?: number | string | Date, max?: number | string | Date): string;
+  uuid(): string;
+  /** A string matching the pattern (no lookarounds or backreferences) */
+  pattern(re: RegExp | string): string;
+  /** A value satisfying a schema rule */
+  value(rule?: SchemaRule, field?: string): any;
+}
+
+interface SeedOptions {
+  /** Make ids, codes and random choices reproducible */
+  seed?: number | string;
+  /** Clock for ids, codes and dates while seeding (default 2020-01-01T00:00:00Z) */
+  now?: number | string | Date;
+  /** Fill fields the factory leaves undefined from the schema (default: true without a factory) */
+  fake?: boolean;
+  /** Point blank foreign keys at random existing records (default true) */
+  relations?: boolean;
+}
+
+type CrossFieldRule = ((item: any) => boolean | string | Promise<boolean | string>)
+  | { path?: string; message?: string; check(item: any): boolean | string | Promise<boolean | string> };
+
+interface SchemaOptions {
+  rules?: CrossFieldRule[];
+  /** Convert values to the declared type on add/update (default true) */
+  coerce?: boolean;
+  /** Register the schema-derived template (default true) */
+  template?: boolean;
+  /** Data version, same as Persistence.setVersion */
+  version?: number;
+}
+
+interface MigrationReport {
+  module: string;
+  /** Version the records were saved with */
+  from: number;
+  /** Current version of the module */
+  to: number;
+  total: number;
+  changed: Array<{ id: string; before: VOTAXItem | null; after: VOTAXItem }>;
+  /** Ids of records a migration dropped (returned null) */
+  dropped: string[];
+  /** Migrated records */
+  data: VOTAXItem[];
+}
+
+type LoadMode = 'replace' | 'merge-by-id' | 'append';
+
+interface LoadOptions {
+  /** Default 'merge-by-id' for loads, 'replace' for importJSON */
+  mode?: LoadMode;
+  /** RealTime conflict strategy name, or (local, loaded) => record; default 'last-write-wins' */
+  strategy?: string | ((local: VOTAXItem, loaded: VOTAXItem) => VOTAXItem | null);
+  /** Run before:/after: hooks (and validation) for each record (default false) */
+  hooks?: boolean;
+  /** Record the load as one undoable history entry (default false) */
+  history?: boolean;
+  label?: string;
+}
+
+interface LoadReport {
+  module: string;
+  mode: LoadMode;
+  inserted: string[];
+  updated: string[];
+  skipped: string[];
+  errors: Array<{ id: string; message: string }>;
+}
+
+interface CSVExportOptions {
+  /** Column paths (default: every path found in the data) */
+  fields?: string[];
+  /** Default ',' */
+  delimiter?: string;
+  /** Joins array values (default '|') */
+  arraySeparator?: string;
+  /** Write the header row (default true) */
+  header?: boolean;
+  /** Also export soft-deleted items */
+  includeDeleted?: boolean;
+  /** Add computed fields (true for all, or names) */
+  withComputed?: boolean | string[];
+}
+
+interface ImportOptions extends LoadOptions {
+  /** Validate rows with Validation.validate and leave invalid ones out (default true) */
+  validate?: boolean;
+}
+
+interface CSVImportOptions extends ImportOptions {
+  /** Header -> field path; null drops the column */
+  mapping?: Record<string, string | null> | ((header: string) => string | null | undefined);
+  delimiter?: string;
+  arraySeparator?: string;
+}
+
+interface ImportReport extends LoadReport {
+  rows: number;
+  /** Rows left out, with their 1-based line number */
+  invalid: Array<{ row: number; id?: string; errors: Array<{ field: string; message: string }> }>;
+}
+
+interface StorageError {
+  op: 'save' | 'load' | 'import' | 'migrate' | string;
+  module: string;
+  error: any;
+  /** True when the browser's storage quota was exceeded */
+  quota: boolean;
+}
+
+interface HookOptions {
+  /** Higher priority hooks run first (default 0) */
+  priority?: number;
+  /** Remove the hook after its first call */
+  once?: boolean;
+}
+
+interface HookContext {
+  module: string;
+  event: string;
+  /** True when emitted by addAsync/updateAsync/removeAsync (promises are awaited) */
+  async?: boolean;
+}
+
+interface HookRecord {
+  fn: Function;
+  priority: number;
+  once: boolean;
+  seq: number;
+}
+
+/** Return false to cancel a before:* event, or an object to replace its payload */
+type HookFn = (payload: any, ctx: HookContext) => void | boolean | object | Promise<void | boolean | object>;
+
+interface HistoryEntryInfo {
+  index: number;
+  type: string;
+  module: string | null;
+  label: string;
+  timestamp: number;
+  /** false for undone entries that can still be redone */
+  applied: boolean;
+}
+
+interface ModuleOptions {
+  /** Record undo history for this module (default true) */
+  history?: boolean;
+  /** Move removed items to the trash (deletedAt) instead of deleting them */
+  softDelete?: boolean;
+  /** How new ids are generated (default: time + counter) */
+  idStrategy?: IdStrategy;
+  /** Code template such as 'INV-{YYYY}-{seq:5}' (default '{PREFIX}-{seq:4}'), or a function */
+  code?: CodeFormat;
+  /** Code prefix; unique across modules */
+  prefix?: string;
+  [key: string]: any;
+}
+
+type IdStrategy = 'default' | 'uuid4' | 'uuid7' | 'ulid' | 'nanoid' | ((item: any, module: string) => string);
+
+type CodeFormat = string | ((item: any, ctx: { module: string; seq: number; prefix: string }) => string);
+
+type SortSpec = string | { field: string; dir?: 'asc' | 'desc' } | Array<string | { field: string; dir?: 'asc' | 'desc' }>;
+
+interface QueryOptions {
+  /** 'age', '-age', ['grade', '-age'] or { field, dir } */
+  sort?: SortSpec;
+  skip?: number;
+  limit?: number;
+  /** Field paths to keep (id is always included) */
+  select?: string[];
+  /** Also match soft-deleted items */
+  includeDeleted?: boolean;
+  /** Embed related records (one hash join per relation and level) */
+  populate?: Populate;
+  /** Include computed fields: true for all, or names */
+  withComputed?: boolean | string[];
+}
+
+interface ComputedContext {
+  module: string;
+  /** Records related through a relation name or target module (tracked as a dependency) */
+  related<T extends VOTAXItem = VOTAXItem>(relation: string): T[];
+  /** Query another module (tracked as a dependency) */
+  query<T extends VOTAXItem = VOTAXItem>(module: string, filters?: QueryFilter, opts?: QueryOptions): T[];
+}
+
+type ComputedFn = (item: any, ctx: ComputedContext) => any;
+
+type QueryOp = 'eq' | 'neq' | 'lt' | 'lte' | 'gt' | 'gte' | 'between' | 'in' | 'nin' | 'contains'
+  | 'startsWith' | 'endsWith' | 'regex' | 'exists' | 'hasTag' | 'hasAll' | 'hasAny' | 'size' | 'related';
+
+interface QueryCriterion {
+  /** Field name or dotted path (address.city) */
+  field?: string;
+  op?: QueryOp;
+  value?: any;
+  /** RegExp flags when value is a string pattern */
+  flags?: string;
+}
+
+type QueryFilter = QueryCriterion | QueryFilter[] | { $and?: QueryFilter[]; $or?: QueryFilter[]; $not?: QueryFilter; [path: string]: any };
+
+type Accumulator = 'count' | 'sum' | 'avg' | 'min' | 'max' | 'median' | 'distinct' | 'first' | 'last';
+
+interface GroupStage {
+  /** Field path(s) to group by; null/omitted for a single group */
+  by?: string | string[] | null;
+  [name: string]: { [acc in Accumulator]?: string | boolean } | string | string[] | null | undefined;
+}
+
+type AggregateStage =
+  | { match: QueryFilter }
+  | { group: GroupStage }
+  | { unwind: string }
+  | { join: { module: string; as?: string; filter?: QueryFilter } }
+  | { sort: SortSpec }
+  | { skip: number }
+  | { limit: number }
+  | { select: string[] };
+
+interface SearchOptions {
+  limit?: number;
+  /** 'all' (default): every term must match; 'any': rank documents matching some terms */
+  mode?: 'all' | 'any';
+  fuzzy?: boolean;
+  prefix?: boolean;
+  boosts?: Record<string, number>;
+  /** Return { item, score, highlights } instead of items */
+  withScores?: boolean;
+  /** Highlight markers (default ['<mark>', '</mark>']) */
+  highlight?: [string, string];
+  snippetLength?: number;
+  includeDeleted?: boolean;
+}
+
+interface SearchHit<T = VOTAXItem> {
+  item: T;
+  score: number;
+  highlights: Record<string, string>;
+}
+
+interface IndexOptions {
+  /** Reject duplicate values on add/update */
+  unique?: boolean;
+  /** 'hash' (eq/in) or 'sorted' (also ranges) */
+  type?: 'hash' | 'sorted';
+}
+
+interface IndexInfo {
+  module: string;
+  field: string;
+  unique: boolean;
+  type: 'hash' | 'sorted';
+  size: number;
+}
+
+interface LiveQuery<T = VOTAXItem> {
+  /** Latest results */
+  results: T[];
+  /** Force a full re-run */
+  refresh(): void;
+  unsubscribe(): void;
+}
+
+interface LiveStats {
+  value: any;
+  unsubscribe(): void;
+}
+
+interface StoreOptions {
+  /** Instance name, used to namespace localStorage keys and the IndexedDB name */
+  name?: string;
+  /** IndexedDB database name */
+  dbName?: string;
+  /** Max undoable entries (default 100) */
+  historyLimit?: number;
+  /** Storage adapter for saveLocal/loadLocal (default 'local') */
+  adapter?: string | StorageAdapter;
+  /** Default id strategy for modules without one */
+  idStrategy?: IdStrategy;
+  /** Default code format for modules without one */
+  code?: CodeFormat;
+  [key: string]: any;
+}
+
+type MaybePromise<T> = T | Promise<T>;
+
+/** Key/value storage used by Persistence; values are plain objects */
+interface StorageAdapter {
+  get(key: string): MaybePromise<any>;
+  set(key: string, value: any): MaybePromise<void>;
+  delete(key: string): MaybePromise<void>;
+  list(prefix?: string): MaybePromise<string[]>;
+  /** Apply the writes made through `batch` as one unit */
+  transaction?<R>(fn: (batch: StorageAdapter) => MaybePromise<R>): MaybePromise<R>;
+}
+
+interface AdapterCallOptions {
+  /** Adapter name or instance for this call */
+  adapter?: string | StorageAdapter;
 }
 
 // ===== VOTAX Global Object =====
 
-declare const VOTAX: {
+interface AuditEntry {
+  seq: number;
+  timestamp: number;
+  module: string;
+  /** Record id (null on whole-module entries saved by older versions) */
+  id: string | null;
+  type: 'add' | 'update' | 'remove' | string;
+  /** Set when the entry comes from an undo, redo, clear or snapshot restore */
+  cause?: 'undo' | 'redo' | 'clear' | 'restore' | 'transaction' | string;
+  /** Changed fields (nested by dotted path) */
+  diff: Array<{ path: string; from: any; to: any }> | null;
+  actor: any;
+  source: 'local' | 'remote' | 'import' | 'restore' | string;
+}
+
+interface AuditQuery {
+  module?: string;
+  id?: string;
+  from?: number | string | Date;
+  to?: number | string | Date;
+  actor?: any;
+  source?: string;
+  type?: string;
+  /** Newest n entries */
+  limit?: number;
+}
+
+interface Snapshot {
+  version: string;
+  timestamp: number;
+  modules: Record<string, VOTAXItem[]>;
+  templates: Record<string, object>;
+  counters: Record<string, number>;
+  prefixes: Record<string, string>;
+  relations: Record<string, Record<string, RelationConfig[]>>;
+}
+
+interface VOTAXInstance {
   version: string;
+  options: StoreOptions;
+  createStore(options?: StoreOptions): VOTAXInstance;
+  setActor(actor: any): void;
+  snapshot(): Snapshot;
+  restore(snapshot: Snapshot): void;
   _store: Record<string, any[]>;
   _templates: Record<string, object>;
   _hooks: Record<string, Record<string, Function[]>>;
   _relations: Record<string, Record<string, RelationConfig[]>>;
-  _computed: Record<string, Record<string, Function>>;
+  _computed: Record<string, Record<string, { fn: ComputedFn; cache: boolean }>>;
   _history: any[];
   _uidCounter: number;
   _meta: Record<string, number>;
@@ -61,30 +506,67 @@ declare const VOTAX: {
 
   CRUD: {
     registerTemplate(module: string, template: object): void;
-    on(module: string, event: string, fn: (payload: any) => void | boolean): void;
+    on(module: string, event: string, fn: HookFn, opts?: HookOptions): () => void;
+    once(module: string, event: string, fn: HookFn, opts?: HookOptions): () => void;
+    off(module: string, event?: string, fn?: HookFn): number;
     add<T extends VOTAXItem>(module: string, item: Partial<T>, opts?: object): T | null;
-    get<T extends VOTAXItem>(module: string, id: string): T | null;
-    getAll<T extends VOTAXItem>(module: string, opts?: object): T[];
+    addAsync<T extends VOTAXItem>(module: string, item: Partial<T>, opts?: object): Promise<T | null>;
+    get<T extends VOTAXItem>(module: string, id: string, opts?: { includeDeleted?: boolean; populate?: Populate; withComputed?: boolean | string[] }): T | null;
+    getAll<T extends VOTAXItem>(module: string, opts?: { sortBy?: string; dir?: 'asc' | 'desc'; includeDeleted?: boolean; populate?: Populate; withComputed?: boolean | string[] }): T[];
     update<T extends VOTAXItem>(module: string, id: string, patch: Partial<T>): T | null;
+    updateAsync<T extends VOTAXItem>(module: string, id: string, patch: Partial<T>): Promise<T | null>;
     remove(module: string, id: string): boolean;
+    removeAsync(module: string, id: string): Promise<boolean>;
     bulkUpdate(module: string, predicate: Function | string, patch: object): number;
     bulkRemove(module: string, predicate: Function | string): number;
-    search<T extends VOTAXItem>(module: string, q: string, fields?: string[]): T[];
-    query<T extends VOTAXItem>(module: string, filters: object | any[]): T[];
-    addRelation(moduleFrom: string, moduleTo: string, keyFrom: string, keyTo: string, opts?: object): RelationConfig;
-    getRelated<T extends VOTAXItem>(fromModule: string, itemId: string, toModule: string, opts?: object): T[];
-    registerComputed(module: string, name: string, fn: (item: any) => any): void;
+    trash<T extends VOTAXItem>(module: string, opts?: QueryOptions): T[];
+    restore<T extends VOTAXItem>(module: string, id: string): T | null;
+    purge(module: string, opts?: { olderThan?: number | Date }): number;
+    search<T extends VOTAXItem>(module: string, q: string, fields?: string[], opts?: SearchOptions & { withScores?: false }): T[];
+    search<T extends VOTAXItem>(module: string, q: string, fields: string[], opts: SearchOptions & { withScores: true }): SearchHit<T>[];
+    configureSearch(module: string, opts: { fields?: string[]; boosts?: Record<string, number> }): void;
+    query<T extends VOTAXItem>(module: string, filters?: QueryFilter, opts?: QueryOptions): T[];
+    watch<T extends VOTAXItem>(module: string, filters: QueryFilter, callback: (results: T[]) => void, opts?: QueryOptions & { immediate?: boolean }): LiveQuery<T>;
+    liveStats(module: string, op: 'count' | 'sum' | 'avg' | Function, field: string | null, callback: (value: any) => void): LiveStats;
+    addRelation(moduleFrom: string, moduleTo: string, keyFrom: string, keyTo: string, opts?: RelationOptions): RelationConfig;
+    getRelated<T extends VOTAXItem>(fromModule: string, itemId: string, toModuleOrRelation: string, opts?: { filter?: (item: T) => boolean; limit?: number }): T[];
+    registerComputed(module: string, name: string, fn: ComputedFn, opts?: { cache?: boolean }): void;
     compute(module: string, id: string, name: string): any;
+    computeItem(module: string, id: string): Record<string, any> | null;
     addTag(module: string, id: string, tag: string): VOTAXItem | null;
     removeTag(module: string, id: string, tag: string): VOTAXItem | null;
-    stats(module: string, op: 'count' | 'sum' | 'avg' | Function, field?: string): number | any;
-    sample<T extends VOTAXItem>(module: string, n?: number): T[];
-    seed<T extends VOTAXItem>(module: string, n?: number, factory?: Partial<T> | ((index: number) => Partial<T>)): T[];
+    stats(module: string, op: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'median' | 'distinct' | Function, field?: string): number | any;
+    aggregate(module: string, pipeline: AggregateStage[], opts?: { withComputed?: boolean | string[] }): any[];
+    sample<T extends VOTAXItem>(module: string, n?: number, opts?: { seed?: number | string }): T[];
+    /** Blank foreign keys get random existing records; with opts.seed, ids, codes and random choices are reproducible */
+    seed<T extends VOTAXItem>(module: string, n?: number, factory?: Partial<T> | ((index: number, random: () => number, fake: Faker) => Partial<T>), opts?: SeedOptions): T[];
+    /** Last code sequence number used by a module */
+    getSequence(module: string): number;
+    /** Set the code sequence; the next code uses value + 1 */
+    setSequence(module: string, value: number): void;
+    transaction<R>(fn: (crud: VOTAXInstance['CRUD']) => R, opts?: { label?: string; abortOnCancel?: boolean }): R;
     undo(): boolean;
+    redo(): boolean;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    history: {
+      list(): HistoryEntryInfo[];
+      goto(n: number): boolean;
+      setLimit(limit: number): void;
+      label(label: string): boolean;
+      clear(): void;
+    };
+    configure(module: string, opts: ModuleOptions): ModuleOptions;
     clear(module?: string): void;
     _store: Record<string, any[]>;
     _templates: Record<string, object>;
-    _hooks: Record<string, Record<string, Function[]>>;
+    _hooks: Record<string, Record<string, HookRecord[]>>;
+    _relations: Record<string, Record<string, RelationConfig[]>>;
+    _computed: Record<string, Record<string, { fn: ComputedFn; cache: boolean }>>;
+    _history: any[];
+    _redo: any[];
+    _historyLimit: number;
+    _moduleOpts: Record<string, ModuleOptions>;
   };
 
   Images: {
@@ -94,17 +576,50 @@ declare const VOTAX: {
 
   Persistence: {
     initIndexedDB(): Promise<IDBDatabase>;
-    saveLocal(module: string): boolean;
-    loadLocal(module: string): boolean;
-    exportJSON(): string;
-    importJSON(jsonStr: string): boolean;
-    saveAllLocal(): boolean;
-    loadAllLocal(prefix?: string): number;
+    saveIDB(module: string): Promise<boolean>;
+    loadIDB(module: string, opts?: LoadOptions): Promise<LoadReport | false>;
+    loadIDB(module: string, opts: { dryRun: true }): Promise<MigrationReport | null>;
+    autosave(modules?: string | string[], opts?: { delay?: number }): () => Promise<any>;
+    flush(): Promise<void>;
+    onError(fn: (err: StorageError) => void): () => void;
+    estimate(): Promise<{ usage: number; quota: number } | null>;
+    setVersion(module: string, version: number): void;
+    getVersion(module: string): number;
+    registerMigration(module: string, fromVersion: number, fn: (item: any, ctx: { module: string; from: number; to: number }) => any): void;
+    migrate(module: string, data: any[], fromVersion?: number): MigrationReport;
+    adapters: {
+      localStorage(): StorageAdapter;
+      sessionStorage(): StorageAdapter;
+      memory(): StorageAdapter;
+      indexedDB(): StorageAdapter;
+      jsonFile(path: string): StorageAdapter;
+    };
+    registerAdapter(name: string, adapter: StorageAdapter): void;
+    useAdapter(adapter: string | StorageAdapter): void;
+    /** Returns a promise when the adapter is async */
+    saveLocal(module: string, opts?: AdapterCallOptions): MaybePromise<boolean>;
+    loadLocal(module: string, opts?: AdapterCallOptions & LoadOptions): MaybePromise<LoadReport | false>;
+    loadLocal(module: string, opts: AdapterCallOptions & { dryRun: true }): MaybePromise<MigrationReport | null>;
+    /** A promise of the encrypted envelope while encryption is on */
+    exportJSON(opts?: { encrypt?: boolean }): string | Promise<string>;
+    setEncryption(passphrase: string | null, opts?: { iterations?: number }): Promise<void>;
+    rotateKey(passphrase: string, opts?: { adapter?: string | StorageAdapter; iterations?: number }): Promise<{ keys: number; records: number }>;
+    importJSON(jsonStr: string, opts?: LoadOptions & { passphrase?: string }): Record<string, LoadReport> | false | Promise<Record<string, LoadReport> | false>;
+    exportCSV(module: string, opts?: CSVExportOptions): string;
+    importCSV(module: string, text: string, opts?: CSVImportOptions): ImportReport;
+    exportNDJSON(module: string, opts?: { fields?: string[]; includeDeleted?: boolean; withComputed?: boolean | string[] }): string;
+    importNDJSON(module: string, source: string, opts?: ImportOptions): ImportReport;
+    importNDJSON(module: string, source: AsyncIterable<string>, opts?: ImportOptions & { batchSize?: number }): Promise<ImportReport>;
+    importJSON(jsonStr: string, opts: { dryRun: true }): Record<string, MigrationReport | null> | null;
+    saveAllLocal(opts?: AdapterCallOptions): MaybePromise<boolean>;
+    loadAllLocal(prefix?: string, opts?: AdapterCallOptions): MaybePromise<number>;
   };
 
   Validation: {
-    registerSchema(module: string, schema: Record<string, SchemaRule>): void;
+    registerSchema(module: string, schema: Record<string, SchemaRule>, opts?: SchemaOptions): void;
+    template(module: string): Record<string, any>;
     validate(module: string, item: object): ValidationResult;
+    validateAsync(module: string, item: object): Promise<ValidationResult>;
     setupHooks(module: string): void;
     getErrors(): any[];
     clearErrors(): void;
@@ -112,6 +627,15 @@ declare const VOTAX: {
     _errors: any[];
   };
 
+  Fake: {
+    /** Seeded generator; without a seed, the active seeding source or Math.random */
+    rng(seed?: number | string): () => number;
+    /** Seeded fakers date from 2020-01-01 unless opts.now is given */
+    create(seed?: number | string | (() => number), opts?: { now?: number | string | Date }): Faker;
+    /** Build (without adding) a record from the module's schema */
+    item<T = Record<string, any>>(module: string, overrides?: Partial<T>, opts?: { seed?: number | string; random?: (() => number) | Faker; now?: number | string | Date }): T;
+  };
+
   UI: {
     formFor(module: string, onSubmit?: (data: object) => void): HTMLFormElement;
     modal(title: string, content: string | HTMLElement, buttons?: Array<{ label: string; onclick: () => void }>): HTMLDivElement;
@@ -120,10 +644,17 @@ declare const VOTAX: {
   };
 
   Performance: {
-    buildIndex(module: string, field: string): object;
+    createIndex(module: string, field: string, opts?: IndexOptions): IndexInfo;
+    buildIndex(module: string, field: string): Record<string, string[]>;
+    dropIndex(module: string, field: string): boolean;
+    clearIndexes(module?: string): void;
+    listIndexes(module?: string): IndexInfo[];
+    range<T extends VOTAXItem>(module: string, field: string, bounds: { gt?: any; gte?: any; lt?: any; lte?: any }): T[];
     paginate<T extends VOTAXItem>(module: string, page?: number, pageSize?: number): PaginationResult<T>;
+    paginate<T extends VOTAXItem>(module: string, opts: PaginateOptions): PaginationResult<T>;
+    iterate<T extends VOTAXItem>(module: string, opts?: IterateOptions): AsyncGenerator<T[]>;
     queryWithIndex<T extends VOTAXItem>(module: string, field: string, value: any): T[];
-    _indexes: Record<string, Record<string, object>>;
+    _indexes: Record<string, Record<string, any>>;
   };
 
   Animate: {
@@ -150,6 +681,20 @@ declare const VOTAX: {
     registerConflictStrategy(name: string, fn: (local: object, remote: object) => object): void;
     resolveConflict(strategy: string, local: object, remote: object): object;
   };
-};
 
-export default VOTAX;
+  Audit: {
+    enable(opts?: { modules?: string[]; limit?: number; persist?: boolean }): void;
+    disable(): void;
+    isEnabled(): boolean;
+    withSource<R>(source: string, fn: () => R): R;
+    query(filter?: AuditQuery): AuditEntry[];
+    clear(): void;
+    save(): MaybePromise<boolean>;
+    load(): MaybePromise<boolean>;
+  };
+}
+
+declare const VOTAX: VOTAXInstance;
+
+// votax.js is CommonJS/UMD: require('votax') returns the default instance
+export = VOTAX;
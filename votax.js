@@ -21,1218 +21,6184 @@
  * @property {Array<VOTAXItem>} items - Items on current page
  */
 
-(function(global){
+(function(root, factory){
+    const VOTAX = factory(root);
+    // expose: AMD, CommonJS (Node, test runners, bundlers) or a browser/worker global
+    if(typeof define === 'function' && define.amd) define([], () => VOTAX);
+    else if(typeof module === 'object' && module.exports) module.exports = VOTAX;
+    else if(root && !root.VOTAX) root.VOTAX = VOTAX;
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function(global){
     'use strict';
 
-    const VOTAX = {
-        version: '3.0.0',
+    /**
+     * Create an isolated VOTAX instance with its own CRUD, Validation,
+     * Performance, Persistence and RealTime state
+     * @param {Object} options - Instance options (name, dbName)
+     * @returns {Object} VOTAX instance
+     * @example
+     * const widgetStore = VOTAX.createStore({ name: 'widget' });
+     * widgetStore.CRUD.add('notes', { text: 'hi' }); // not visible in VOTAX.CRUD
+     */
+    function createStore(options = {}) {
+        const VOTAX = {
+            version: '3.0.0',
+            /** @type {Object} Options this instance was created with */
+            options: Object.assign({}, options),
+            /** @type {number} */
+            _uidCounter: 0,
+            /** @type {Record<string, number>} Per-module code counters */
+            _meta: {},
+            /** @type {Record<string, string>} Per-module code prefixes (unique across modules) */
+            _codePrefixes: {},
+            /** @type {Map<string, number>|null} Code -> number of records using it, all modules (built lazily) */
+            _codes: null,
+            /** @type {Function|null} Seeded random source while seeding reproducibly */
+            _rng: null,
+            /** @type {number|null} Fixed clock (ms) while seeding reproducibly */
+            _clock: null,
+            /** @type {{ts: number, rand: number[]}|null} Last ULID (keeps ULIDs monotonic within a millisecond) */
+            _lastUlid: null,
         
-        // =========================
-        // Utility
-        // =========================
+            // =========================
+            // Utility
+            // =========================
         
-        /**
-         * Generate unique ID
-         * @returns {string} Unique identifier
-         */
-        _genId() {
-            return Date.now().toString(36) + '-' + (this._uidCounter++).toString(36);
-        },
-
-        /**
-         * Deep clone object (JSON safe)
-         * @param {*} obj - Object to clone
-         * @returns {*} Cloned object
-         */
-        _cloneDeep(obj){ return JSON.parse(JSON.stringify(obj)); },
-
-        /**
-         * Generate auto-incrementing module code
-         * @param {string} module - Module name
-         * @returns {string} Generated code (e.g., STU-0001)
-         */
-        _genCode(module){
-            // simple incrementing module code: MOD-0001
-            this._meta = this._meta || {};
-            this._meta[module] = (this._meta[module] || 0) + 1;
-            return `${module.toUpperCase().slice(0,3)}-${String(this._meta[module]).padStart(4,'0')}`;
-        },
-
-        // =========================
-        // CRUD Module
-        // =========================
-        CRUD: {
             /**
-             * Register template/defaults for a module
+             * Generate unique ID with the module's id strategy (see CRUD.configure)
              * @param {string} module - Module name
-             * @param {Object} template - Default template object
-             * @example
-             * VOTAX.CRUD.registerTemplate('students', { name: '', age: 0, tags: [] });
+             * @param {Object} item - Item being added
+             * @returns {string} Unique identifier
              */
-            registerTemplate(module, template = {}) {
-                this._templates[module] = VOTAX._cloneDeep(template);
+            _genId(module, item) {
+                const strategy = module ? this.CRUD._opt(module, 'idStrategy', this.options.idStrategy || 'default') : 'default';
+                if(typeof strategy === 'function') return String(strategy(item || {}, module));
+                const gen = this._idStrategies[strategy];
+                if(!gen) throw new Error(`unknown id strategy: ${strategy}`);
+                return gen.call(this);
             },
 
             /**
-             * Register lifecycle hook
-             * @param {string} module - Module name
-             * @param {string} event - Event name (before:add, after:add, before:update, etc.)
-             * @param {Function} fn - Callback function
-             * @returns {void}
-             * @example
-             * VOTAX.CRUD.on('students', 'before:add', (item) => {
-             *   if (!item.name) return false; // cancel add
-             * });
+             * Deep clone object (JSON safe)
+             * @param {*} obj - Object to clone
+             * @returns {*} Cloned object
              */
-            on(module, event, fn){
-                this._hooks[module] = this._hooks[module] || {};
-                this._hooks[module][event] = this._hooks[module][event] || [];
-                this._hooks[module][event].push(fn);
-            },
+            _cloneDeep(obj){ return JSON.parse(JSON.stringify(obj)); },
 
             /**
-             * Add item to module
-             * @param {string} module - Module name
-             * @param {Object} item - Item data
-             * @returns {VOTAXItem|null} Added item or null if cancelled
-             * @example
-             * const student = VOTAX.CRUD.add('students', { name: 'Amy', age: 20 });
+             * Read a dotted path (address.city, tags.0)
+             * @param {Object} obj - Source object
+             * @param {string} path - Field path
+             * @returns {*} Value or undefined
              */
-            add(module, item = {}, opts = {}) {
-                if(!module) throw new Error('module name required');
-                this._store[module] = this._store[module] || [];
-                const tpl = this._templates[module] || {};
-                const obj = Object.assign({}, VOTAX._cloneDeep(tpl), VOTAX._cloneDeep(item));
-                if(obj.id === undefined || obj.id === null) obj.id = VOTAX._genId();
-                if(!obj.code) obj.code = VOTAX._genCode(module);
-                if(!Array.isArray(obj.tags)) obj.tags = obj.tags ? [obj.tags] : [];
-
-                // before:add
-                if(!this._emitCancelable(module, 'before:add', obj)) return null;
-
-                this._store[module].push(obj);
-                this._history.push({ type:'add', module, id: obj.id });
-
-                this._emit(module,'after:add', obj);
-                return VOTAX._cloneDeep(obj);
+            _getPath(obj, path){
+                if(obj === null || obj === undefined) return undefined;
+                if(typeof path !== 'string' || path.indexOf('.') === -1) return obj[path];
+                return path.split('.').reduce((o, k) => (o === null || o === undefined) ? undefined : o[k], obj);
             },
 
             /**
-             * Get single item by ID or code
-             * @param {string} module - Module name
-             * @param {string} id - Item ID or code
-             * @returns {VOTAXItem|null} Item or null if not found
-             * @example
-             * const student = VOTAX.CRUD.get('students', 'stu-12345');
+             * Write a dotted path, creating intermediate objects
+             * @param {Object} obj - Target object
+             * @param {string} path - Field path
+             * @param {*} value - Value
+             * @returns {Object} obj
              */
-            get(module, id) {
-                const list = this._store[module] || [];
-                for(const it of list){
-                    if(it.id === id || it.code === id) return VOTAX._cloneDeep(it);
-                }
-                return null;
+            _setPath(obj, path, value){
+                const keys = String(path).split('.');
+                let o = obj;
+                keys.slice(0, -1).forEach(k => {
+                    if(o[k] === null || typeof o[k] !== 'object') o[k] = {};
+                    o = o[k];
+                });
+                o[keys[keys.length - 1]] = value;
+                return obj;
             },
 
             /**
-             * Get all items in module
-             * @param {string} module - Module name
-             * @param {Object} opts - Options (sortBy, dir)
-             * @returns {VOTAXItem[]} All items
-             * @example
-             * const all = VOTAX.CRUD.getAll('students');
+             * Compare two values for sorting (numbers, strings, dates; null/undefined last)
+             * @param {*} a - First value
+             * @param {*} b - Second value
+             * @returns {number} -1, 0 or 1
              */
-            getAll(module, opts = {}) {
-                const list = this._store[module] || [];
-                if(opts.sortBy) {
-                    list.sort((a,b) => {
-                        const valA = a[opts.sortBy];
-                        const valB = b[opts.sortBy];
-                        if(valA === valB) return 0;
-                        return valA < valB ? -1 : 1;
-                    });
-                }
-                return list;
+            _compare(a, b){
+                const na = a === undefined || a === null, nb = b === undefined || b === null;
+                if(na || nb) return na === nb ? 0 : (na ? 1 : -1);
+                if(a === b) return 0;
+                return a < b ? -1 : 1;
             },
 
             /**
-             * Update item by ID or code
-             * @param {string} module - Module name
-             * @param {string} id - Item ID or code
-             * @param {Object} patch - Fields to update
-             * @returns {VOTAXItem|null} Updated item or null if not found
-             * @example
-             * VOTAX.CRUD.update('students', studentId, { age: 21 });
+             * Split text into case- and diacritic-folded tokens
+             * @param {*} text - Text
+             * @returns {string[]} Tokens
              */
-            update(module, id, patch = {}) {
-                const list = this._store[module] || [];
-                const it = list.find(i => i.id === id || i.code === id);
-                if(!it) return null;
-                const before = VOTAX._cloneDeep(it);
-                const proposed = Object.assign({}, VOTAX._cloneDeep(it), VOTAX._cloneDeep(patch));
-                if(!this._emitCancelable(module, 'before:update', { before:VOTAX._cloneDeep(before), after:VOTAX._cloneDeep(proposed) })) return null;
-
-                Object.assign(it, VOTAX._cloneDeep(patch));
-                this._history.push({ type:'update', module, id: it.id, before, after: VOTAX._cloneDeep(it) });
-                this._emit(module,'after:update', VOTAX._cloneDeep(it));
-                return VOTAX._cloneDeep(it);
+            _tokenize(text){
+                if(text === undefined || text === null) return [];
+                return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+                    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
             },
 
             /**
-             * Remove item by ID or code
-             * @param {string} module - Module name
-             * @param {string} id - Item ID or code
-             * @returns {boolean} True if deleted
-             * @example
-             * VOTAX.CRUD.remove('students', studentId);
+             * Flatten the searchable text of an item into { field, text } pairs
+             * (strings, numbers and arrays; nested objects use dotted paths; id is skipped)
+             * @param {Object} item - Item
+             * @param {string[]|null} fields - Restrict to these fields
+             * @returns {Array<{field:string, text:string}>} Text fields
              */
-            remove(module, id) {
-                if(!this._store[module]) return false;
-                const idx = this._store[module].findIndex(i => i.id === id || i.code === id);
-                if(idx === -1) return false;
-                const removed = this._store[module][idx];
-                if(!this._emitCancelable(module,'before:remove', VOTAX._cloneDeep(removed))) return false;
-
-                const sp = this._store[module].splice(idx,1)[0];
-                this._history.push({ type:'remove', module, removed: VOTAX._cloneDeep(sp) });
-                this._emit(module,'after:remove', VOTAX._cloneDeep(sp));
-                return true;
+            _textFields(item, fields){
+                const out = [];
+                const walk = (val, path, depth) => {
+                    if(val === undefined || val === null || depth > 4) return;
+                    if(Array.isArray(val)) val.forEach(v => walk(v, path, depth + 1));
+                    else if(typeof val === 'object') Object.keys(val).forEach(k => walk(val[k], `${path}.${k}`, depth + 1));
+                    else if(typeof val === 'string' || typeof val === 'number') out.push({ field: path, text: String(val) });
+                };
+                (fields || Object.keys(item).filter(k => k !== 'id')).forEach(f => walk(VOTAX._getPath(item, f), f, 0));
+                return out;
             },
 
             /**
-             * Bulk update items matching predicate
-             * @param {string} module - Module name
-             * @param {Function|string} predicate - Filter function or ID
-             * @param {Object} patch - Fields to update
-             * @returns {number} Count of updated items
-             * @example
-             * VOTAX.CRUD.bulkUpdate('students', s => s.age > 18, { verified: true });
+             * Levenshtein distance, giving up early once it exceeds max
+             * @param {string} a - First string
+             * @param {string} b - Second string
+             * @param {number} max - Max distance of interest
+             * @returns {number} Distance (max + 1 when over)
              */
-            bulkUpdate(module, predicate, patch = {}) {
-                const list = this._store[module] || [];
-                const changed = [];
-                list.forEach(it => {
-                    if(typeof predicate === 'function' ? predicate(it) : predicate === it.id || predicate === it.code) {
-                        const before = VOTAX._cloneDeep(it);
-                        const proposed = Object.assign({}, VOTAX._cloneDeep(it), VOTAX._cloneDeep(patch));
-                        if(!this._emitCancelable(module,'before:update', { before, after:proposed })) return;
-                        Object.assign(it, VOTAX._cloneDeep(patch));
-                        changed.push({ before, after: VOTAX._cloneDeep(it) });
-                        this._emit(module,'after:update', VOTAX._cloneDeep(it));
+            _editDistance(a, b, max){
+                let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+                for(let i = 1; i <= a.length; i++) {
+                    const cur = [i];
+                    let rowMin = i;
+                    for(let j = 1; j <= b.length; j++) {
+                        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                        rowMin = Math.min(rowMin, cur[j]);
                     }
-                });
-                if(changed.length) this._history.push({ type:'bulkUpdate', module, changes: changed });
-                return changed.length;
-            },
-
-            /**
-             * Bulk remove items matching predicate
-             * @param {string} module - Module name
-             * @param {Function|string} predicate - Filter function or ID
-             * @returns {number} Count of removed items
-             * @example
-             * VOTAX.CRUD.bulkRemove('students', s => s.grade === 'F');
-             */
-            bulkRemove(module, predicate) {
-                if(!this._store[module]) return 0;
-                const before = this._store[module].slice();
-                const toRemove = before.filter(it => !(typeof predicate === 'function' ? predicate(it) : predicate === it.id || predicate === it.code));
-                // emit before:bulkRemove                
-                if(!this._emitCancelable(module,'before:bulkRemove', { before })) return 0;
-                this._store[module] = before.filter(it => !(typeof predicate === 'function' ? predicate(it) : predicate === it.id || predicate === it.code));
-                const removed = before.length - this._store[module].length;
-                if(removed) {
-                    this._history.push({ type:'bulkRemove', module, before });
-                    this._emit(module,'after:bulkRemove', { removedCount: removed });
+                    if(rowMin > max) return max + 1;
+                    prev = cur;
                 }
-                return removed;
+                return prev[b.length];
             },
 
             /**
-             * Search across fields
-             * @param {string} module - Module name
-             * @param {string} q - Search query
-             * @param {string[]} fields - Fields to search (default: all)
-             * @returns {VOTAXItem[]} Matching items
-             * @example
-             * const results = VOTAX.CRUD.search('students', 'amy', ['name', 'email']);
+             * Replace all own fields of target with those of source, keeping object identity
+             * @param {Object} target - Object to overwrite
+             * @param {Object} source - New contents
+             * @returns {Object} target
              */
-            search(module, q, fields = []) {
-                const list = this._store[module] || [];
-                const out = [];
-                fields.forEach(field => {
-                    list.forEach(it => {
-                        const matchValue = it[field];
-                        if(matchValue === undefined) return;
-                        if(String(matchValue).toLowerCase().indexOf(String(q).toLowerCase()) !== -1) out.push(it);
-                    });
-                });
-                return out;
+            _replaceContents(target, source){
+                Object.keys(target).forEach(k => { if(!(k in source)) delete target[k]; });
+                return Object.assign(target, VOTAX._cloneDeep(source));
             },
 
+            // =========================
+            // IDs & codes
+            // =========================
+
             /**
-             * Multi-criteria query
-             * @param {string} module - Module name
-             * @param {Object|Array} filters - Filter criteria {field,op,value}
-             * @returns {VOTAXItem[]} Matching items
-             * @example
-             * VOTAX.CRUD.query('students', [
-             *   { field: 'age', op: 'gte', value: 18 },
-             *   { field: 'grade', op: 'in', value: ['A', 'B'] }
-             * ]);
+             * Built-in id strategies (called with the instance as this)
              */
-            query(module, filters){
-                const list = (this._store[module] || []).slice();
-                const matchItem = (item, f) => {
-                    if(Array.isArray(f)){
-                        return f.every(cl => matchItem(item, cl));
-                    }
-                    if(typeof f === 'object' && !('op' in f)){
-                        return Object.keys(f).every(k => {
-                            const v = f[k];
-                            if(Array.isArray(v)) return v.indexOf(item[k]) !== -1;
-                            return item[k] === v;
-                        });
-                    }
-                    // single criterion {field, op, value}
-                    const field = f.field;
-                    const op = f.op || 'eq';
-                    const val = f.value;
-                    const iv = item[field];
-                    if(op === 'eq') return iv === val;
-                    if(op === 'neq') return iv !== val;
-                    if(op === 'lt') return Number(iv) < Number(val);
-                    if(op === 'lte') return Number(iv) <= Number(val);
-                    if(op === 'gt') return Number(iv) > Number(val);
-                    if(op === 'gte') return Number(iv) >= Number(val);
-                    if(op === 'in') return Array.isArray(val) && val.indexOf(iv) !== -1;
-                    if(op === 'contains') return iv && String(iv).toLowerCase().indexOf(String(val).toLowerCase()) !== -1;
-                    if(op === 'hasTag') return (item.tags||[]).indexOf(val) !== -1;
-                    if(op === 'related') {
-                        // value: {relationName, module, filter} -> returns true if any related match filter
-                        const relName = val.relationName;
-                        const related = this.getRelated(module, item.id, relName);
-                        if(!val.filter) return related.length > 0;
-                        return related.some(r => {
-                            return Object.keys(val.filter).every(k => r[k] === val.filter[k]);
-                        });
+            _idStrategies: {
+                /** Time-based base36 id with a counter (default) */
+                default() {
+                    return this._now().toString(36) + '-' + (this._uidCounter++).toString(36);
+                },
+                /** RFC 9562 UUID v4 (random) */
+                uuid4() {
+                    const b = this._randomBytes(16);
+                    b[6] = (b[6] & 0x0f) | 0x40;
+                    b[8] = (b[8] & 0x3f) | 0x80;
+                    return this._uuid(b);
+                },
+                /** RFC 9562 UUID v7 (millisecond timestamp + random, sortable by creation time) */
+                uuid7() {
+                    const b = this._randomBytes(16);
+                    const ts = this._now();
+                    for(let i = 0; i < 6; i++) b[i] = Math.floor(ts / Math.pow(2, 8 * (5 - i))) & 0xff;
+                    b[6] = (b[6] & 0x0f) | 0x70;
+                    b[8] = (b[8] & 0x3f) | 0x80;
+                    return this._uuid(b);
+                },
+                /** ULID: 26 Crockford base32 chars, timestamp + randomness, monotonic within a millisecond */
+                ulid() {
+                    const abc = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+                    const ts = this._now();
+                    let rand;
+                    if(this._lastUlid && this._lastUlid.ts === ts) {
+                        rand = this._lastUlid.rand.slice();
+                        let i = rand.length - 1;
+                        while(i >= 0 && rand[i] === 31) rand[i--] = 0;
+                        if(i < 0) throw new Error('ULID overflow within one millisecond');
+                        rand[i]++;
+                    } else {
+                        rand = Array.from(this._randomBytes(16), x => x & 31);
                     }
-                    return false;
-                };
-
-                return list.filter(item => matchItem(item, filters)).map(i => VOTAX._cloneDeep(i));
+                    this._lastUlid = { ts, rand };
+                    let time = '';
+                    for(let i = 9, t = ts; i >= 0; i--, t = Math.floor(t / 32)) time = abc[t % 32] + time;
+                    return time + rand.map(x => abc[x]).join('');
+                },
+                /** nanoid-style: 21 URL-safe random chars */
+                nanoid() {
+                    const abc = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+                    return Array.from(this._randomBytes(21), x => abc[x & 63]).join('');
+                }
             },
 
             /**
-             * Add relation between modules
-             * @param {string} moduleFrom - Source module
-             * @param {string} moduleTo - Target module
-             * @param {string} keyFrom - Source field
-             * @param {string} keyTo - Target field
-             * @returns {Object} Relation config
-             * @example
-             * VOTAX.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo');
+             * Format 16 bytes as a UUID string
+             * @param {Uint8Array} b - Bytes
+             * @returns {string} UUID
              */
-            addRelation(moduleFrom, moduleTo, keyFrom, keyTo, opts = {}) {
-                if(!moduleFrom || !moduleTo) throw new Error('both modules required');
-                this._relations[moduleFrom] = this._relations[moduleFrom] || {};
-                this._relations[moduleFrom][moduleTo] = this._relations[moduleFrom][moduleTo] || [];
-                const rel = { keyFrom, keyTo, ...opts };
-                this._relations[moduleFrom][moduleTo].push(rel);
-                this._emit(moduleFrom, 'relation:added', { from: moduleFrom, to: moduleTo, rel });
-                return rel;
+            _uuid(b) {
+                const hex = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+                return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
             },
 
             /**
-             * Get related items
-             * @param {string} fromModule - Source module
-             * @param {string} itemId - Item ID
-             * @param {string} toModule - Target module
-             * @param {Object} opts - Options (filter, limit)
-             * @returns {VOTAXItem[]} Related items
-             * @example
-             * const tasks = VOTAX.CRUD.getRelated('students', studentId, 'tasks');
+             * Current time for ids, codes and trash timestamps (fixed while seeding reproducibly)
+             * @returns {number} Milliseconds since the epoch
              */
-            getRelated(fromModule, itemId, toModule, opts = {}) {
-                const item = this.get(fromModule, itemId);
-                if(!item) return [];
-                const rels = (this._relations[fromModule] && this._relations[fromModule][toModule]) || [];
-                if(!rels.length) return [];
-
-                const out = [];
-                rels.forEach(rel => {
-                    const matchValue = item[rel.keyFrom];
-                    if(matchValue === undefined) return;
-                    const toList = this._store[toModule] || [];
-                    const matches = toList.filter(t => t[rel.keyTo] === matchValue);
-                    out.push(...matches);
-                });
-
-                // apply optional filter and limit
-                let result = Array.from(new Set(out.map(i => VOTAX._cloneDeep(i))));
-                if(opts.filter && typeof opts.filter === 'function') result = result.filter(opts.filter);
-                if(opts.limit && opts.limit > 0) result = result.slice(0, opts.limit);
-                return result;
+            _now() {
+                return this._clock !== null ? this._clock : Date.now();
             },
 
             /**
-             * Register computed field
-             * @param {string} module - Module name
-             * @param {string} name - Field name
-             * @param {Function} fn - Computation function
-             * @example
-             * VOTAX.CRUD.registerComputed('students', 'fullName', 
-             *   s => s.firstName + ' ' + s.lastName
-             * );
+             * Random bytes for ids and codes: the seeded source while seeding
+             * reproducibly, otherwise crypto.getRandomValues (Math.random as a last resort)
+             * @param {number} n - Byte count
+             * @returns {Uint8Array} Bytes
              */
-            registerComputed(module, name, fn){
-                this._computed[module] = this._computed[module] || {};
-                this._computed[module][name] = fn;
+            _randomBytes(n) {
+                const out = new Uint8Array(n);
+                if(this._rng) {
+                    for(let i = 0; i < n; i++) out[i] = Math.floor(this._rng() * 256);
+                    return out;
+                }
+                const c = global.crypto && global.crypto.getRandomValues ? global.crypto
+                    : typeof require === 'function' ? require('crypto').webcrypto : null;
+                if(c) return c.getRandomValues(out);
+                for(let i = 0; i < n; i++) out[i] = Math.floor(Math.random() * 256);
+                return out;
             },
 
             /**
-             * Compute field value
-             * @param {string} module - Module name
-             * @param {string} id - Item ID
-             * @param {string} name - Field name
-             * @returns {*} Computed value
-             * @example
-             * const name = VOTAX.CRUD.compute('students', studentId, 'fullName');
+             * Seeded pseudo-random generator (mulberry32); string seeds are hashed
+             * @param {number|string} seed - Seed
+             * @returns {Function} () => number in [0, 1)
              */
-            compute(module, id, name){
-                const it = this.get(module,id);
-                if(!it) return null;
-                const fn = (this._computed[module] || {})[name];
-                if(!fn) return null;
-                return fn(VOTAX._cloneDeep(it));
+            _prng(seed) {
+                let a = 0;
+                if(typeof seed === 'number') a = seed >>> 0;
+                else for(const ch of String(seed)) a = Math.imul(a ^ ch.charCodeAt(0), 2654435761) >>> 0;
+                return () => {
+                    a = (a + 0x6D2B79F5) >>> 0;
+                    let t = a;
+                    t = Math.imul(t ^ (t >>> 15), t | 1);
+                    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+                };
             },
 
             /**
-             * Add tag to item
-             * @param {string} module - Module name
-             * @param {string} id - Item ID
-             * @param {string} tag - Tag to add
-             * @returns {VOTAXItem|null} Updated item
+             * Run fn with a seeded random source and a fixed clock, so ids and codes repeat
+             * @param {number|string} seed - Seed
+             * @param {number|Date|string} now - Clock value
+             * @param {Function} fn - Synchronous callback receiving the random source
+             * @returns {*} Return value of fn
              */
-            addTag(module, id, tag) {
-                const it = this.get(module, id);
-                if(!it) return null;
-                const updated = this.update(module, id, { tags: Array.from(new Set([...(it.tags||[]), tag])) });
-                return updated;
+            _withSeed(seed, now, fn) {
+                const prev = { rng: this._rng, clock: this._clock, ulid: this._lastUlid };
+                this._rng = this._prng(seed);
+                this._clock = new Date(now).getTime();
+                this._lastUlid = null;
+                // the id counter keeps running, so ids handed out earlier are never repeated
+                try { return fn(this._rng); }
+                finally {
+                    this._rng = prev.rng;
+                    this._clock = prev.clock;
+                    this._lastUlid = prev.ulid;
+                }
             },
 
             /**
-             * Remove tag from item
+             * Code prefix of a module: the configured prefix, or the first letters of the
+             * module name, lengthened (or numbered) until no other module uses it
              * @param {string} module - Module name
-             * @param {string} id - Item ID
-             * @param {string} tag - Tag to remove
-             * @returns {VOTAXItem|null} Updated item
+             * @returns {string} Prefix
              */
-            removeTag(module, id, tag) {
-                const it = this.get(module, id);
-                if(!it) return null;
-                const updated = this.update(module, id, { tags: (it.tags||[]).filter(t=>t!==tag) });
-                return updated;
+            _codePrefix(module) {
+                if(this._codePrefixes[module]) return this._codePrefixes[module];
+                const taken = p => this._prefixTaken(p, module);
+                const explicit = this.CRUD._opt(module, 'prefix');
+                if(explicit) {
+                    if(taken(explicit)) throw new Error(`code prefix ${explicit} is already used by another module`);
+                    return (this._codePrefixes[module] = explicit);
+                }
+                const letters = module.toUpperCase().replace(/[^A-Z0-9]/g, '') || 'MOD';
+                let prefix = null;
+                for(let n = Math.min(3, letters.length); n <= letters.length && !prefix; n++) {
+                    if(!taken(letters.slice(0, n))) prefix = letters.slice(0, n);
+                }
+                for(let k = 2; !prefix; k++) {
+                    if(!taken(letters.slice(0, 3) + k)) prefix = letters.slice(0, 3) + k;
+                }
+                return (this._codePrefixes[module] = prefix);
             },
 
             /**
-             * Calculate statistics
-             * @param {string} module - Module name
-             * @param {string|Function} op - Operation (count, sum, avg) or custom reducer
-             * @param {string} field - Field name (for sum/avg)
-             * @returns {number|*} Statistic result
-             * @example
-             * VOTAX.CRUD.stats('students', 'count');
-             * VOTAX.CRUD.stats('students', 'avg', 'age');
+             * Whether another module already uses a code prefix
+             * @param {string} prefix - Prefix
+             * @param {string} module - Module asking
+             * @returns {boolean} True if taken
              */
-            stats(module, op = 'count', field) {
-                const list = this._store[module] || [];
-                if(op === 'count') return list.length;
-                if(op === 'sum') return list.reduce((s,i)=> s + (Number(i[field]) || 0), 0);
-                if(op === 'avg') return list.length ? (list.reduce((s,i)=> s + (Number(i[field]) || 0),0) / list.length) : 0;
-                if(typeof op === 'function') return op(list);
-                return null;
+            _prefixTaken(prefix, module) {
+                return Object.keys(this._codePrefixes).some(m => m !== module && this._codePrefixes[m] === prefix);
             },
 
             /**
-             * Get random sample of items
-             * @param {string} module - Module name
-             * @param {number} n - Sample size
-             * @returns {VOTAXItem[]} Random items
+             * Whether a code is used by any record of any module
+             * @param {string} code - Code
+             * @returns {boolean} True if taken
              */
-            sample(module, n = 1) {
-                const list = this._store[module] || [];
-                if(!list.length) return [];
-                const out = [];
-                const used = new Set();
-                while(out.length < n && out.length < list.length) {
-                    const idx = Math.floor(Math.random() * list.length);
-                    if(used.has(idx)) continue;
-                    used.add(idx);
-                    out.push(VOTAX._cloneDeep(list[idx]));
+            _codeTaken(code) {
+                if(!this._codes) {
+                    this._codes = new Map();
+                    Object.keys(this.CRUD._store).forEach(m => this.CRUD._store[m].forEach(i => this._countCode(i.code, 1)));
                 }
-                return out;
+                return this._codes.has(code);
             },
 
             /**
-             * Seed module with test data
-             * @param {string} module - Module name
-             * @param {number} n - Count
-             * @param {Object|Function} factory - Template or factory function
-             * @returns {VOTAXItem[]} Created items
-             * @example
-             * VOTAX.CRUD.seed('students', 3, i => ({ name: `S${i}`, age: 20 }));
+             * Adjust the use count of a code in the code index
+             * @param {string} code - Code
+             * @param {number} delta - +1 or -1
              */
-            seed(module, n = 1, factory = {}) {
-                const out = [];
-                for (let i = 0; i < n; i++) {
-                    const item = (typeof factory === 'function') ? factory(i) : Object.assign({}, factory);
-                    const added = this.add(module, item);
-                    if (added) out.push(added);
-                }
-                return out;
+            _countCode(code, delta) {
+                if(!this._codes || code === undefined || code === null) return;
+                const n = (this._codes.get(code) || 0) + delta;
+                if(n > 0) this._codes.set(code, n);
+                else this._codes.delete(code);
             },
 
             /**
-             * Undo last operation
-             * @returns {boolean} True if successful
+             * Keep the code index in sync with writes (immediate observer)
+             * @param {string} module - Module name
+             * @param {string} type - Change type
+             * @param {Array|null} changes - Changed records
              */
-            undo() {
-                const h = this._history.pop();
-                if(!h) return false;
-                if(h.type === 'add') {
-                    this.remove(h.module, h.id);
-                    return true;
-                }
-                if(h.type === 'remove') {
-                    this._store[h.module] = this._store[h.module] || [];
-                    this._store[h.module].push(h.removed);
-                    return true;
-                }
-                if(h.type === 'update') {
-                    const it = this._store[h.module].find(i => i.id === h.id);
-                    if(it) Object.assign(it, VOTAX._cloneDeep(h.before));
-                    return true;
-                }
-                if(h.type === 'bulkUpdate') {
-                    h.changes.forEach(c => {
-                        const it = this._store[h.module].find(i => i.id === c.before.id);
-                        if(it) Object.assign(it, VOTAX._cloneDeep(c.before));
-                    });
-                    return true;
-                }
-                if(h.type === 'bulkRemove') {
-                    this._store[h.module] = h.before;
-                    return true;
-                }
-                return false;
+            _codeSync(module, type, changes) {
+                if(!this._codes) return;
+                if(!changes) { this._codes = null; return; }
+                changes.forEach(c => {
+                    if(c.before) this._countCode(c.before.code, -1);
+                    if(c.after) this._countCode(c.after.code, 1);
+                });
             },
 
             /**
-             * Clear module data
-             * @param {string} module - Module name (omit to clear all)
+             * Generate the next code of a module from its code template (CRUD.configure
+             * code option; default '{PREFIX}-{seq:4}', e.g. STU-0001) or code function.
+             * Codes are unique across all modules: taken codes are skipped.
+             * @param {string} module - Module name
+             * @param {Object} item - Item being added
+             * @returns {string} Generated code
              */
-            clear(module) {
-                if(module) this._store[module] = [];
-                else this._store = {};
-                this._history = [];
-            }
-        },
+            _genCode(module, item){
+                const tpl = this.CRUD._opt(module, 'code', this.options.code || '{PREFIX}-{seq:4}');
+                for(let tries = 0; tries < 1000; tries++) {
+                    this._meta[module] = (this._meta[module] || 0) + 1;
+                    const seq = this._meta[module];
+                    const code = typeof tpl === 'function'
+                        ? String(tpl(item || {}, { module, seq, prefix: this._codePrefix(module) }))
+                        : this._renderCode(module, tpl, seq);
+                    if(!this._codeTaken(code)) return code;
+                }
+                throw new Error(`could not generate a unique code for ${module}`);
+            },
 
-        /**
-         * Image utilities
-         */
-        Images: {
             /**
-             * Preview image file as data URL
-             * @param {File} file - Image file
-             * @returns {Promise<string>} Data URL
-             * @example
-             * VOTAX.Images.preview(fileInput.files[0])
-             *   .then(dataUrl => { img.src = dataUrl; });
+             * Fill a code template. Tokens: {PREFIX}, {MODULE}, {YYYY}, {YY}, {MM}, {DD} (UTC),
+             * {seq} / {seq:5} (zero-padded sequence), {rand} / {rand:6} (random base36 characters)
+             * @param {string} module - Module name
+             * @param {string} tpl - Template
+             * @param {number} seq - Sequence number
+             * @returns {string} Code
              */
-            preview(file){
-                return new Promise((resolve, reject) => {
-                    if(!file) return reject(new Error('file required'));
-                    const reader = new FileReader();
-                    reader.onload = e => resolve(e.target.result);
-                    reader.onerror = reject;
-                    reader.readAsDataURL(file);
+            _renderCode(module, tpl, seq) {
+                const d = new Date(this._now());
+                const pad = (v, w) => String(v).padStart(w, '0');
+                return tpl.replace(/\{(\w+)(?::(\d+))?\}/g, (token, key, width) => {
+                    const w = width ? Number(width) : 0;
+                    if(key === 'PREFIX') return this._codePrefix(module);
+                    if(key === 'MODULE') return module.toUpperCase();
+                    if(key === 'YYYY') return pad(d.getUTCFullYear(), 4);
+                    if(key === 'YY') return pad(d.getUTCFullYear() % 100, 2);
+                    if(key === 'MM') return pad(d.getUTCMonth() + 1, 2);
+                    if(key === 'DD') return pad(d.getUTCDate(), 2);
+                    if(key === 'seq') return pad(seq, w);
+                    if(key === 'rand') return Array.from(this._randomBytes(w || 4), x => (x % 36).toString(36)).join('').toUpperCase();
+                    return token;
                 });
             },
 
             /**
-             * Resize image client-side
-             * @param {File|string} fileOrDataUrl - File or data URL
-             * @param {number} maxW - Max width
-             * @param {number} maxH - Max height
-             * @param {number} quality - JPEG quality (0-1)
-             * @returns {Promise<string>} Resized data URL
-             * @example
-             * VOTAX.Images.resize(file, 800, 800, 0.8)
-             *   .then(resized => { VOTAX.CRUD.add('posts', { image: resized }); });
+             * Regular expression matching codes made from a module's template, with the
+             * sequence number as group 1 (null for code functions or templates without {seq})
+             * @param {string} module - Module name
+             * @returns {RegExp|null} Pattern
              */
-            resize(fileOrDataUrl, maxW = 800, maxH = 800, quality = 0.8){
-                return new Promise((resolve, reject) => {
-                    const img = new Image();
-                    img.onerror = reject;
-                    img.onload = () => {
-                        let { width: w, height: h } = img;
-                        const ratio = Math.min(1, Math.min(maxW / w, maxH / h));
-                        const nw = Math.round(w * ratio), nh = Math.round(h * ratio);
-                        const canvas = document.createElement('canvas');
-                        canvas.width = nw; canvas.height = nh;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img,0,0,nw,nh);
-                        resolve(canvas.toDataURL('image/jpeg', quality));
-                    };
-                    if(typeof fileOrDataUrl === 'string' && fileOrDataUrl.startsWith('data:')) img.src = fileOrDataUrl;
-                    else {
-                        const reader = new FileReader();
-                        reader.onerror = reject;
-                        reader.onload = e => img.src = e.target.result;
-                        reader.readAsDataURL(fileOrDataUrl);
-                    }
-                });
-            }
-        },
+            _codePattern(module) {
+                const tpl = this.CRUD._opt(module, 'code', this.options.code || '{PREFIX}-{seq:4}');
+                if(typeof tpl !== 'string' || tpl.indexOf('{seq') === -1) return null;
+                const esc = v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const parts = tpl.split(/(\{\w+(?::\d+)?\})/);
+                let seen = false;
+                const src = parts.map(part => {
+                    const m = /^\{(\w+)(?::\d+)?\}$/.exec(part);
+                    if(!m) return esc(part);
+                    if(m[1] === 'PREFIX') return esc(this._codePrefix(module));
+                    if(m[1] === 'MODULE') return esc(module.toUpperCase());
+                    if(m[1] === 'seq') { if(seen) return '\\d+'; seen = true; return '(\\d+)'; }
+                    if(m[1] === 'rand') return '[0-9A-Z]+';
+                    if(['YYYY', 'YY', 'MM', 'DD'].indexOf(m[1]) !== -1) return '\\d+';
+                    return esc(part);
+                }).join('');
+                return new RegExp(`^${src}$`);
+            },
 
-        /**
-         * Persistence module (localStorage, IndexedDB, JSON)
-         */
-        Persistence: {
             /**
-             * Initialize IndexedDB
-             * @returns {Promise<IDBDatabase>} Database instance
+             * Guard DOM-dependent namespace methods so they fail with a clear error
+             * when no document exists (Node, Web Workers). The check runs at call time,
+             * so a DOM shim installed after loading (e.g. jsdom) still works.
+             * @param {string} ns - Namespace name
+             * @param {Object} opts - Options (async: reject instead of throw, pure: keys to leave alone)
              */
-            initIndexedDB() {
-                return new Promise((resolve, reject) => {
-                    const req = indexedDB.open(this._dbName, 1);
-                    req.onerror = () => reject(req.error);
-                    req.onupgradeneeded = (e) => {
-                        const db = e.target.result;
-                        if(!db.objectStoreNames.contains('modules')) {
-                            db.createObjectStore('modules', { keyPath: 'module' });
+            _guardDOM(ns, opts = {}){
+                const target = this[ns];
+                const pure = opts.pure || [];
+                Object.keys(target).forEach(key => {
+                    const fn = target[key];
+                    if(typeof fn !== 'function' || key.startsWith('_') || pure.indexOf(key) !== -1) return;
+                    target[key] = function(...args){
+                        if(typeof document === 'undefined') {
+                            const err = new Error(`VOTAX.${ns}.${key} requires a DOM (document is not defined)`);
+                            if(opts.async) return Promise.reject(err);
+                            throw err;
                         }
-                    };
-                    req.onsuccess = () => {
-                        this._db = req.result;
-                        resolve(this._db);
+                        return fn.apply(this, args);
                     };
                 });
             },
 
+            // =========================
+            // Snapshots & actor
+            // =========================
+
+            /** @type {*} Actor recorded in the change log */
+            _actor: null,
+            /** @type {string} Source of the writes in progress (local, remote, import, restore) */
+            _source: 'local',
+
             /**
-             * Save module to localStorage
-             * @param {string} module - Module name
-             * @returns {boolean} Success status
+             * Set the actor recorded with subsequent changes (see Audit)
+             * @param {*} actor - User id, name or object (null to clear)
+             * @example
+             * VOTAX.setActor({ id: 'u1', name: 'Ms. Lee' });
              */
-            saveLocal(module) {
-                const data = VOTAX.CRUD.getAll(module);
-                localStorage.setItem(`votax:${module}`, JSON.stringify({ module, data, timestamp: Date.now() }));
-                return true;
+            setActor(actor) {
+                this._actor = actor === undefined ? null : actor;
             },
 
             /**
-             * Load module from localStorage
-             * @param {string} module - Module name
-             * @returns {boolean} Success status
+             * Run fn with a write source (local, remote, import, ...) for the change log
+             * @param {string} source - Source name
+             * @param {Function} fn - Synchronous callback
+             * @returns {*} Return value of fn
              */
-            loadLocal(module) {
-                const raw = localStorage.getItem(`votax:${module}`);
-                if(!raw) return false;
-                try {
-                    const { data } = JSON.parse(raw);
-                    data.forEach(item => VOTAX.CRUD.add(module, item));
-                    return true;
-                } catch(e) { console.error(e); return false; }
+            _withSource(source, fn) {
+                const prev = this._source;
+                this._source = source;
+                try { return fn(); }
+                finally { this._source = prev; }
             },
 
             /**
-             * Export all modules as JSON
-             * @returns {string} JSON string
+             * Point-in-time copy of all modules, templates, code counters and prefixes, and relations
+             * @returns {Object} Snapshot (plain data, safe to JSON.stringify)
+             * @example
+             * const snap = VOTAX.snapshot();
+             * // ... risky edits ...
+             * VOTAX.restore(snap);
              */
-            exportJSON() {
-                const exported = {};
-                const modules = Object.keys(VOTAX.CRUD._store);
-                modules.forEach(m => {
-                    exported[m] = VOTAX.CRUD.getAll(m);
+            snapshot() {
+                const relations = {};
+                Object.keys(this.CRUD._relations).forEach(from => {
+                    relations[from] = {};
+                    Object.keys(this.CRUD._relations[from]).forEach(to => {
+                        relations[from][to] = this.CRUD._relations[from][to].map(rel => Object.assign({}, rel));
+                    });
                 });
-                return JSON.stringify({ version: VOTAX.version, timestamp: Date.now(), modules: exported }, null, 2);
+                return {
+                    version: this.version,
+                    timestamp: Date.now(),
+                    modules: this._cloneDeep(this.CRUD._store),
+                    templates: this._cloneDeep(this.CRUD._templates),
+                    counters: this._cloneDeep(this._meta),
+                    prefixes: Object.assign({}, this._codePrefixes),
+                    relations
+                };
             },
 
             /**
-             * Import modules from JSON
-             * @param {string} jsonStr - JSON string
-             * @returns {boolean} Success status
+             * Restore a snapshot. Replaces every module (modules missing from the snapshot are
+             * removed), templates, code counters and prefixes, and relations; clears undo/redo history.
+             * @param {Object} snap - Snapshot from VOTAX.snapshot()
              */
-            importJSON(jsonStr) {
-                try {
-                    const { modules } = JSON.parse(jsonStr);
-                    Object.keys(modules).forEach(m => {
-                        VOTAX.CRUD.clear(m);
-                        modules[m].forEach(item => VOTAX.CRUD.add(m, item));
+            restore(snap) {
+                if(!snap || typeof snap.modules !== 'object') throw new Error('invalid snapshot');
+                const CRUD = this.CRUD;
+                const touched = new Set(Object.keys(CRUD._store).concat(Object.keys(snap.modules)));
+                const before = CRUD._auditBefore(Array.from(touched));
+                CRUD._store = this._cloneDeep(snap.modules);
+                CRUD._templates = this._cloneDeep(snap.templates || {});
+                this._meta = this._cloneDeep(snap.counters || {});
+                this._codePrefixes = Object.assign({}, snap.prefixes);
+                const relations = {};
+                Object.keys(snap.relations || {}).forEach(from => {
+                    relations[from] = {};
+                    Object.keys(snap.relations[from]).forEach(to => {
+                        relations[from][to] = snap.relations[from][to].map(rel => Object.assign({}, rel));
                     });
-                    return true;
-                } catch(e) { console.error(e); return false; }
+                });
+                CRUD._relations = relations;
+                CRUD._positions = {};
+                CRUD._history = [];
+                CRUD._redo = [];
+                this._withSource('restore', () => touched.forEach(m => CRUD._changed(m, 'restore', null, CRUD._auditRecords(before, m))));
             },
 
-            /**
-             * Save all modules to localStorage
-             * @returns {boolean} Success status
-             */
-            saveAllLocal() {
-                Object.keys(VOTAX.CRUD._store).forEach(m => this.saveLocal(m));
-                return true;
-            },
+            // =========================
+            // CRUD Module
+            // =========================
+            CRUD: {
+                /** @type {Record<string, Array>} */
+                _store: {},
+                /** @type {Record<string, object>} */
+                _templates: {},
+                /** @type {Record<string, Record<string, Function[]>>} */
+                _hooks: {},
+                /** @type {Record<string, Record<string, Array>>} */
+                _relations: {},
+                /** @type {Record<string, Record<string, {fn: Function, cache: boolean}>>} */
+                _computed: {},
+                /** @type {Record<string, Map<string, Map<string, Object>>>} Cached computed values: module -> id -> name -> { value, fields, modules } */
+                _computedCache: {},
+                /** @type {Array} */
+                _history: [],
+                /** @type {Array} Undone entries, most recent last */
+                _redo: [],
+                /** @type {number} Max undoable entries */
+                _historyLimit: options.historyLimit !== undefined ? options.historyLimit : 100,
+                /** @type {Record<string, object>} Per-module options (see configure) */
+                _moduleOpts: {},
+                /** @type {number} Hook registration counter (keeps equal priorities in order) */
+                _hookSeq: 0,
+                /** @type {Object|null} Active transaction (entries, queued events, module snapshots) */
+                _tx: null,
+                /** @type {Array<{fn: Function, immediate: boolean}>} Internal change observers */
+                _observers: [],
+                /** @type {Record<string, object>} Built full-text indexes */
+                _searchIndexes: {},
+                /** @type {Record<string, object>} Search options (fields, boosts) */
+                _searchOpts: {},
+                /** @type {Record<string, Map<string, number>>} id -> position maps (see _lookup) */
+                _positions: {},
 
-            /**
-             * Load all modules from localStorage
-             * @param {string} prefix - Key prefix (default: 'votax:')
-             * @returns {number} Count of loaded modules
-             */
-            loadAllLocal(prefix = 'votax:') {
-                const keys = Object.keys(localStorage).filter(k => k.startsWith(prefix));
-                keys.forEach(k => {
-                    const module = k.replace(prefix, '');
-                    this.loadLocal(module);
-                });
-                return keys.length;
-            }
-        },
+                /**
+                 * Register template/defaults for a module
+                 * @param {string} module - Module name
+                 * @param {Object} template - Default template object
+                 * @example
+                 * VOTAX.CRUD.registerTemplate('students', { name: '', age: 0, tags: [] });
+                 */
+                registerTemplate(module, template = {}) {
+                    this._templates[module] = VOTAX._cloneDeep(template);
+                },
 
-        /**
-         * Validation module
-         */
-        Validation: {
-            /** @type {Record<string, object>} */
-            _schemas: {},
-            /** @type {Array} */
-            _errors: [],
+                /**
+                 * Register lifecycle hook
+                 * @param {string} module - Module name, or '*' for every module
+                 * @param {string} event - Event name (before:add, after:update, ...), 'before:*', 'after:*' or '*'
+                 * @param {Function} fn - Callback (payload, { module, event }). In before:* hooks,
+                 *   return false to cancel or return an object to replace the payload
+                 * @param {Object} opts - Options (priority: higher runs first, once: remove after first call)
+                 * @returns {Function} Unsubscribe function
+                 * @example
+                 * VOTAX.CRUD.on('students', 'before:add', (item) => {
+                 *   if (!item.name) return false; // cancel add
+                 * });
+                 * const off = VOTAX.CRUD.on('*', 'after:*', (payload, { module, event }) => log(module, event));
+                 * off();
+                 */
+                on(module, event, fn, opts = {}){
+                    if(typeof fn !== 'function') throw new Error('hook must be a function');
+                    this._hooks[module] = this._hooks[module] || {};
+                    this._hooks[module][event] = this._hooks[module][event] || [];
+                    const hook = { fn, priority: opts.priority || 0, once: !!opts.once, seq: this._hookSeq++ };
+                    this._hooks[module][event].push(hook);
+                    return () => this._removeHook(module, event, hook);
+                },
 
-            /**
-             * Register schema for module
-             * @param {string} module - Module name
-             * @param {Object} schema - Validation rules
-             * @example
-             * VOTAX.Validation.registerSchema('students', {
-             *   name: { required: true, minLength: 2 },
-             *   age: { type: 'number', min: 5, max: 120 }
-             * });
-             */
-            registerSchema(module, schema = {}) {
-                this._schemas[module] = schema;
-            },
+                /**
+                 * Register lifecycle hook that runs only once
+                 * @param {string} module - Module name or '*'
+                 * @param {string} event - Event name or pattern
+                 * @param {Function} fn - Callback
+                 * @param {Object} opts - Options (priority)
+                 * @returns {Function} Unsubscribe function
+                 */
+                once(module, event, fn, opts = {}){
+                    return this.on(module, event, fn, Object.assign({}, opts, { once: true }));
+                },
 
-            /**
-             * Validate item against schema
-             * @param {string} module - Module name
-             * @param {Object} item - Item to validate
-             * @returns {ValidationResult} Validation result
-             */
-            validate(module, item) {
-                const schema = this._schemas[module];
-                if(!schema) return { valid: true, errors: [] };
-                const errors = [];
-                Object.keys(schema).forEach(field => {
-                    const rule = schema[field];
-                    const val = item[field];
-                    if(rule.required && (val === undefined || val === null || val === '')) {
-                        errors.push({ field, message: `${field} is required` });
-                    }
-                    if(val !== undefined && val !== null) {
-                        if(rule.type && typeof val !== rule.type) {
-                            errors.push({ field, message: `${field} must be ${rule.type}` });
-                        }
-                        if(rule.pattern && !rule.pattern.test(String(val))) {
-                            errors.push({ field, message: `${field} does not match pattern` });
-                        }
-                        if(rule.custom && typeof rule.custom === 'function' && !rule.custom(val)) {
-                            errors.push({ field, message: `${field} failed custom validation` });
-                        }
-                        if(rule.minLength && String(val).length < rule.minLength) {
-                            errors.push({ field, message: `${field} must be at least ${rule.minLength} chars` });
-                        }
-                        if(rule.maxLength && String(val).length > rule.maxLength) {
-                            errors.push({ field, message: `${field} must be at most ${rule.maxLength} chars` });
-                        }
-                        if(rule.min !== undefined && Number(val) < rule.min) {
-                            errors.push({ field, message: `${field} must be >= ${rule.min}` });
-                        }
-                        if(rule.max !== undefined && Number(val) > rule.max) {
-                            errors.push({ field, message: `${field} must be <= ${rule.max}` });
+                /**
+                 * Remove lifecycle hooks
+                 * @param {string} module - Module name or '*'
+                 * @param {string} event - Event name (omit to remove every hook of the module)
+                 * @param {Function} fn - Callback (omit to remove every hook of the event)
+                 * @returns {number} Count of removed hooks
+                 * @example
+                 * VOTAX.CRUD.off('students', 'before:add', myHook);
+                 */
+                off(module, event, fn){
+                    const byEvent = this._hooks[module];
+                    if(!byEvent) return 0;
+                    let removed = 0;
+                    (event ? [event] : Object.keys(byEvent)).forEach(ev => {
+                        const list = byEvent[ev] || [];
+                        const keep = fn ? list.filter(h => h.fn !== fn) : [];
+                        removed += list.length - keep.length;
+                        byEvent[ev] = keep;
+                    });
+                    return removed;
+                },
+
+                /**
+                 * Remove a single hook record
+                 * @param {string} module - Module name
+                 * @param {string} event - Event name
+                 * @param {Object} hook - Hook record
+                 * @returns {boolean} True if removed
+                 */
+                _removeHook(module, event, hook){
+                    const list = (this._hooks[module] && this._hooks[module][event]) || [];
+                    const idx = list.indexOf(hook);
+                    if(idx === -1) return false;
+                    list.splice(idx, 1);
+                    return true;
+                },
+
+                /**
+                 * Collect hooks matching module/event (including '*' wildcards), by priority
+                 * @param {string} module - Module name
+                 * @param {string} event - Event name
+                 * @returns {Array<{module:string, event:string, hook:Object}>} Matching hook records
+                 */
+                _listeners(module, event){
+                    const phase = event.indexOf(':') !== -1 ? event.split(':')[0] + ':*' : null;
+                    const out = [];
+                    [module, '*'].forEach((m, i) => {
+                        if(i === 1 && module === '*') return;
+                        const byEvent = this._hooks[m];
+                        if(!byEvent) return;
+                        [event, phase, '*'].forEach((ev, j) => {
+                            if(!ev || (j > 0 && ev === event) || !byEvent[ev]) return;
+                            byEvent[ev].forEach(hook => out.push({ module: m, event: ev, hook }));
+                        });
+                    });
+                    out.sort((a, b) => (b.hook.priority - a.hook.priority) || (a.hook.seq - b.hook.seq));
+                    out.forEach(l => { if(l.hook.once) this._removeHook(l.module, l.event, l.hook); });
+                    return out;
+                },
+
+                /**
+                 * Emit notification event (after:* etc.). Hook errors are logged, not thrown,
+                 * because the write has already happened.
+                 * @param {string} module - Module name
+                 * @param {string} event - Event name
+                 * @param {*} payload - Event payload
+                 */
+                _emit(module, event, payload){
+                    if(this._tx) { this._tx.events.push([module, event, payload]); return; }
+                    this._listeners(module, event).forEach(({ hook }) => {
+                        try { hook.fn(payload, { module, event }); }
+                        catch(e) { console.error(`VOTAX hook error (${module} ${event}):`, e); }
+                    });
+                },
+
+                /**
+                 * Emit cancelable event (before:*)
+                 * @param {string} module - Module name
+                 * @param {string} event - Event name
+                 * @param {*} payload - Event payload
+                 * @returns {*} false if a hook cancelled, otherwise the (possibly replaced) payload
+                 */
+                _emitCancelable(module, event, payload){
+                    for(const { hook } of this._listeners(module, event)) {
+                        const res = hook.fn(payload, { module, event });
+                        if(res && typeof res.then === 'function') {
+                            throw new Error(`async hook on ${module} ${event}: use the *Async methods (addAsync, updateAsync, removeAsync)`);
                         }
+                        if(res === false) return false;
+                        if(res && typeof res === 'object') payload = res;
                     }
-                });
-                return { valid: errors.length === 0, errors };
-            },
+                    return payload;
+                },
 
-            /**
-             * Setup auto-validation hooks
-             * @param {string} module - Module name
-             */
-            setupHooks(module) {
-                VOTAX.CRUD.on(module, 'before:add', (item) => {
-                    const { valid, errors } = VOTAX.Validation.validate(module, item);
-                    if(!valid) {
-                        console.warn(`Validation failed for ${module}:`, errors);
-                        VOTAX.Validation._errors.push({ module, item, errors, timestamp: Date.now() });
-                        return false; // cancel add
+                /**
+                 * Emit cancelable event, awaiting async hooks in priority order
+                 * @param {string} module - Module name
+                 * @param {string} event - Event name
+                 * @param {*} payload - Event payload
+                 * @returns {Promise<*>} false if a hook cancelled, otherwise the (possibly replaced) payload
+                 */
+                async _emitCancelableAsync(module, event, payload){
+                    for(const { hook } of this._listeners(module, event)) {
+                        const res = await hook.fn(payload, { module, event, async: true });
+                        if(res === false) return false;
+                        if(res && typeof res === 'object') payload = res;
                     }
-                });
-                VOTAX.CRUD.on(module, 'before:update', ({ after }) => {
-                    const { valid, errors } = VOTAX.Validation.validate(module, after);
-                    if(!valid) {
-                        console.warn(`Validation failed for ${module}:`, errors);
-                        VOTAX.Validation._errors.push({ module, item: after, errors, timestamp: Date.now() });
-                        return false; // cancel update
+                    return payload;
+                },
+
+                /**
+                 * Generate an id no record of the module holds, retrying the id strategy
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item being added
+                 * @param {Function} taken - (id) => bool (default: a stored record has the id)
+                 * @returns {string} Id
+                 */
+                _newId(module, item, taken = id => !!this._lookup(module, id)){
+                    for(let tries = 0; tries < 100; tries++) {
+                        const id = VOTAX._genId(module, item);
+                        if(!taken(id)) return id;
                     }
-                });
-            },
+                    throw new Error(`could not generate a unique id for ${module}`);
+                },
 
-            /**
-             * Get validation errors
-             * @returns {Array} Error log
-             */
-            getErrors() {
-                return VOTAX._cloneDeep(this._errors);
-            },
+                /**
+                 * Build the object to insert (template + item + id/code/tags)
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item data
+                 * @returns {Object} New item
+                 */
+                _prepareAdd(module, item){
+                    if(!module) throw new Error('module name required');
+                    const tpl = this._templates[module] || {};
+                    const obj = VOTAX.Validation._prepare(module, Object.assign({}, VOTAX._cloneDeep(tpl), VOTAX._cloneDeep(item)));
+                    if(obj.id === undefined || obj.id === null) obj.id = this._newId(module, obj);
+                    else if(this._lookup(module, obj.id)) throw new Error(`${module} already has an item with id ${obj.id}`);
+                    if(!obj.code) obj.code = VOTAX._genCode(module, obj);
+                    else if(VOTAX._codeTaken(obj.code) && (this._store[module] || []).some(i => i.code === obj.code)) throw new Error(`${module} already has an item with code ${obj.code}`);
+                    if(!Array.isArray(obj.tags)) obj.tags = obj.tags ? [obj.tags] : [];
+                    return obj;
+                },
 
-            /**
-             * Clear validation errors
-             */
-            clearErrors() {
-                this._errors = [];
-            }
-        },
+                /**
+                 * Insert a prepared item once before:add passed
+                 * @param {string} module - Module name
+                 * @param {Object} obj - Item (possibly replaced by a hook)
+                 * @param {Object} opts - Add options (label)
+                 * @returns {VOTAXItem} Added item
+                 */
+                _commitAdd(module, obj, opts = {}){
+                    VOTAX.Performance._checkUnique(module, obj);
+                    this._checkRelations(module, obj);
+                    this._txTouch(module);
+                    this._store[module] = this._store[module] || [];
+                    this._store[module].push(obj);
+                    const positions = this._positions[module];
+                    if(positions && positions.list === this._store[module] && positions.size === this._store[module].length - 1) positions.set(obj.id, positions.size);
+                    this._record({ type:'add', module, id: obj.id, item: VOTAX._cloneDeep(obj), label: opts.label });
+                    this._changed(module, 'add', [{ id: obj.id, before: null, after: obj }]);
+                    this._emit(module,'after:add', VOTAX._cloneDeep(obj));
+                    return VOTAX._cloneDeep(obj);
+                },
 
-        /**
-         * Advanced UI module
-         */
-        UI: {
-            /**
-             * Generate form for module
-             * @param {string} module - Module name
-             * @param {Function} onSubmit - Submit callback
-             * @returns {HTMLFormElement} Form element
-             */
-            formFor(module, onSubmit = () => {}) {
-                const tpl = VOTAX.CRUD._templates[module] || {};
-                const form = document.createElement('form');
-                form.style.cssText = 'border:1px solid #ccc; padding:10px; margin:10px 0; border-radius:5px;';
-                Object.keys(tpl).forEach(field => {
-                    const val = tpl[field];
-                    const fieldDiv = document.createElement('div');
-                    fieldDiv.style.marginBottom = '10px';
-                    const label = document.createElement('label');
-                    label.textContent = field + ': ';
-                    fieldDiv.appendChild(label);
-                    let input;
-                    if(typeof val === 'boolean') {
-                        input = document.createElement('input');
-                        input.type = 'checkbox';
-                        input.name = field;
-                    } else if(typeof val === 'number') {
-                        input = document.createElement('input');
-                        input.type = 'number';
-                        input.name = field;
-                    } else if(Array.isArray(val)) {
-                        input = document.createElement('input');
-                        input.type = 'text';
-                        input.name = field;
-                        input.placeholder = 'comma-separated';
-                    } else {
-                        input = document.createElement('input');
-                        input.type = 'text';
-                        input.name = field;
-                    }
-                    input.style.marginLeft = '5px';
-                    fieldDiv.appendChild(input);
-                    form.appendChild(fieldDiv);
-                });
-                const btn = document.createElement('button');
-                btn.type = 'submit';
-                btn.textContent = 'Submit';
-                form.appendChild(btn);
-                form.addEventListener('submit', (e) => {
-                    e.preventDefault();
-                    const fd = new FormData(form);
-                    const data = {};
-                    fd.forEach((v, k) => {
-                        const val = tpl[k];
-                        if(typeof val === 'boolean') data[k] = fd.get(k) !== null;
-                        else if(typeof val === 'number') data[k] = Number(fd.get(k));
-                        else if(Array.isArray(val)) data[k] = fd.get(k).split(',').map(s => s.trim());
-                        else data[k] = fd.get(k);
-                    });
-                    onSubmit(data);
-                });
-                return form;
-            },
+                /**
+                 * Add item to module
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item data
+                 * @param {Object} opts - Options (label: history label)
+                 * @returns {VOTAXItem|null} Added item or null if cancelled
+                 * @example
+                 * const student = VOTAX.CRUD.add('students', { name: 'Amy', age: 20 });
+                 */
+                add(module, item = {}, opts = {}) {
+                    const obj = this._emitCancelable(module, 'before:add', this._prepareAdd(module, item));
+                    if(!obj) return this._cancelled(module, 'before:add', null);
+                    return this._commitAdd(module, obj, opts);
+                },
 
-            /**
-             * Show modal dialog
-             * @param {string} title - Modal title
-             * @param {string|HTMLElement} content - Content
-             * @param {Array<{label:string, onclick:Function}>} buttons - Buttons
-             * @returns {HTMLDivElement} Modal overlay
-             */
-            modal(title, content, buttons = []) {
-                const overlay = document.createElement('div');
-                overlay.style.cssText = 'position:fixed; top:0; left:0; width:100%; height:100%; background:rgba(0,0,0,0.5); display:flex; align-items:center; justify-content:center; z-index:9999;';
-                const box = document.createElement('div');
-                box.style.cssText = 'background:white; padding:20px; border-radius:10px; max-width:500px; box-shadow:0 4px 6px rgba(0,0,0,0.1);';
-                const titleEl = document.createElement('h3');
-                titleEl.textContent = title;
-                box.appendChild(titleEl);
-                const contentEl = document.createElement('div');
-                contentEl.innerHTML = typeof content === 'string' ? content : '';
-                if(content instanceof HTMLElement) contentEl.appendChild(content);
-                box.appendChild(contentEl);
-                const btnDiv = document.createElement('div');
-                btnDiv.style.marginTop = '15px';
-                buttons.forEach(({ label, onclick }) => {
-                    const btn = document.createElement('button');
-                    btn.textContent = label;
-                    btn.style.marginRight = '10px';
-                    btn.onclick = () => { onclick(); overlay.remove(); };
-                    btnDiv.appendChild(btn);
-                });
-                box.appendChild(btnDiv);
-                overlay.appendChild(box);
-                overlay.onclick = (e) => { if(e.target === overlay) overlay.remove(); };
-                document.body.appendChild(overlay);
-                return overlay;
-            },
+                /**
+                 * Add item to module, awaiting async before:add hooks
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item data
+                 * @returns {Promise<VOTAXItem|null>} Added item or null if cancelled
+                 * @example
+                 * VOTAX.CRUD.on('users', 'before:add', async (u) => (await isTaken(u.email)) ? false : u);
+                 * const user = await VOTAX.CRUD.addAsync('users', { email: 'a@b.c' });
+                 */
+                async addAsync(module, item = {}, opts = {}) {
+                    const obj = await this._emitCancelableAsync(module, 'before:add', this._prepareAdd(module, item));
+                    if(!obj) return this._cancelled(module, 'before:add', null);
+                    return this._commitAdd(module, obj, opts);
+                },
 
-            /**
-             * Make list draggable
-             * @param {string|HTMLElement} container - Container selector or element
-             * @param {Array} items - Items to render
-             * @param {Function} onReorder - Reorder callback
-             */
-            makeDraggable(container, items = [], onReorder = () => {}) {
-                const el = (typeof container === 'string') ? document.querySelector(container) : container;
-                if(!el) return;
-                el.innerHTML = '';
-                items.forEach((item, i) => {
-                    const div = document.createElement('div');
-                    div.draggable = true;
-                    div.style.cssText = 'padding:10px; border:1px solid #ddd; margin:5px 0; cursor:move; border-radius:5px;';
-                    div.textContent = item.name || item.title || JSON.stringify(item).slice(0,50);
-                    div.dataset.index = i;
-                    div.addEventListener('dragstart', (e) => e.dataTransfer.effectAllowed = 'move');
-                    div.addEventListener('dragover', (e) => e.preventDefault());
-                    div.addEventListener('drop', (e) => {
-                        e.preventDefault();
-                        const from = parseInt(e.dataTransfer.getData('text/plain') || 0);
-                        const to = parseInt(div.dataset.index);
-                        if(from !== to) {
-                            [items[from], items[to]] = [items[to], items[from]];
-                            onReorder(items);
-                            VOTAX.UI.makeDraggable(el, items, onReorder);
-                        }
-                    });
-                    div.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', i));
-                    el.appendChild(div);
-                });
-            },
+                /**
+                 * Get single item by ID or code
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @param {Object} opts - Options (includeDeleted: also return a soft-deleted item; withComputed, populate as in query)
+                 * @returns {VOTAXItem|null} Item or null if not found
+                 * @example
+                 * const student = VOTAX.CRUD.get('students', 'stu-12345');
+                 * const full = VOTAX.CRUD.get('students', id, { populate: { tasks: { populate: 'project' } } });
+                 */
+                get(module, id, opts = {}) {
+                    const it = this._find(module, id);
+                    if(!it || (!opts.includeDeleted && this._isTrashed(module, it))) return null;
+                    const row = VOTAX._cloneDeep(this._view(module, it, this._computedNames(module, opts)));
+                    return opts.populate ? this._populate(module, [row], opts.populate)[0] : row;
+                },
 
-            /**
-             * Render dashboard for module
-             * @param {string|HTMLElement} container - Container
-             * @param {string} module - Module name
-             */
-            renderDashboard(container, module){
-                const el = (typeof container === 'string') ? document.querySelector(container) : container;
-                if(!el) return;
-                const list = VOTAX.CRUD.getAll(module);
-                el.innerHTML = '';
-                const header = document.createElement('div');
-                header.innerHTML = `<strong>${module}</strong> — Total: ${list.length}`;
-                el.appendChild(header);
-                const nums = {};
-                list.forEach(it => {
-                    Object.keys(it).forEach(k => {
-                        const v = it[k];
-                        if(typeof v === 'number') {
-                            nums[k] = nums[k] || { sum:0, cnt:0 };
-                            nums[k].sum += v; nums[k].cnt++;
-                        }
-                    });
-                });
-                Object.keys(nums).forEach(k => {
-                    const row = document.createElement('div');
-                    row.textContent = `${k}: sum=${nums[k].sum} avg=${(nums[k].sum/nums[k].cnt).toFixed(2)}`;
-                    el.appendChild(row);
-                });
-                const tagmap = {};
-                list.forEach(it => (it.tags||[]).forEach(t => tagmap[t] = (tagmap[t]||0)+1));
-                const tagsRow = document.createElement('div');
-                tagsRow.textContent = 'Tags: ' + Object.keys(tagmap).map(t => `${t}(${tagmap[t]})`).join(', ');
-                el.appendChild(tagsRow);
-            }
-        },
+                /**
+                 * Find the stored (live) item by ID, falling back to code
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @returns {Object|undefined} Stored item
+                 */
+                _find(module, id) {
+                    return this._lookup(module, id) || (this._store[module] || []).find(i => i.code === id);
+                },
 
-        /**
-         * Performance module (indexing, pagination)
-         */
-        Performance: {
-            /** @type {Record<string, Record<string, object>>} */
-            _indexes: {},
+                /**
+                 * Whether a stored item sits in the trash of a soft-delete module
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item
+                 * @returns {boolean} True if soft-deleted
+                 */
+                _isTrashed(module, item){
+                    return item.deletedAt !== undefined && item.deletedAt !== null && !!this._opt(module, 'softDelete', false);
+                },
 
-            /**
-             * Build index on field
-             * @param {string} module - Module name
-             * @param {string} field - Field name
-             * @returns {Object} Index
-             */
-            buildIndex(module, field) {
-                const list = VOTAX.CRUD._store[module] || [];
-                const idx = {};
-                list.forEach((item, i) => {
-                    const val = item[field];
-                    if(val !== undefined) {
-                        if(!idx[val]) idx[val] = [];
-                        idx[val].push(i);
-                    }
-                });
-                this._indexes[module] = this._indexes[module] || {};
-                this._indexes[module][field] = idx;
-                return idx;
-            },
+                /**
+                 * Stored (live) items visible to reads: soft-deleted items are left out
+                 * unless opts.includeDeleted
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (includeDeleted)
+                 * @returns {Object[]} Stored items
+                 */
+                _live(module, opts = {}){
+                    const list = this._store[module] || [];
+                    if(opts.includeDeleted || !this._opt(module, 'softDelete', false)) return list;
+                    return list.filter(i => i.deletedAt === undefined || i.deletedAt === null);
+                },
 
-            /**
-             * Paginate results
-             * @param {string} module - Module name
-             * @param {number} page - Page number (1-indexed)
-             * @param {number} pageSize - Items per page
-             * @returns {PaginationResult} Pagination result
-             */
-            paginate(module, page = 1, pageSize = 10) {
-                const list = VOTAX.CRUD.getAll(module);
-                const total = list.length;
-                const start = (page - 1) * pageSize;
-                const items = list.slice(start, start + pageSize);
-                return { page, pageSize, total, pages: Math.ceil(total / pageSize), items };
-            },
+                /**
+                 * Find the stored (live) item by ID through a self-healing id -> position map
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID
+                 * @returns {Object|undefined} Stored item
+                 */
+                _lookup(module, id) {
+                    const list = this._store[module] || [];
+                    let map = this._positions[module];
+                    if(!map || map.list !== list || map.size !== list.length) map = this._reindex(module);
+                    let pos = map.get(id);
+                    if(pos !== undefined && (!list[pos] || list[pos].id !== id)) pos = this._reindex(module).get(id);
+                    return pos === undefined ? undefined : list[pos];
+                },
 
-            /**
-             * Query using index (fast for large datasets)
-             * @param {string} module - Module name
-             * @param {string} field - Indexed field
-             * @param {*} value - Value to match
-             * @returns {VOTAXItem[]} Matching items
-             */
-            queryWithIndex(module, field, value) {
-                const idx = (this._indexes[module] && this._indexes[module][field]) || {};
-                const indices = idx[value] || [];
-                const list = VOTAX.CRUD._store[module] || [];
-                return indices.map(i => VOTAX._cloneDeep(list[i]));
-            }
-        },
+                /**
+                 * Rebuild the id -> position map of a module
+                 * @param {string} module - Module name
+                 * @returns {Map<string, number>} Map
+                 */
+                _reindex(module) {
+                    const list = this._store[module] || [];
+                    const map = new Map();
+                    list.forEach((it, i) => map.set(it.id, i));
+                    map.list = list;
+                    this._positions[module] = map;
+                    return map;
+                },
 
-        /**
-         * Advanced animations (easing, timeline, spring)
-         */
-        Animate: {
-            /**
-             * Animate to state
-             * @param {string|HTMLElement} target - Element selector or element
-             * @param {Object} toProps - Target properties
-             * @param {number} duration - Duration in seconds
-             * @param {Object} opts - Options (easing, stagger)
-             * @returns {Promise} Animation promise
-             * @example
-             * VOTAX.Animate.to(el, { x: 100, opacity: 0.5 }, 1, 
-             *   { easing: VOTAX.Animate.ease.easeOut }
-             * );
-             */
-            to(target, toProps = {}, duration = 1, opts = {}){
-                return VOTAX.Animate._run('to', target, null, toProps, duration, opts);
-            },
+                /**
+                 * Stored items for ids, in store order
+                 * @param {string} module - Module name
+                 * @param {string[]} ids - Item IDs
+                 * @returns {Object[]} Stored (live) items
+                 */
+                _inStoreOrder(module, ids) {
+                    const list = this._store[module] || [];
+                    const seen = new Set();
+                    const pos = [];
+                    ids.forEach(id => {
+                        if(seen.has(id)) return;
+                        seen.add(id);
+                        const it = this._lookup(module, id);
+                        if(it) pos.push(this._positions[module].get(id));
+                    });
+                    return pos.sort((a, b) => a - b).map(p => list[p]);
+                },
 
-            /**
-             * Animate from state
-             * @param {string|HTMLElement} target - Element
-             * @param {Object} fromProps - Starting properties
-             * @param {number} duration - Duration
-             * @param {Object} opts - Options
-             * @returns {Promise} Animation promise
-             */
-            from(target, fromProps = {}, duration = 1, opts = {}){
-                return VOTAX.Animate._run('from', target, fromProps, null, duration, opts);
-            },
+                /**
+                 * Get all items in module
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (sortBy, dir, includeDeleted, withComputed, populate as in query)
+                 * @returns {VOTAXItem[]} All items
+                 * @example
+                 * const all = VOTAX.CRUD.getAll('students');
+                 */
+                getAll(module, opts = {}) {
+                    const names = this._computedNames(module, opts);
+                    const extra = opts.sortBy ? this._computedRefs(module, undefined, opts.sortBy).filter(n => names.indexOf(n) === -1) : [];
+                    const list = names.length || extra.length ? this._live(module, opts).map(i => this._view(module, i, names.concat(extra))) : this._live(module, opts);
+                    // sort a copy: the live array order backs positions, history and indexes
+                    const sorted = opts.sortBy ? this._sortItems(list, { field: opts.sortBy, dir: opts.dir }) : list;
+                    const rows = this._strip(sorted.map(i => VOTAX._cloneDeep(i)), extra);
+                    return opts.populate ? this._populate(module, rows, opts.populate) : rows;
+                },
 
-            /**
-             * Animate from/to state
-             * @param {string|HTMLElement} target - Element
-             * @param {Object} fromProps - Starting properties
-             * @param {Object} toProps - Target properties
-             * @param {number} duration - Duration
-             * @param {Object} opts - Options
-             * @returns {Promise} Animation promise
-             */
-            fromTo(target, fromProps = {}, toProps = {}, duration = 1, opts = {}){
-                return VOTAX.Animate._run('fromTo', target, fromProps, toProps, duration, opts);
-            },
+                /**
+                 * Apply the final after-state of an update in place
+                 * @param {string} module - Module name
+                 * @param {Object} it - Stored item
+                 * @param {Object} before - Clone of the item before the update
+                 * @param {Object} after - Proposed state (possibly replaced by a hook)
+                 * @returns {VOTAXItem} Updated item
+                 */
+                _commitUpdate(module, it, before, after){
+                    VOTAX.Performance._checkUnique(module, Object.assign({}, after, { id: it.id }));
+                    this._checkRelations(module, Object.assign({}, after, { id: it.id }));
+                    this._txTouch(module);
+                    VOTAX._replaceContents(it, after);
+                    this._record({ type:'update', module, id: it.id, before, after: VOTAX._cloneDeep(it) });
+                    this._changed(module, 'update', [{ id: it.id, before, after: it }]);
+                    this._emit(module,'after:update', VOTAX._cloneDeep(it));
+                    return VOTAX._cloneDeep(it);
+                },
 
-            /**
-             * Easing functions
-             * @type {Object}
-             */
-            ease: {
-                linear: t => t,
-                easeIn: t => t * t,
-                easeOut: t => t * (2 - t),
-                easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
-                cubicBezier: (x1, y1, x2, y2) => {
-                    return (t) => {
-                        const mt = 1 - t;
-                        return 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t;
-                    };
-                }
-            },
+                /**
+                 * Update item by ID or code
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @param {Object} patch - Fields to update
+                 * @returns {VOTAXItem|null} Updated item or null if not found, in the trash or cancelled
+                 * @example
+                 * VOTAX.CRUD.update('students', studentId, { age: 21 });
+                 */
+                update(module, id, patch = {}) {
+                    const it = this._find(module, id);
+                    if(!it || this._isTrashed(module, it)) return null;
+                    const before = VOTAX._cloneDeep(it);
+                    const proposed = VOTAX.Validation._prepare(module, Object.assign({}, VOTAX._cloneDeep(it), VOTAX._cloneDeep(patch)), { defaults: false });
+                    const res = this._emitCancelable(module, 'before:update', { before:VOTAX._cloneDeep(before), after:proposed });
+                    if(!res) return this._cancelled(module, 'before:update', null);
+                    return this._commitUpdate(module, it, before, res.after);
+                },
 
-            /**
-             * Create animation timeline (sequence)
-             * @returns {Object} Timeline object with add() and play()
-             * @example
-             * VOTAX.Animate.timeline()
-             *   .add(el, { x: 100 }, 0.5)
-             *   .add(el, { y: 100 }, 0.5)
-             *   .play();
-             */
-            timeline() {
-                const seq = [];
-                return {
-                    add(target, props, duration, opts) {
-                        seq.push({ target, props, duration, opts });
-                        return this;
-                    },
-                    play() {
-                        let promise = Promise.resolve();
-                        seq.forEach(({ target, props, duration, opts }) => {
-                            promise = promise.then(() => VOTAX.Animate.to(target, props, duration, opts));
-                        });
-                        return promise;
-                    }
-                };
-            },
+                /**
+                 * Update item by ID or code, awaiting async before:update hooks
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @param {Object} patch - Fields to update
+                 * @returns {Promise<VOTAXItem|null>} Updated item or null if not found, in the trash or cancelled
+                 */
+                async updateAsync(module, id, patch = {}) {
+                    const found = this._find(module, id);
+                    if(!found || this._isTrashed(module, found)) return null;
+                    const before = VOTAX._cloneDeep(found);
+                    const proposed = VOTAX.Validation._prepare(module, Object.assign({}, VOTAX._cloneDeep(found), VOTAX._cloneDeep(patch)), { defaults: false });
+                    const res = await this._emitCancelableAsync(module, 'before:update', { before:VOTAX._cloneDeep(before), after:proposed });
+                    if(!res) return this._cancelled(module, 'before:update', null);
+                    // the item may have been removed or trashed while hooks were pending
+                    const it = this._lookup(module, before.id);
+                    if(!it || this._isTrashed(module, it)) return null;
+                    return this._commitUpdate(module, it, before, res.after);
+                },
 
-            /**
-             * Spring physics animation
-             * @param {string|HTMLElement} target - Element
-             * @param {Object} fromProps - Starting state
-             * @param {Object} toProps - Target state
-             * @param {number} stiffness - Spring stiffness (0-1)
-             * @param {number} damping - Damping (0-1)
-             * @returns {Promise} Animation promise
-             */
-            spring(target, fromProps, toProps, stiffness = 0.1, damping = 0.5) {
-                return new Promise(resolve => {
-                    const els = VOTAX._resolveTargets(target);
-                    els.forEach(el => {
-                        if(!el.__votax_trans) el.__votax_trans = {x:0,y:0,scale:1,rotate:0};
-                        const state = {};
-                        const velocity = {};
-                        Object.keys(toProps).forEach(k => {
-                            state[k] = fromProps[k] || toProps[k];
-                            velocity[k] = 0;
-                        });
-                        const animate = () => {
-                            let settled = true;
-                            Object.keys(toProps).forEach(k => {
-                                const target = toProps[k];
-                                const diff = target - state[k];
-                                velocity[k] += diff * stiffness;
-                                velocity[k] *= damping;
-                                state[k] += velocity[k];
-                                if(Math.abs(diff) > 0.01) settled = false;
-                                if(['x','y','scale','rotate'].includes(k)) el.__votax_trans[k] = state[k];
-                                else el.style[k] = state[k];
-                            });
-                            const tx = el.__votax_trans.x || 0, ty = el.__votax_trans.y || 0;
-                            el.style.transform = `translate(${tx}px, ${ty}px) scale(${el.__votax_trans.scale || 1}) rotate(${el.__votax_trans.rotate || 0}deg)`;
-                            if(!settled) requestAnimationFrame(animate);
-                            else resolve();
-                        };
-                        animate();
+                /**
+                 * Remove a stored item once before:remove passed
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID
+                 * @returns {boolean} True if deleted
+                 */
+                _commitRemove(module, id){
+                    const idx = (this._store[module] || []).findIndex(i => i.id === id);
+                    if(idx === -1) return false;
+                    this._txTouch(module);
+                    const sp = this._store[module].splice(idx,1)[0];
+                    this._record({ type:'remove', module, index: idx, removed: VOTAX._cloneDeep(sp) });
+                    this._changed(module, 'remove', [{ id: sp.id, before: sp, after: null }]);
+                    this._emit(module,'after:remove', VOTAX._cloneDeep(sp));
+                    return true;
+                },
+
+                /**
+                 * Move a stored item to the trash (soft delete) once before:remove passed.
+                 * Recorded as an update, so undo and persistence see a plain field change.
+                 * @param {string} module - Module name
+                 * @param {Object} it - Stored item
+                 * @returns {boolean} True
+                 */
+                _commitTrash(module, it){
+                    const before = VOTAX._cloneDeep(it);
+                    this._txTouch(module);
+                    it.deletedAt = VOTAX._now();
+                    this._record({ type:'update', module, id: it.id, before, after: VOTAX._cloneDeep(it) });
+                    this._changed(module, 'update', [{ id: it.id, before, after: it }]);
+                    this._emit(module,'after:remove', VOTAX._cloneDeep(it));
+                    return true;
+                },
+
+                /**
+                 * Remove item by ID or code. On soft-delete modules the item is only
+                 * marked with deletedAt and moved to the trash (see trash/restore/purge).
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @returns {boolean} True if deleted
+                 * @example
+                 * VOTAX.CRUD.remove('students', studentId);
+                 */
+                remove(module, id) {
+                    if(!this._store[module]) return false;
+                    const removed = this._find(module, id);
+                    if(!removed || this._isTrashed(module, removed)) return false;
+                    if(!this._emitCancelable(module,'before:remove', VOTAX._cloneDeep(removed))) return this._cancelled(module, 'before:remove', false);
+                    return this._onDelete(module, [removed], () => this._opt(module, 'softDelete', false)
+                        ? this._commitTrash(module, removed)
+                        : this._commitRemove(module, removed.id));
+                },
+
+                /**
+                 * Remove item by ID or code, awaiting async before:remove hooks
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @returns {Promise<boolean>} True if deleted
+                 */
+                async removeAsync(module, id) {
+                    if(!this._store[module]) return false;
+                    const removed = this._find(module, id);
+                    if(!removed || this._isTrashed(module, removed)) return false;
+                    if(!await this._emitCancelableAsync(module,'before:remove', VOTAX._cloneDeep(removed))) return this._cancelled(module, 'before:remove', false);
+                    const it = this._lookup(module, removed.id);
+                    if(!it || this._isTrashed(module, it)) return false;
+                    return this._onDelete(module, [it], () => this._opt(module, 'softDelete', false)
+                        ? this._commitTrash(module, it)
+                        : this._commitRemove(module, it.id));
+                },
+
+                /**
+                 * Bulk update items matching predicate (trashed items are left alone)
+                 * @param {string} module - Module name
+                 * @param {Function|string} predicate - Filter function or ID
+                 * @param {Object} patch - Fields to update
+                 * @returns {number} Count of updated items
+                 * @example
+                 * VOTAX.CRUD.bulkUpdate('students', s => s.age > 18, { verified: true });
+                 */
+                bulkUpdate(module, predicate, patch = {}) {
+                    const list = this._store[module] || [];
+                    const bulk = this._emitCancelable(module,'before:bulkUpdate', { patch: VOTAX._cloneDeep(patch) });
+                    if(!bulk) return this._cancelled(module, 'before:bulkUpdate', 0);
+                    patch = bulk.patch;
+                    const planned = [];
+                    list.forEach(it => {
+                        if(this._isTrashed(module, it)) return;
+                        if(typeof predicate === 'function' ? predicate(it) : predicate === it.id || predicate === it.code) {
+                            const before = VOTAX._cloneDeep(it);
+                            const proposed = VOTAX.Validation._prepare(module, Object.assign({}, VOTAX._cloneDeep(it), VOTAX._cloneDeep(patch)), { defaults: false });
+                            const res = this._emitCancelable(module,'before:update', { before:VOTAX._cloneDeep(before), after:proposed });
+                            if(!res) return this._cancelled(module, 'before:update');
+                            planned.push({ it, before, after: res.after });
+                        }
+                    });
+                    // check the whole batch before the first write, so a violation changes nothing
+                    const proposals = planned.map(p => Object.assign({}, p.after, { id: p.it.id }));
+                    VOTAX.Performance._checkUniqueBatch(module, proposals);
+                    proposals.forEach(p => this._checkRelations(module, p));
+                    const changed = [];
+                    planned.forEach(({ it, before, after }) => {
+                        this._txTouch(module);
+                        VOTAX._replaceContents(it, after);
+                        changed.push({ before, after: VOTAX._cloneDeep(it), live: it });
+                        this._emit(module,'after:update', VOTAX._cloneDeep(it));
+                    });
+                    if(changed.length) {
+                        this._changed(module, 'bulkUpdate', changed.map(c => ({ id: c.live.id, before: c.before, after: c.live })));
+                        changed.forEach(c => delete c.live);
+                        this._record({ type:'bulkUpdate', module, changes: changed });
+                        this._emit(module,'after:bulkUpdate', { updatedCount: changed.length, items: changed.map(c => VOTAX._cloneDeep(c.after)) });
+                    }
+                    return changed.length;
+                },
+
+                /**
+                 * Bulk remove items matching predicate (soft-deletes on soft-delete modules)
+                 * @param {string} module - Module name
+                 * @param {Function|string} predicate - Filter function or ID
+                 * @returns {number} Count of removed items
+                 * @example
+                 * VOTAX.CRUD.bulkRemove('students', s => s.grade === 'F');
+                 */
+                bulkRemove(module, predicate) {
+                    const test = it => typeof predicate === 'function' ? predicate(it) : predicate === it.id || predicate === it.code;
+                    if(this._opt(module, 'softDelete', false)) return this._bulkTrash(module, it => !this._isTrashed(module, it) && test(it));
+                    return this._commitBulkRemove(module, test);
+                },
+
+                /**
+                 * Permanently remove the items matching a test (before:/after:bulkRemove)
+                 * @param {string} module - Module name
+                 * @param {Function} matches - Test on stored items
+                 * @returns {number} Count of removed items
+                 */
+                _commitBulkRemove(module, matches) {
+                    if(!this._store[module]) return 0;
+                    const toRemove = this._store[module].filter(matches);
+                    if(!toRemove.length) return 0;
+                    if(!this._emitCancelable(module,'before:bulkRemove', { before: VOTAX._cloneDeep(this._store[module]), items: VOTAX._cloneDeep(toRemove) })) return this._cancelled(module, 'before:bulkRemove', 0);
+                    return this._onDelete(module, toRemove, () => {
+                        // positions are taken after onDelete rules ran (a self-relation may have removed rows)
+                        const before = this._store[module];
+                        const removeSet = new Set(toRemove);
+                        const positions = [];
+                        before.forEach((it, index) => { if(removeSet.has(it)) positions.push({ index, item: VOTAX._cloneDeep(it) }); });
+                        this._txTouch(module);
+                        this._store[module] = before.filter(it => !removeSet.has(it));
+                        const removed = before.length - this._store[module].length;
+                        this._record({ type:'bulkRemove', module, removed: positions });
+                        this._changed(module, 'bulkRemove', toRemove.map(it => ({ id: it.id, before: it, after: null })));
+                        this._emit(module,'after:bulkRemove', { removedCount: removed, items: VOTAX._cloneDeep(toRemove) });
+                        return removed;
+                    });
+                },
+
+                /**
+                 * Move the items matching a test to the trash as one bulkUpdate history entry
+                 * @param {string} module - Module name
+                 * @param {Function} matches - Test on stored items
+                 * @returns {number} Count of trashed items
+                 */
+                _bulkTrash(module, matches) {
+                    const list = this._store[module] || [];
+                    const toTrash = list.filter(matches);
+                    if(!toTrash.length) return 0;
+                    if(!this._emitCancelable(module,'before:bulkRemove', { before: VOTAX._cloneDeep(list), items: VOTAX._cloneDeep(toTrash) })) return this._cancelled(module, 'before:bulkRemove', 0);
+                    return this._onDelete(module, toTrash, () => {
+                        this._txTouch(module);
+                        const now = VOTAX._now();
+                        const changed = toTrash.map(it => {
+                            const before = VOTAX._cloneDeep(it);
+                            it.deletedAt = now;
+                            return { before, after: VOTAX._cloneDeep(it), live: it };
+                        });
+                        this._changed(module, 'bulkUpdate', changed.map(c => ({ id: c.live.id, before: c.before, after: c.live })));
+                        changed.forEach(c => delete c.live);
+                        this._record({ type:'bulkUpdate', module, changes: changed });
+                        this._emit(module,'after:bulkRemove', { removedCount: toTrash.length, items: VOTAX._cloneDeep(toTrash) });
+                        return toTrash.length;
+                    });
+                },
+
+                /**
+                 * List the soft-deleted items of a module, most recently deleted first
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Query options (sort, skip, limit, select)
+                 * @returns {VOTAXItem[]} Trashed items
+                 * @example
+                 * VOTAX.CRUD.configure('students', { softDelete: true });
+                 * VOTAX.CRUD.remove('students', id);
+                 * VOTAX.CRUD.trash('students'); // [{ ..., deletedAt: 1718000000000 }]
+                 */
+                trash(module, opts = {}) {
+                    const list = (this._store[module] || []).filter(i => this._isTrashed(module, i));
+                    return this._shape(list, Object.assign({ sort: '-deletedAt' }, opts), module);
+                },
+
+                /**
+                 * Bring a soft-deleted item back out of the trash. Runs before:/after:update
+                 * hooks and unique checks, then emits after:restore.
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @returns {VOTAXItem|null} Restored item or null if not in the trash or cancelled
+                 * @example
+                 * VOTAX.CRUD.restore('students', id);
+                 */
+                restore(module, id) {
+                    const it = this._find(module, id);
+                    if(!it || !this._isTrashed(module, it)) return null;
+                    const before = VOTAX._cloneDeep(it);
+                    const proposed = VOTAX._cloneDeep(it);
+                    delete proposed.deletedAt;
+                    const res = this._emitCancelable(module, 'before:update', { before: VOTAX._cloneDeep(before), after: proposed });
+                    if(!res) return this._cancelled(module, 'before:update', null);
+                    const restored = this._commitUpdate(module, it, before, res.after);
+                    this._emit(module, 'after:restore', VOTAX._cloneDeep(restored));
+                    return restored;
+                },
+
+                /**
+                 * Permanently remove items from the trash
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (olderThan: age in ms, or a Date cutoff; omit to empty the trash)
+                 * @returns {number} Count of purged items
+                 * @example
+                 * VOTAX.CRUD.purge('students', { olderThan: 30 * 24 * 3600 * 1000 });
+                 */
+                purge(module, opts = {}) {
+                    const limit = opts.olderThan instanceof Date ? opts.olderThan.getTime()
+                        : typeof opts.olderThan === 'number' ? VOTAX._now() - opts.olderThan : Infinity;
+                    return this._commitBulkRemove(module, it => this._isTrashed(module, it) && Number(it.deletedAt) <= limit);
+                },
+
+                /**
+                 * Ranked full-text search. Text is tokenized and case/diacritic folded;
+                 * query terms match exactly, by prefix or with typos (fuzzy), and results
+                 * are ranked by relevance (tf-idf with per-field boosts). Backed by an
+                 * inverted index that is built on first use and kept up to date on writes.
+                 * @param {string} module - Module name
+                 * @param {string} q - Search query
+                 * @param {string[]} fields - Fields to search (default: all)
+                 * @param {Object} opts - Options (limit, mode: 'all'|'any', fuzzy: true, prefix: true,
+                 *   boosts: { field: weight }, withScores: return { item, score, highlights }, includeDeleted)
+                 * @returns {Array} Matching items, best first
+                 * @example
+                 * const results = VOTAX.CRUD.search('students', 'amy', ['name', 'email']);
+                 * VOTAX.CRUD.search('students', 'jose garcia', [], { withScores: true, boosts: { name: 3 } });
+                 * // [{ item, score, highlights: { name: '<mark>José</mark> <mark>García</mark>' } }]
+                 */
+                search(module, q, fields = [], opts = {}) {
+                    const terms = VOTAX._tokenize(q);
+                    if(!terms.length) return [];
+                    const idx = this._searchIndex(module);
+                    const only = fields && fields.length ? fields : null;
+                    const boosts = Object.assign({}, idx.boosts, opts.boosts);
+                    const total = idx.docs.size || 1;
+                    const scores = new Map();
+                    const matchedTerms = new Set();
+                    terms.forEach((term, ti) => {
+                        const best = new Map();
+                        this._expandTerm(idx, term, opts).forEach(({ token, weight }) => {
+                            const postings = idx.postings.get(token);
+                            let hit = false;
+                            const idf = Math.log(1 + total / postings.size);
+                            postings.forEach((byField, id) => {
+                                let s = 0;
+                                byField.forEach((tf, field) => {
+                                    if(only && !only.some(f => field === f || field.startsWith(f + '.'))) return;
+                                    s += tf * (boosts[field] || boosts[field.split('.')[0]] || 1);
+                                });
+                                if(!s) return;
+                                hit = true;
+                                s *= weight * idf;
+                                if(s > (best.get(id) || 0)) best.set(id, s);
+                            });
+                            if(hit) matchedTerms.add(token);
+                        });
+                        best.forEach((s, id) => {
+                            const cur = scores.get(id) || { score: 0, terms: 0 };
+                            if(cur.terms === ti || opts.mode === 'any') scores.set(id, { score: cur.score + s, terms: cur.terms + 1 });
+                        });
+                    });
+                    const byId = new Map((this._store[module] || []).map(i => [i.id, i]));
+                    let ranked = [];
+                    scores.forEach((v, id) => {
+                        if(opts.mode !== 'any' && v.terms < terms.length) return;
+                        const item = byId.get(id);
+                        if(item && (opts.includeDeleted || !this._isTrashed(module, item))) ranked.push({ item, score: v.score });
+                    });
+                    ranked.sort((a, b) => b.score - a.score);
+                    if(opts.limit) ranked = ranked.slice(0, opts.limit);
+                    if(!opts.withScores) return ranked.map(r => VOTAX._cloneDeep(r.item));
+                    return ranked.map(r => ({
+                        item: VOTAX._cloneDeep(r.item),
+                        score: Math.round(r.score * 1000) / 1000,
+                        highlights: this._highlight(module, r.item, matchedTerms, only, opts)
+                    }));
+                },
+
+                /**
+                 * Configure search for a module (rebuilds its index on next search)
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (fields: fields to index, default all; boosts: { field: weight })
+                 * @example
+                 * VOTAX.CRUD.configureSearch('students', { fields: ['name', 'email', 'bio'], boosts: { name: 3 } });
+                 */
+                configureSearch(module, opts = {}) {
+                    this._searchOpts[module] = Object.assign({}, opts);
+                    delete this._searchIndexes[module];
+                },
+
+                /**
+                 * Get (building if needed) the inverted index of a module
+                 * @param {string} module - Module name
+                 * @returns {Object} Index { fields, boosts, postings: Map<token, Map<id, Map<field, tf>>>, docs: Map<id, token[]>,
+                 *   tokens: sorted vocabulary (prefix lookups), byLength: Map<length, Set<token>> (fuzzy lookups) }
+                 */
+                _searchIndex(module){
+                    if(this._searchIndexes[module]) return this._searchIndexes[module];
+                    const o = this._searchOpts[module] || {};
+                    const idx = { fields: o.fields || null, boosts: o.boosts || {}, postings: new Map(), docs: new Map(), tokens: [], byLength: new Map() };
+                    (this._store[module] || []).forEach(item => this._indexDoc(idx, item));
+                    this._searchIndexes[module] = idx;
+                    return idx;
+                },
+
+                /**
+                 * Keep built search indexes in sync with writes (registered as an immediate observer)
+                 * @param {string} module - Module name
+                 * @param {string} type - Change type
+                 * @param {Array|null} changes - Changed records
+                 */
+                _searchSync(module, type, changes){
+                    const idx = this._searchIndexes[module];
+                    if(!idx) return;
+                    if(!changes) { delete this._searchIndexes[module]; return; }
+                    changes.forEach(c => {
+                        this._unindexDoc(idx, c.id);
+                        if(c.after) this._indexDoc(idx, c.after);
+                    });
+                },
+
+                /**
+                 * Add an item's tokens to an index
+                 * @param {Object} idx - Index
+                 * @param {Object} item - Item
+                 */
+                _indexDoc(idx, item){
+                    const tokens = [];
+                    VOTAX._textFields(item, idx.fields).forEach(({ field, text }) => {
+                        VOTAX._tokenize(text).forEach(token => {
+                            if(!idx.postings.has(token)) { idx.postings.set(token, new Map()); this._addToken(idx, token); }
+                            const posting = idx.postings.get(token);
+                            if(!posting.has(item.id)) { posting.set(item.id, new Map()); tokens.push(token); }
+                            const byField = posting.get(item.id);
+                            byField.set(field, (byField.get(field) || 0) + 1);
+                        });
+                    });
+                    idx.docs.set(item.id, tokens);
+                },
+
+                /**
+                 * Remove an item's tokens from an index
+                 * @param {Object} idx - Index
+                 * @param {string} id - Item ID
+                 */
+                _unindexDoc(idx, id){
+                    (idx.docs.get(id) || []).forEach(token => {
+                        const posting = idx.postings.get(token);
+                        if(!posting) return;
+                        posting.delete(id);
+                        if(!posting.size) { idx.postings.delete(token); this._dropToken(idx, token); }
+                    });
+                    idx.docs.delete(id);
+                },
+
+                /**
+                 * Add a new token to an index's vocabulary lookups
+                 * @param {Object} idx - Index
+                 * @param {string} token - Token
+                 */
+                _addToken(idx, token){
+                    idx.tokens.splice(this._tokenPos(idx.tokens, token), 0, token);
+                    if(!idx.byLength.has(token.length)) idx.byLength.set(token.length, new Set());
+                    idx.byLength.get(token.length).add(token);
+                },
+
+                /**
+                 * Remove a token that no longer has postings from an index's vocabulary lookups
+                 * @param {Object} idx - Index
+                 * @param {string} token - Token
+                 */
+                _dropToken(idx, token){
+                    const pos = this._tokenPos(idx.tokens, token);
+                    if(idx.tokens[pos] === token) idx.tokens.splice(pos, 1);
+                    const same = idx.byLength.get(token.length);
+                    if(same) { same.delete(token); if(!same.size) idx.byLength.delete(token.length); }
+                },
+
+                /**
+                 * Binary search in a sorted vocabulary
+                 * @param {string[]} tokens - Sorted tokens
+                 * @param {string} token - Token
+                 * @returns {number} Position of the first token >= token
+                 */
+                _tokenPos(tokens, token){
+                    let lo = 0, hi = tokens.length;
+                    while(lo < hi) {
+                        const mid = (lo + hi) >> 1;
+                        if(tokens[mid] < token) lo = mid + 1;
+                        else hi = mid;
+                    }
+                    return lo;
+                },
+
+                /**
+                 * Expand a query term to index tokens: exact (1), prefix (0.8), fuzzy (0.6)
+                 * @param {Object} idx - Index
+                 * @param {string} term - Folded query term
+                 * @param {Object} opts - Search options (prefix, fuzzy)
+                 * @returns {Array<{token:string, weight:number}>} Matching tokens
+                 */
+                _expandTerm(idx, term, opts = {}){
+                    const found = new Map();
+                    if(idx.postings.has(term)) found.set(term, 1);
+                    // prefixes sit in one run of the sorted vocabulary, right after the term itself
+                    if(opts.prefix !== false && term.length >= 2) {
+                        for(let i = this._tokenPos(idx.tokens, term); i < idx.tokens.length && idx.tokens[i].startsWith(term); i++) {
+                            if(!found.has(idx.tokens[i])) found.set(idx.tokens[i], 0.8);
+                        }
+                    }
+                    // fuzzy matches differ in length by at most maxEdits, so only those length buckets are scanned
+                    const maxEdits = opts.fuzzy === false ? 0 : (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+                    for(let len = term.length - maxEdits; maxEdits && len <= term.length + maxEdits; len++) {
+                        (idx.byLength.get(len) || []).forEach(token => {
+                            if(!found.has(token) && VOTAX._editDistance(token, term, maxEdits) <= maxEdits) found.set(token, 0.6);
+                        });
+                    }
+                    return Array.from(found, ([token, weight]) => ({ token, weight }));
+                },
+
+                /**
+                 * Build highlighted snippets for the fields of an item that matched
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item
+                 * @param {Set<string>} terms - Matched index tokens
+                 * @param {string[]|null} only - Restrict to these fields
+                 * @param {Object} opts - Options (highlight: [pre, post], snippetLength)
+                 * @returns {Record<string, string>} field -> snippet
+                 */
+                _highlight(module, item, terms, only, opts = {}){
+                    const [pre, post] = opts.highlight || ['<mark>', '</mark>'];
+                    const radius = Math.floor((opts.snippetLength || 80) / 2);
+                    const hit = word => terms.has(VOTAX._tokenize(word)[0]);
+                    const mark = text => text.replace(/[\p{L}\p{N}]+/gu, w => hit(w) ? pre + w + post : w);
+                    const out = {};
+                    VOTAX._textFields(item, (this._searchOpts[module] || {}).fields).forEach(({ field, text }) => {
+                        if(only && !only.some(f => field === f || field.startsWith(f + '.'))) return;
+                        const re = /[\p{L}\p{N}]+/gu;
+                        let m, first = -1;
+                        while((m = re.exec(text))) { if(hit(m[0])) { first = m.index; break; } }
+                        if(first === -1) return;
+                        if(text.length <= radius * 2) { out[field] = mark(text); return; }
+                        const start = Math.max(0, first - radius);
+                        const end = start + radius * 2;
+                        out[field] = (start > 0 ? '…' : '') + mark(text.slice(start, end)) + (end < text.length ? '…' : '');
+                    });
+                    return out;
+                },
+
+                /**
+                 * Multi-criteria query
+                 * @param {string} module - Module name
+                 * @param {Object|Array} filters - Filter criteria: {field,op,value}, arrays (AND),
+                 *   { $and: [...] }, { $or: [...] }, { $not: filter } or { 'dotted.path': value }
+                 * @param {Object} opts - Options (sort, skip, limit, select; includeDeleted: also match soft-deleted items;
+                 *   withComputed: true or names of computed fields to include (filters and sort may use them either way);
+                 *   populate: embed related records, e.g. 'tasks', 'tasks.project' or { tasks: { filter, sort, limit, select, populate } })
+                 * @returns {VOTAXItem[]} Matching items
+                 * @example
+                 * VOTAX.CRUD.query('students', [
+                 *   { field: 'age', op: 'gte', value: 18 },
+                 *   { field: 'grade', op: 'in', value: ['A', 'B'] }
+                 * ]);
+                 * VOTAX.CRUD.query('students', {
+                 *   $or: [{ 'address.city': 'Oslo' }, { field: 'name', op: 'regex', value: /^am/i }]
+                 * }, { sort: ['grade', '-age'], skip: 0, limit: 10, select: ['name', 'address.city'] });
+                 */
+                query(module, filters, opts = {}){
+                    const ids = filters === undefined ? null : VOTAX.Performance._candidates(module, filters);
+                    const list = ids ? this._inStoreOrder(module, ids) : (this._store[module] || []).slice();
+                    const visible = opts.includeDeleted ? list : list.filter(item => !this._isTrashed(module, item));
+                    // computed fields used by filters/sort are laid over the items, then dropped unless requested
+                    const refs = this._computedRefs(module, filters, opts.sort);
+                    const rows = refs.length ? visible.map(item => this._view(module, item, refs)) : visible;
+                    const out = filters === undefined ? rows : rows.filter(item => this._match(module, item, filters));
+                    const names = this._computedNames(module, opts);
+                    return this._strip(this._shape(out, opts, module), refs.filter(n => names.indexOf(n) === -1));
+                },
+
+                /**
+                 * Apply sort, skip, limit, withComputed, populate and select query options; returns clones
+                 * @param {Array} list - Matching items
+                 * @param {Object} opts - Query options
+                 * @param {string} module - Module name (needed for withComputed and populate)
+                 * @returns {Array} Shaped results
+                 */
+                _shape(list, opts = {}, module){
+                    let out = list;
+                    if(opts.sort) out = this._sortItems(out, opts.sort);
+                    if(opts.skip) out = out.slice(opts.skip);
+                    if(opts.limit !== undefined && opts.limit !== null) out = out.slice(0, opts.limit);
+                    if(module) {
+                        const names = this._computedNames(module, opts);
+                        if(names.length) out = out.map(i => this._view(module, i, names));
+                    }
+                    if(opts.populate && module) {
+                        const rows = this._populate(module, out.map(i => VOTAX._cloneDeep(i)), opts.populate);
+                        if(!opts.select) return rows;
+                        const keep = opts.select.concat(this._populateSpecs(opts.populate).map(p => p.as));
+                        return rows.map(r => this._project(r, keep));
+                    }
+                    if(opts.select) return out.map(i => this._project(i, opts.select));
+                    return out.map(i => VOTAX._cloneDeep(i));
+                },
+
+                /**
+                 * Test a single item against query filters
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item
+                 * @param {Object|Array} f - Filter criteria
+                 * @returns {boolean} True if the item matches
+                 */
+                _match(module, item, f){
+                    if(Array.isArray(f)){
+                        return f.every(cl => this._match(module, item, cl));
+                    }
+                    if(typeof f === 'function') return !!f(item);
+                    if(typeof f === 'object' && !('op' in f) && !('field' in f && 'value' in f)){
+                        return Object.keys(f).every(k => {
+                            const v = f[k];
+                            if(k === '$and') return v.every(cl => this._match(module, item, cl));
+                            if(k === '$or') return v.some(cl => this._match(module, item, cl));
+                            if(k === '$not') return !this._match(module, item, v);
+                            const iv = VOTAX._getPath(item, k);
+                            if(Array.isArray(v)) return v.indexOf(iv) !== -1;
+                            return iv === v;
+                        });
+                    }
+                    // single criterion {field, op, value}
+                    const field = f.field;
+                    const op = f.op || 'eq';
+                    const val = f.value;
+                    const iv = VOTAX._getPath(item, field);
+                    if(op === 'eq') return iv === val;
+                    if(op === 'neq') return iv !== val;
+                    if(op === 'lt') return Number(iv) < Number(val);
+                    if(op === 'lte') return Number(iv) <= Number(val);
+                    if(op === 'gt') return Number(iv) > Number(val);
+                    if(op === 'gte') return Number(iv) >= Number(val);
+                    if(op === 'between') return Array.isArray(val) && VOTAX._compare(iv, val[0]) >= 0 && VOTAX._compare(iv, val[1]) <= 0;
+                    if(op === 'in') return Array.isArray(val) && val.indexOf(iv) !== -1;
+                    if(op === 'nin') return Array.isArray(val) && val.indexOf(iv) === -1;
+                    if(op === 'contains') return iv && String(iv).toLowerCase().indexOf(String(val).toLowerCase()) !== -1;
+                    if(op === 'startsWith') return iv !== undefined && iv !== null && String(iv).toLowerCase().startsWith(String(val).toLowerCase());
+                    if(op === 'endsWith') return iv !== undefined && iv !== null && String(iv).toLowerCase().endsWith(String(val).toLowerCase());
+                    if(op === 'regex') {
+                        const re = val instanceof RegExp ? val : new RegExp(val, f.flags || '');
+                        return iv !== undefined && iv !== null && re.test(String(iv));
+                    }
+                    if(op === 'exists') return (iv !== undefined && iv !== null) === (val !== false);
+                    if(op === 'hasTag') return (item.tags||[]).indexOf(val) !== -1;
+                    if(op === 'hasAll') return Array.isArray(iv) && [].concat(val).every(v => iv.indexOf(v) !== -1);
+                    if(op === 'hasAny') return Array.isArray(iv) && [].concat(val).some(v => iv.indexOf(v) !== -1);
+                    if(op === 'size') return Array.isArray(iv) && iv.length === val;
+                    if(op === 'related') {
+                        // value: {relationName, filter} -> true if any related record matches filter;
+                        // relationName is a relation name or a target module
+                        const related = this._relatedOf(module, item, val.relationName);
+                        if(!val.filter) return related.items.length > 0;
+                        return related.items.some(r => this._match(related.module, r, val.filter));
+                    }
+                    return false;
+                },
+
+                /**
+                 * Collect the other modules a filter reads through the related operator
+                 * @param {string} module - Module the filter runs on
+                 * @param {Object|Array} f - Filter criteria
+                 * @param {string[]} out - Accumulator
+                 * @returns {string[]} Module names
+                 */
+                _queryDeps(module, f, out = []){
+                    if(Array.isArray(f)) f.forEach(cl => this._queryDeps(module, cl, out));
+                    else if(f && typeof f === 'object') {
+                        if(f.op === 'related' && f.value) {
+                            const specs = this._resolveRelation(module, f.value.relationName);
+                            if(!specs.length) out.push(f.value.relationName);
+                            specs.forEach(spec => {
+                                out.push(spec.module);
+                                if(spec.join) out.push(spec.join.module);
+                            });
+                        }
+                        ['$and', '$or'].forEach(k => { if(Array.isArray(f[k])) this._queryDeps(module, f[k], out); });
+                        if(f.$not) this._queryDeps(module, f.$not, out);
+                    }
+                    return out;
+                },
+
+                /**
+                 * Normalize a sort spec: 'age', '-age', ['grade', '-age'], {field, dir} or an array of those
+                 * @param {string|Object|Array} sort - Sort spec
+                 * @returns {Array<{field:string, dir:number}>} Sort keys (dir 1 = asc, -1 = desc)
+                 */
+                _sortKeys(sort){
+                    return [].concat(sort).map(k => {
+                        if(typeof k === 'string') return k.charAt(0) === '-' ? { field: k.slice(1), dir: -1 } : { field: k, dir: 1 };
+                        return { field: k.field, dir: String(k.dir || 'asc').toLowerCase() === 'desc' || k.dir === -1 ? -1 : 1 };
+                    });
+                },
+
+                /**
+                 * Sort a list copy by one or more keys (missing values last)
+                 * @param {Array} list - Items
+                 * @param {string|Object|Array} sort - Sort spec (see _sortKeys)
+                 * @returns {Array} Sorted copy
+                 */
+                _sortItems(list, sort){
+                    const keys = this._sortKeys(sort);
+                    return list.slice().sort((a, b) => {
+                        for(const k of keys) {
+                            const c = VOTAX._compare(VOTAX._getPath(a, k.field), VOTAX._getPath(b, k.field));
+                            if(c) return c * k.dir;
+                        }
+                        return 0;
+                    });
+                },
+
+                /**
+                 * Copy only the selected (possibly dotted) fields of an item; id is always kept
+                 * @param {Object} item - Item
+                 * @param {string[]} select - Field paths
+                 * @returns {Object} Projected clone
+                 */
+                _project(item, select){
+                    const out = { id: item.id };
+                    select.forEach(path => {
+                        const v = VOTAX._getPath(item, path);
+                        if(v !== undefined) VOTAX._setPath(out, path, VOTAX._cloneDeep(v));
+                    });
+                    return out;
+                },
+
+                /**
+                 * Watch a live query. The callback fires with the initial results and again
+                 * whenever a write (add, update, remove, bulk ops, undo/redo, import) changes
+                 * the result set. Writes are re-matched incrementally (only the written ids are
+                 * compared; filters may be undefined to match all); writes to modules read
+                 * through the related operator trigger a full re-run.
+                 * @param {string} module - Module name
+                 * @param {Object|Array} filters - Filter criteria (as in query)
+                 * @param {Function} callback - Called with the current results
+                 * @param {Object} opts - Options (immediate: fire on subscribe, default true; sort, skip, limit, select, includeDeleted, withComputed as in query)
+                 * @returns {{results: VOTAXItem[], refresh: Function, unsubscribe: Function}} Subscription
+                 * @example
+                 * const sub = VOTAX.CRUD.watch('students', { grade: 'A' }, list => render(list));
+                 * sub.unsubscribe();
+                 */
+                watch(module, filters, callback, opts = {}) {
+                    const deps = this._queryDeps(module, filters);
+                    // computed fields may read any module, so filters/sorts on them re-run on every write
+                    const refs = this._computedRefs(module, filters, opts.sort);
+                    const names = this._computedNames(module, opts);
+                    const extra = refs.filter(n => names.indexOf(n) === -1);
+                    const keep = names.concat(extra);
+                    const matched = new Map();
+                    let fired = false;
+                    const sub = {
+                        results: [],
+                        refresh: () => { full(); publish(); },
+                        unsubscribe: () => stop()
+                    };
+                    const full = () => {
+                        matched.clear();
+                        this.query(module, filters, { includeDeleted: opts.includeDeleted, withComputed: keep }).forEach(i => matched.set(i.id, i));
+                    };
+                    const current = () => this._strip(this._shape((this._store[module] || []).filter(i => matched.has(i.id)).map(i => matched.get(i.id)), opts), extra);
+                    // touched: ids written incrementally; the results changed only if their order
+                    // changed or a touched item is among them (null: compare whole results)
+                    const publish = (touched = null) => {
+                        const results = current();
+                        if(fired && touched) {
+                            const ids = new Set(results.map(r => r.id));
+                            const same = results.length === sub.results.length && results.every((r, i) => r.id === sub.results[i].id);
+                            if(same && !touched.some(id => ids.has(id))) return;
+                        } else if(fired && JSON.stringify(results) === JSON.stringify(sub.results)) return;
+                        fired = true;
+                        sub.results = results;
+                        callback(VOTAX._cloneDeep(results));
+                    };
+                    const stop = this._observe((m, type, changes) => {
+                        if(m !== module && deps.indexOf(m) === -1 && !refs.length) return;
+                        if(m !== module || !changes || deps.length || refs.length) {
+                            full();
+                            return publish();
+                        }
+                        const touched = [];
+                        changes.forEach(c => {
+                            const was = matched.has(c.id);
+                            if(c.after && (opts.includeDeleted || !this._isTrashed(module, c.after)) && (filters === undefined || this._match(module, c.after, filters))) {
+                                matched.set(c.id, VOTAX._cloneDeep(this._view(module, c.after, keep)));
+                                touched.push(c.id);
+                            } else if(was) {
+                                matched.delete(c.id);
+                                touched.push(c.id);
+                            }
+                        });
+                        // writes that neither were nor are in the result set cost nothing more
+                        if(touched.length) publish(touched);
+                    });
+                    full();
+                    if(opts.immediate === false) {
+                        sub.results = current();
+                        fired = true;
+                    } else publish();
+                    return sub;
+                },
+
+                /**
+                 * Watch a statistic; the callback fires when its value changes
+                 * @param {string} module - Module name
+                 * @param {string|Function} op - Operation (as in stats)
+                 * @param {string} field - Field name
+                 * @param {Function} callback - Called with the current value
+                 * @returns {{value: *, unsubscribe: Function}} Subscription
+                 * @example
+                 * VOTAX.CRUD.liveStats('students', 'avg', 'age', avg => badge.textContent = avg.toFixed(1));
+                 */
+                liveStats(module, op, field, callback) {
+                    let last;
+                    const sub = { value: undefined, unsubscribe: () => stop() };
+                    const publish = () => {
+                        const value = this.stats(module, op, field);
+                        const sig = JSON.stringify(value);
+                        if(sig === last) return;
+                        last = sig;
+                        sub.value = value;
+                        callback(value);
+                    };
+                    const stop = this._observe(m => { if(m === module) publish(); });
+                    publish();
+                    return sub;
+                },
+
+                /**
+                 * Register internal change observer (live queries, indexes, persistence).
+                 * Observers get (module, type, changes) where changes is
+                 * [{ id, before, after }] or null when the whole module may have changed.
+                 * Deferred observers only see committed transactions; immediate ones see
+                 * every write and a 'rollback' notification when a transaction fails.
+                 * @param {Function} fn - Observer
+                 * @param {Object} opts - Options (immediate)
+                 * @returns {Function} Unsubscribe function
+                 */
+                _observe(fn, opts = {}){
+                    const rec = { fn, immediate: !!opts.immediate };
+                    this._observers.push(rec);
+                    return () => {
+                        const idx = this._observers.indexOf(rec);
+                        if(idx !== -1) this._observers.splice(idx, 1);
+                    };
+                },
+
+                /**
+                 * Notify change observers
+                 * @param {string} module - Module name
+                 * @param {string} type - Change type (add, update, remove, bulkUpdate, bulkRemove, undo, redo, clear, rollback)
+                 * @param {Array|null} changes - Changed records, or null when unknown
+                 * @param {Array} records - For whole-module changes (changes null): the record-level
+                 *   changes, when the change log asked for them (see _auditBefore)
+                 */
+                _changed(module, type, changes, records){
+                    this._observers.slice().forEach(o => {
+                        if(!o.immediate && this._tx) return;
+                        this._notify(o, module, type, changes, records);
+                    });
+                    if(this._tx) this._tx.changes.push([module, type, changes, records]);
+                },
+
+                /**
+                 * Call one observer, logging (not throwing) its errors
+                 * @param {Object} o - Observer record
+                 * @param {string} module - Module name
+                 * @param {string} type - Change type
+                 * @param {Array|null} changes - Changed records
+                 * @param {Array} records - Record-level changes of a whole-module change
+                 */
+                _notify(o, module, type, changes, records){
+                    try { o.fn(module, type, changes, records); }
+                    catch(e) { console.error(`VOTAX observer error (${module} ${type}):`, e); }
+                },
+
+                /**
+                 * Add relation between modules. moduleFrom is the referenced (parent) side:
+                 * moduleTo records point at it through keyTo. Many-to-many relations go
+                 * through a join module whose records hold both keys.
+                 * @param {string} moduleFrom - Source module
+                 * @param {string} moduleTo - Target module
+                 * @param {string} keyFrom - Source field
+                 * @param {string} keyTo - Target field
+                 * @param {Object} opts - Options (name; type: 'one-to-one'|'one-to-many'|'many-to-many';
+                 *   through, throughFrom, throughTo: join module and its keys (many-to-many);
+                 *   enforce: check foreign keys on add/update; onDelete: 'cascade'|'restrict'|'setNull')
+                 * @returns {Object} Relation config
+                 * @example
+                 * VOTAX.CRUD.addRelation('students', 'tasks', 'id', 'assignedTo', { name: 'tasks', enforce: true, onDelete: 'cascade' });
+                 * VOTAX.CRUD.addRelation('students', 'courses', 'id', 'id', {
+                 *   name: 'courses', type: 'many-to-many', through: 'enrollments', throughFrom: 'studentId', throughTo: 'courseId', onDelete: 'cascade'
+                 * });
+                 */
+                addRelation(moduleFrom, moduleTo, keyFrom, keyTo, opts = {}) {
+                    if(!moduleFrom || !moduleTo) throw new Error('both modules required');
+                    if(opts.type === 'many-to-many' && !(opts.through && opts.throughFrom && opts.throughTo)) throw new Error('many-to-many relations need through, throughFrom and throughTo');
+                    if(opts.onDelete && ['cascade', 'restrict', 'setNull'].indexOf(opts.onDelete) === -1) throw new Error(`unknown onDelete rule: ${opts.onDelete}`);
+                    if(opts.name && this._allRelations().some(r => r.rel.name === opts.name && (r.from === moduleFrom || r.to === moduleFrom || r.from === moduleTo || r.to === moduleTo))) {
+                        throw new Error(`relation ${opts.name} already defined`);
+                    }
+                    this._relations[moduleFrom] = this._relations[moduleFrom] || {};
+                    this._relations[moduleFrom][moduleTo] = this._relations[moduleFrom][moduleTo] || [];
+                    const rel = { keyFrom, keyTo, ...opts };
+                    if(rel.through && !rel.type) rel.type = 'many-to-many';
+                    this._relations[moduleFrom][moduleTo].push(rel);
+                    this._emit(moduleFrom, 'relation:added', { from: moduleFrom, to: moduleTo, rel });
+                    return rel;
+                },
+
+                /**
+                 * Every relation with the modules it links
+                 * @returns {Array<{from:string, to:string, rel:Object}>} Relations
+                 */
+                _allRelations(){
+                    const out = [];
+                    Object.keys(this._relations).forEach(from => {
+                        Object.keys(this._relations[from]).forEach(to => {
+                            this._relations[from][to].forEach(rel => out.push({ from, to, rel }));
+                        });
+                    });
+                    return out;
+                },
+
+                /**
+                 * Resolve a relation name (read from either side) or a target module name
+                 * (every relation from module to it) into traversal specs
+                 * @param {string} module - Module the traversal starts from
+                 * @param {string} target - Relation name or target module
+                 * @returns {Array<{rel:Object, own:string, other:string, module:string, reverse:boolean, join:?Object}>} Specs:
+                 *   own/other are the keys on the start/related records, join the join-module keys
+                 */
+                _resolveRelation(module, target){
+                    const named = this._allRelations().filter(r => r.rel.name === target && (r.from === module || r.to === module));
+                    const found = named.length ? named : ((this._relations[module] || {})[target] || []).map(rel => ({ from: module, to: target, rel }));
+                    return found.map(({ from, to, rel }) => {
+                        const reverse = from !== module;
+                        return {
+                            rel,
+                            own: reverse ? rel.keyTo : rel.keyFrom,
+                            other: reverse ? rel.keyFrom : rel.keyTo,
+                            module: reverse ? from : to,
+                            reverse,
+                            join: rel.through ? { module: rel.through, own: reverse ? rel.throughTo : rel.throughFrom, other: reverse ? rel.throughFrom : rel.throughTo } : null
+                        };
+                    });
+                },
+
+                /**
+                 * Stored (live) records related to an item
+                 * @param {string} module - Module of the item
+                 * @param {Object} item - Item
+                 * @param {string} target - Relation name or target module
+                 * @returns {{module: ?string, items: Object[]}} Related module and records
+                 */
+                _relatedOf(module, item, target){
+                    const specs = this._resolveRelation(module, target);
+                    const seen = new Set();
+                    const items = [];
+                    specs.forEach(spec => {
+                        const value = item[spec.own];
+                        if(value === undefined || value === null) return;
+                        const keys = spec.join
+                            ? new Set(this._live(spec.join.module).filter(j => j[spec.join.own] === value).map(j => j[spec.join.other]))
+                            : new Set([value]);
+                        this._live(spec.module).forEach(t => {
+                            if(keys.has(t[spec.other]) && !seen.has(t)) {
+                                seen.add(t);
+                                items.push(t);
+                            }
+                        });
+                    });
+                    return { module: specs.length ? specs[0].module : null, items };
+                },
+
+                /**
+                 * Check foreign keys, one-to-one cardinality and many-to-many pair uniqueness
+                 * for an item about to be written
+                 * @param {string} module - Module name
+                 * @param {Object} item - Proposed item (with its id)
+                 */
+                _checkRelations(module, item){
+                    const exists = (m, key, value) => key === 'id'
+                        ? !!this._lookup(m, value) && !this._isTrashed(m, this._lookup(m, value))
+                        : this._live(m).some(o => o[key] === value);
+                    const blank = v => v === undefined || v === null;
+                    this._allRelations().forEach(({ from, to, rel }) => {
+                        if(rel.through === module) {
+                            const a = item[rel.throughFrom], b = item[rel.throughTo];
+                            if(rel.enforce && !blank(a) && !exists(from, rel.keyFrom, a)) throw new Error(`${module}.${rel.throughFrom} references missing ${from} ${a}`);
+                            if(rel.enforce && !blank(b) && !exists(to, rel.keyTo, b)) throw new Error(`${module}.${rel.throughTo} references missing ${to} ${b}`);
+                            if(!blank(a) && !blank(b) && this._live(module).some(j => j.id !== item.id && j[rel.throughFrom] === a && j[rel.throughTo] === b)) {
+                                throw new Error(`${module} already links ${from} ${a} to ${to} ${b}`);
+                            }
+                        } else if(!rel.through && to === module) {
+                            const v = item[rel.keyTo];
+                            if(blank(v)) return;
+                            if(rel.enforce && !exists(from, rel.keyFrom, v)) throw new Error(`${module}.${rel.keyTo} references missing ${from} ${v}`);
+                            if(rel.type === 'one-to-one' && this._live(module).some(o => o.id !== item.id && o[rel.keyTo] === v)) {
+                                throw new Error(`${module}.${rel.keyTo} ${v} is already linked (one-to-one)`);
+                            }
+                        }
+                    });
+                },
+
+                /**
+                 * Apply onDelete rules for records about to be removed, then commit the removal.
+                 * 'restrict' throws while references remain; 'cascade' removes and 'setNull' clears
+                 * the referencing records, atomically with the removal.
+                 * @param {string} module - Module name
+                 * @param {Object[]} items - Stored items being removed
+                 * @param {Function} commit - Performs the removal
+                 * @returns {*} Return value of commit
+                 */
+                _onDelete(module, items, commit){
+                    const plan = [];
+                    this._allRelations().forEach(({ from, to, rel }) => {
+                        if(!rel.onDelete) return;
+                        const sides = [];
+                        if(from === module) sides.push({ key: rel.keyFrom, module: rel.through || to, field: rel.through ? rel.throughFrom : rel.keyTo });
+                        if(rel.through && to === module) sides.push({ key: rel.keyTo, module: rel.through, field: rel.throughTo });
+                        sides.forEach(side => {
+                            const values = new Set(items.map(i => i[side.key]).filter(v => v !== undefined && v !== null));
+                            const refs = values.size ? this._live(side.module).filter(r => values.has(r[side.field]) && items.indexOf(r) === -1) : [];
+                            if(refs.length) plan.push(Object.assign({ rule: rel.onDelete, ids: new Set(refs.map(r => r.id)) }, side));
+                        });
+                    });
+                    const blocked = plan.find(p => p.rule === 'restrict');
+                    if(blocked) throw new Error(`cannot remove from ${module}: ${blocked.ids.size} ${blocked.module} record(s) still reference it`);
+                    if(!plan.length) return commit();
+                    return this.transaction(() => {
+                        plan.forEach(p => {
+                            if(p.rule === 'cascade') this.bulkRemove(p.module, r => p.ids.has(r.id));
+                            else this.bulkUpdate(p.module, r => p.ids.has(r.id), { [p.field]: null });
+                        });
+                        return commit();
+                    });
+                },
+
+                /**
+                 * Get related items
+                 * @param {string} fromModule - Source module
+                 * @param {string} itemId - Item ID
+                 * @param {string} toModule - Target module or relation name
+                 * @param {Object} opts - Options (filter, limit)
+                 * @returns {VOTAXItem[]} Related items
+                 * @example
+                 * const tasks = VOTAX.CRUD.getRelated('students', studentId, 'tasks');
+                 * const courses = VOTAX.CRUD.getRelated('students', studentId, 'courses'); // through enrollments
+                 */
+                getRelated(fromModule, itemId, toModule, opts = {}) {
+                    const item = this._find(fromModule, itemId);
+                    if(!item || this._isTrashed(fromModule, item)) return [];
+                    let result = this._relatedOf(fromModule, item, toModule).items.map(i => VOTAX._cloneDeep(i));
+                    // apply optional filter and limit
+                    if(opts.filter && typeof opts.filter === 'function') result = result.filter(opts.filter);
+                    if(opts.limit && opts.limit > 0) result = result.slice(0, opts.limit);
+                    return result;
+                },
+
+                /**
+                 * Normalize a populate option into one spec per embedded field.
+                 * Accepts 'tasks', 'tasks.project' (nested), arrays, { tasks: true | options }
+                 * and { path, ...options }; options are as, filter, sort, skip, limit, select, populate.
+                 * @param {string|Array|Object} populate - Populate option
+                 * @returns {Array<Object>} Specs ({ path, as, populate: [...], ...options })
+                 */
+                _populateSpecs(populate){
+                    const specs = [];
+                    const add = (path, o) => {
+                        const opts = o && typeof o === 'object' ? o : {};
+                        const dot = path.indexOf('.');
+                        if(dot !== -1) return add(path.slice(0, dot), { populate: { [path.slice(dot + 1)]: o || true } });
+                        const as = opts.as || path;
+                        let spec = specs.find(sp => sp.as === as);
+                        if(!spec) specs.push(spec = { path, as, populate: [] });
+                        ['filter', 'sort', 'skip', 'limit', 'select'].forEach(k => { if(opts[k] !== undefined) spec[k] = opts[k]; });
+                        if(opts.populate) spec.populate.push(opts.populate);
+                    };
+                    const walk = p => {
+                        if(Array.isArray(p)) p.forEach(walk);
+                        else if(typeof p === 'string') add(p);
+                        else if(p && typeof p.path === 'string') add(p.path, p);
+                        else if(p && typeof p === 'object') Object.keys(p).forEach(k => { if(p[k]) add(k, p[k]); });
+                    };
+                    walk(populate);
+                    return specs;
+                },
+
+                /**
+                 * Embed related records into rows (clones, modified in place). Each relation is
+                 * resolved with one hash join over the target module for all rows at once, and
+                 * nested populates run once per level over every embedded record. One-to-one and
+                 * child-to-parent relations embed a single record (or null), others an array.
+                 * @param {string} module - Module of the rows
+                 * @param {Object[]} rows - Cloned rows
+                 * @param {string|Array|Object} populate - Populate option
+                 * @returns {Object[]} Rows
+                 */
+                _populate(module, rows, populate){
+                    if(!populate || !rows.length) return rows;
+                    this._populateSpecs(populate).forEach(p => {
+                        const specs = this._resolveRelation(module, p.path);
+                        if(!specs.length) throw new Error(`no relation ${p.path} from ${module}`);
+                        const target = specs[0].module;
+                        const single = specs.length === 1 && (specs[0].rel.type === 'one-to-one' || (specs[0].reverse && !specs[0].join));
+                        const candidates = this._live(target).filter(t => !p.filter || this._match(target, t, p.filter));
+                        const order = new Map(candidates.map((t, i) => [t, i]));
+                        const buckets = rows.map(() => new Set());
+                        const group = (list, key, val) => {
+                            const map = new Map();
+                            list.forEach(x => {
+                                const k = x[key];
+                                if(!map.has(k)) map.set(k, []);
+                                map.get(k).push(val ? x[val] : x);
+                            });
+                            return map;
+                        };
+                        specs.forEach(spec => {
+                            const byKey = group(candidates, spec.other);
+                            const via = spec.join ? group(this._live(spec.join.module), spec.join.own, spec.join.other) : null;
+                            rows.forEach((r, i) => {
+                                const v = r[spec.own];
+                                if(v === undefined || v === null) return;
+                                (via ? via.get(v) || [] : [v]).forEach(k => (byKey.get(k) || []).forEach(t => buckets[i].add(t)));
+                            });
+                        });
+                        const lists = buckets.map(b => {
+                            let list = Array.from(b).sort((x, y) => order.get(x) - order.get(y));
+                            if(p.sort) list = this._sortItems(list, p.sort);
+                            if(p.skip) list = list.slice(p.skip);
+                            if(p.limit !== undefined && p.limit !== null) list = list.slice(0, p.limit);
+                            return list.map(t => VOTAX._cloneDeep(t));
+                        });
+                        if(p.populate.length) {
+                            const flat = [];
+                            lists.forEach(l => l.forEach(t => flat.push(t)));
+                            this._populate(target, flat, p.populate);
+                        }
+                        const keep = p.select ? p.select.concat(this._populateSpecs(p.populate).map(n => n.as)) : null;
+                        rows.forEach((r, i) => {
+                            const list = keep ? lists[i].map(t => this._project(t, keep)) : lists[i];
+                            r[p.as] = single ? (list[0] || null) : list;
+                        });
+                    });
+                    return rows;
+                },
+
+                /**
+                 * Register computed field. fn receives a copy of the item and a context whose
+                 * related(relation) and query(module, filters) read other modules. Functions that
+                 * take ctx are cached per item by default; the cache tracks the fields and modules
+                 * each value read (through the item and ctx only) and is invalidated when they
+                 * change. Functions of the item alone may read the store directly, so they are
+                 * recomputed on every read unless opts.cache is true. Computed fields can be
+                 * included in reads (opts.withComputed) and used in query filters, sorts and stats.
+                 * @param {string} module - Module name
+                 * @param {string} name - Field name
+                 * @param {Function} fn - Computation function (item, ctx)
+                 * @param {Object} opts - Options (cache: default true when fn takes ctx)
+                 * @example
+                 * VOTAX.CRUD.registerComputed('students', 'fullName', 
+                 *   s => s.firstName + ' ' + s.lastName
+                 * );
+                 * VOTAX.CRUD.registerComputed('students', 'taskCount', (s, ctx) => ctx.related('tasks').length);
+                 */
+                registerComputed(module, name, fn, opts = {}){
+                    if(typeof fn !== 'function') throw new Error('computed field needs a function');
+                    this._computed[module] = this._computed[module] || {};
+                    this._computed[module][name] = { fn, cache: opts.cache !== undefined ? !!opts.cache : fn.length >= 2 };
+                    delete this._computedCache[module];
+                },
+
+                /**
+                 * Compute field value
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID
+                 * @param {string} name - Field name
+                 * @returns {*} Computed value
+                 * @example
+                 * const name = VOTAX.CRUD.compute('students', studentId, 'fullName');
+                 */
+                compute(module, id, name){
+                    const it = this._find(module, id);
+                    if(!it || this._isTrashed(module, it) || !(this._computed[module] || {})[name]) return null;
+                    return VOTAX._cloneDeep(this._computeValue(module, it, name));
+                },
+
+                /**
+                 * Compute every computed field of an item
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID or code
+                 * @returns {Object|null} { name: value } or null if not found
+                 * @example
+                 * VOTAX.CRUD.computeItem('students', studentId); // { fullName: 'Amy Lee', taskCount: 2 }
+                 */
+                computeItem(module, id){
+                    const it = this._find(module, id);
+                    if(!it || this._isTrashed(module, it)) return null;
+                    const out = {};
+                    Object.keys(this._computed[module] || {}).forEach(name => { out[name] = VOTAX._cloneDeep(this._computeValue(module, it, name)); });
+                    return out;
+                },
+
+                /**
+                 * Cached value of a computed field for a stored item. The item is read through
+                 * a proxy that records the top-level fields used; related/query record modules.
+                 * @param {string} module - Module name
+                 * @param {Object} item - Stored item
+                 * @param {string} name - Computed field name
+                 * @returns {*} Value
+                 */
+                _computeValue(module, item, name){
+                    const def = this._computed[module][name];
+                    let byId = this._computedCache[module];
+                    if(!byId) {
+                        byId = this._computedCache[module] = new Map();
+                        byId.deps = new Set();
+                    }
+                    const cached = def.cache && byId.get(item.id) && byId.get(item.id).get(name);
+                    if(cached) return cached.value;
+                    const fields = new Set();
+                    const modules = new Set();
+                    let all = false;
+                    const copy = VOTAX._cloneDeep(item);
+                    const tracked = new Proxy(copy, {
+                        get: (t, k) => { if(typeof k === 'string') fields.add(k); return t[k]; },
+                        has: (t, k) => { if(typeof k === 'string') fields.add(k); return k in t; },
+                        ownKeys: t => { all = true; return Reflect.ownKeys(t); }
+                    });
+                    const ctx = {
+                        module,
+                        related: target => {
+                            this._resolveRelation(module, target).forEach(spec => {
+                                fields.add(spec.own);
+                                modules.add(spec.module);
+                                if(spec.join) modules.add(spec.join.module);
+                            });
+                            return this._relatedOf(module, copy, target).items.map(i => VOTAX._cloneDeep(i));
+                        },
+                        query: (m, filters, opts) => {
+                            modules.add(m);
+                            return this.query(m, filters, opts);
+                        }
+                    };
+                    const value = def.fn(tracked, ctx);
+                    if(def.cache) {
+                        if(!byId.has(item.id)) byId.set(item.id, new Map());
+                        byId.get(item.id).set(name, { value, fields: all ? null : fields, modules });
+                        modules.forEach(m => byId.deps.add(m));
+                    }
+                    return value;
+                },
+
+                /**
+                 * Drop cached computed values a change may have affected (immediate observer)
+                 * @param {string} module - Changed module
+                 * @param {string} type - Change type
+                 * @param {Array|null} changes - Changed records
+                 */
+                _computedSync(module, type, changes){
+                    Object.keys(this._computedCache).forEach(m => {
+                        const byId = this._computedCache[m];
+                        if(m === module) {
+                            if(!changes) { delete this._computedCache[m]; return; }
+                            changes.forEach(c => {
+                                const entries = byId.get(c.id);
+                                if(!entries) return;
+                                if(!c.before || !c.after) { byId.delete(c.id); return; }
+                                const keys = Object.keys(Object.assign({}, c.before, c.after))
+                                    .filter(k => JSON.stringify(c.before[k]) !== JSON.stringify(c.after[k]));
+                                entries.forEach((e, name) => {
+                                    if(!e.fields || keys.some(k => e.fields.has(k))) entries.delete(name);
+                                });
+                            });
+                        }
+                        // values that read the changed module through related/query
+                        if(!byId.deps.has(module)) return;
+                        byId.forEach((entries, id) => {
+                            entries.forEach((e, name) => { if(e.modules.has(module)) entries.delete(name); });
+                            if(!entries.size) byId.delete(id);
+                        });
+                    });
+                },
+
+                /**
+                 * Computed field names a read asks for: opts.withComputed (true or names)
+                 * plus computed names listed in opts.select
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Read options
+                 * @returns {string[]} Names
+                 */
+                _computedNames(module, opts = {}){
+                    const defs = this._computed[module] || {};
+                    const w = opts.withComputed;
+                    const names = w === true ? Object.keys(defs) : [].concat(w || []).filter(n => defs[n]);
+                    (opts.select || []).forEach(path => {
+                        const top = String(path).split('.')[0];
+                        if(defs[top] && names.indexOf(top) === -1) names.push(top);
+                    });
+                    return names;
+                },
+
+                /**
+                 * Computed field names referenced by filters and sort keys
+                 * @param {string} module - Module name
+                 * @param {Object|Array} filters - Filter criteria
+                 * @param {*} sort - Sort spec
+                 * @returns {string[]} Names
+                 */
+                _computedRefs(module, filters, sort){
+                    const defs = this._computed[module];
+                    if(!defs) return [];
+                    const paths = [];
+                    const walk = f => {
+                        if(Array.isArray(f)) f.forEach(walk);
+                        else if(f && typeof f === 'object' && typeof f !== 'function') {
+                            if('field' in f) paths.push(f.field);
+                            Object.keys(f).forEach(k => {
+                                if(k === '$and' || k === '$or' || k === '$not') walk(f[k]);
+                                else if(!('op' in f) && !('field' in f && 'value' in f)) paths.push(k);
+                            });
+                        }
+                    };
+                    walk(filters);
+                    if(sort) this._sortKeys(sort).forEach(k => paths.push(k.field));
+                    const out = [];
+                    paths.forEach(p => {
+                        const top = String(p).split('.')[0];
+                        if(defs[top] && out.indexOf(top) === -1) out.push(top);
+                    });
+                    return out;
+                },
+
+                /**
+                 * Stored item with computed values laid over it (a shallow view, not a copy)
+                 * @param {string} module - Module name
+                 * @param {Object} item - Stored item
+                 * @param {string[]} names - Computed field names
+                 * @returns {Object} View (the item itself when names is empty)
+                 */
+                _view(module, item, names){
+                    if(!names.length) return item;
+                    const view = Object.assign({}, item);
+                    names.forEach(name => { view[name] = this._computeValue(module, item, name); });
+                    return view;
+                },
+
+                /**
+                 * Remove computed fields that were only materialized for filtering/sorting
+                 * @param {Object[]} rows - Result rows (clones)
+                 * @param {string[]} extra - Names to remove
+                 * @returns {Object[]} Rows
+                 */
+                _strip(rows, extra){
+                    if(extra.length) rows.forEach(r => extra.forEach(n => delete r[n]));
+                    return rows;
+                },
+
+                /**
+                 * Add tag to item
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID
+                 * @param {string} tag - Tag to add
+                 * @returns {VOTAXItem|null} Updated item
+                 */
+                addTag(module, id, tag) {
+                    const it = this.get(module, id);
+                    if(!it) return null;
+                    const updated = this.update(module, id, { tags: Array.from(new Set([...(it.tags||[]), tag])) });
+                    return updated;
+                },
+
+                /**
+                 * Remove tag from item
+                 * @param {string} module - Module name
+                 * @param {string} id - Item ID
+                 * @param {string} tag - Tag to remove
+                 * @returns {VOTAXItem|null} Updated item
+                 */
+                removeTag(module, id, tag) {
+                    const it = this.get(module, id);
+                    if(!it) return null;
+                    const updated = this.update(module, id, { tags: (it.tags||[]).filter(t=>t!==tag) });
+                    return updated;
+                },
+
+                /**
+                 * Calculate statistics
+                 * @param {string} module - Module name
+                 * @param {string|Function} op - Operation (count, sum, avg, min, max, median, distinct) or custom reducer
+                 * @param {string} field - Field name (for sum/avg/min/max/median/distinct; may be a computed field)
+                 * @returns {number|*} Statistic result
+                 * @example
+                 * VOTAX.CRUD.stats('students', 'count');
+                 * VOTAX.CRUD.stats('students', 'avg', 'age');
+                 */
+                stats(module, op = 'count', field) {
+                    const computed = field && (this._computed[module] || {})[field];
+                    const list = computed ? this._live(module).map(i => this._view(module, i, [field])) : this._live(module);
+                    if(op === 'count') return list.length;
+                    if(op === 'sum') return list.reduce((s,i)=> s + (Number(i[field]) || 0), 0);
+                    if(op === 'avg') return list.length ? (list.reduce((s,i)=> s + (Number(i[field]) || 0),0) / list.length) : 0;
+                    if(typeof op === 'function') return op(list);
+                    if(['min', 'max', 'median', 'distinct'].indexOf(op) !== -1) return this._accumulate(op, field, list);
+                    return null;
+                },
+
+                /**
+                 * Run an accumulator over rows
+                 * @param {string} op - count, sum, avg, min, max, median, distinct, first, last
+                 * @param {string|boolean} field - Field path (count: true counts rows)
+                 * @param {Array} rows - Rows
+                 * @returns {*} Accumulated value
+                 */
+                _accumulate(op, field, rows){
+                    if(op === 'count' && (field === true || field === undefined || field === null)) return rows.length;
+                    if(op === 'first') return rows.length ? VOTAX._cloneDeep(VOTAX._getPath(rows[0], field)) : null;
+                    if(op === 'last') return rows.length ? VOTAX._cloneDeep(VOTAX._getPath(rows[rows.length - 1], field)) : null;
+                    const values = rows.map(r => VOTAX._getPath(r, field)).filter(v => v !== undefined && v !== null);
+                    if(op === 'count') return values.length;
+                    if(op === 'distinct') {
+                        const seen = new Set();
+                        return values.filter(v => { const k = JSON.stringify(v); if(seen.has(k)) return false; seen.add(k); return true; });
+                    }
+                    if(op === 'min' || op === 'max') {
+                        if(!values.length) return null;
+                        return values.reduce((m, v) => (op === 'min' ? VOTAX._compare(v, m) < 0 : VOTAX._compare(v, m) > 0) ? v : m);
+                    }
+                    const nums = values.map(Number).filter(n => !isNaN(n));
+                    if(op === 'sum') return nums.reduce((s, n) => s + n, 0);
+                    if(!nums.length) return null;
+                    if(op === 'avg') return nums.reduce((s, n) => s + n, 0) / nums.length;
+                    if(op === 'median') {
+                        nums.sort((a, b) => a - b);
+                        const mid = Math.floor(nums.length / 2);
+                        return nums.length % 2 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2;
+                    }
+                    throw new Error(`unknown accumulator: ${op}`);
+                },
+
+                /**
+                 * Run an aggregation pipeline. Stages (applied in order):
+                 * match (query filters), group ({ by, <name>: { <acc>: field } }),
+                 * unwind (array field), join ({ module, as, filter } over addRelation), sort, skip, limit, select
+                 * @param {string} module - Module name
+                 * @param {Array<Object>} pipeline - Stages, one key each
+                 * @param {Object} opts - Options (withComputed: true or computed field names to add to the input rows)
+                 * @returns {Array<Object>} Result rows
+                 * @example
+                 * VOTAX.CRUD.aggregate('students', [
+                 *   { match: { field: 'age', op: 'gte', value: 18 } },
+                 *   { group: { by: 'grade', avgAge: { avg: 'age' }, n: { count: true } } },
+                 *   { sort: '-avgAge' }
+                 * ]);
+                 * VOTAX.CRUD.aggregate('tasks', [
+                 *   { group: { by: ['assignedTo', 'status'], total: { count: true } } }
+                 * ]);
+                 */
+                aggregate(module, pipeline = [], opts = {}) {
+                    const names = this._computedNames(module, opts);
+                    let rows = this._live(module).map(i => VOTAX._cloneDeep(this._view(module, i, names)));
+                    pipeline.forEach(stage => {
+                        const type = Object.keys(stage)[0];
+                        const arg = stage[type];
+                        if(type === 'match') rows = rows.filter(r => this._match(module, r, arg));
+                        else if(type === 'group') rows = this._group(rows, arg);
+                        else if(type === 'unwind') rows = this._unwind(rows, arg);
+                        else if(type === 'join') rows = this._join(module, rows, arg);
+                        else if(type === 'sort') rows = this._sortItems(rows, arg);
+                        else if(type === 'skip') rows = rows.slice(arg);
+                        else if(type === 'limit') rows = rows.slice(0, arg);
+                        else if(type === 'select') rows = rows.map(r => this._project(r, arg));
+                        else throw new Error(`unknown aggregate stage: ${type}`);
+                    });
+                    return rows;
+                },
+
+                /**
+                 * Group rows and run accumulators per group
+                 * @param {Array} rows - Rows
+                 * @param {Object} spec - { by: path|path[]|null, <name>: { <acc>: field } }
+                 * @returns {Array<Object>} One row per group
+                 */
+                _group(rows, spec = {}){
+                    const by = spec.by === undefined || spec.by === null ? [] : [].concat(spec.by);
+                    const groups = new Map();
+                    rows.forEach(r => {
+                        const keyVals = by.map(p => VOTAX._getPath(r, p));
+                        const key = JSON.stringify(keyVals);
+                        if(!groups.has(key)) groups.set(key, { keyVals, rows: [] });
+                        groups.get(key).rows.push(r);
+                    });
+                    if(!by.length && !groups.size) groups.set('[]', { keyVals: [], rows: [] });
+                    const out = [];
+                    groups.forEach(g => {
+                        const row = {};
+                        by.forEach((p, i) => VOTAX._setPath(row, p, g.keyVals[i] === undefined ? null : g.keyVals[i]));
+                        Object.keys(spec).forEach(name => {
+                            if(name === 'by') return;
+                            const acc = Object.keys(spec[name])[0];
+                            row[name] = this._accumulate(acc, spec[name][acc], g.rows);
+                        });
+                        out.push(row);
+                    });
+                    return out;
+                },
+
+                /**
+                 * Emit one row per element of an array field (empty/missing arrays drop the row)
+                 * @param {Array} rows - Rows
+                 * @param {string} path - Array field path
+                 * @returns {Array} Unwound rows
+                 */
+                _unwind(rows, path){
+                    const out = [];
+                    rows.forEach(r => {
+                        const arr = VOTAX._getPath(r, path);
+                        if(!Array.isArray(arr)) return;
+                        arr.forEach(v => out.push(VOTAX._setPath(VOTAX._cloneDeep(r), path, v)));
+                    });
+                    return out;
+                },
+
+                /**
+                 * Hash-join related records onto rows using addRelation definitions. Relations are
+                 * resolved like populate (named, reverse and many-to-many through a join module),
+                 * but the joined field is always an array.
+                 * @param {string} module - Source module
+                 * @param {Array} rows - Rows
+                 * @param {Object} spec - { module: target module or relation name, as: field (default module),
+                 *   filter, plus populate's sort, skip, limit, select and populate }
+                 * @returns {Array} Rows with the related records embedded
+                 */
+                _join(module, rows, spec){
+                    const as = spec.as || spec.module;
+                    const joined = this._populate(module, rows.map(r => Object.assign({}, r)), [Object.assign({}, spec, { path: spec.module, as })]);
+                    joined.forEach(r => {
+                        const v = r[as];
+                        r[as] = Array.isArray(v) ? v : v ? [v] : [];
+                    });
+                    return joined;
+                },
+
+                /**
+                 * Get random sample of items
+                 * @param {string} module - Module name
+                 * @param {number} n - Sample size
+                 * @param {Object} opts - Options (seed: same seed and data, same sample)
+                 * @returns {VOTAXItem[]} Random items
+                 */
+                sample(module, n = 1, opts = {}) {
+                    const list = this._live(module);
+                    if(!list.length) return [];
+                    const random = VOTAX.Fake.rng(opts.seed);
+                    const out = [];
+                    const used = new Set();
+                    while(out.length < n && out.length < list.length) {
+                        const idx = Math.floor(random() * list.length);
+                        if(used.has(idx)) continue;
+                        used.add(idx);
+                        out.push(VOTAX._cloneDeep(list[idx]));
+                    }
+                    return out;
+                },
+
+                /**
+                 * Seed module with test data. Foreign keys the items leave blank point at random
+                 * existing records (join-module records get a pair not linked yet). Without a
+                 * factory, fields come from the module's Validation schema (see VOTAX.Fake).
+                 * With opts.seed, ids, codes and all random choices are reproducible: the same
+                 * seed gives the same records in a fresh store.
+                 * @param {string} module - Module name
+                 * @param {number} n - Count
+                 * @param {Object|Function} factory - Template or factory function (index, random, fake) => item
+                 * @param {Object} opts - Options (seed: number or string; now: clock for ids, codes and
+                 *   dates while seeding, default 2020-01-01T00:00:00Z; fake: fill fields the factory
+                 *   leaves undefined from the schema, default true without a factory; relations:
+                 *   fill blank foreign keys, default true)
+                 * @returns {VOTAXItem[]} Created items
+                 * @example
+                 * VOTAX.CRUD.seed('students', 3, i => ({ name: `S${i}`, age: 20 }));
+                 * VOTAX.CRUD.seed('students', 50, (i, random) => ({ age: 18 + Math.floor(random() * 10) }), { seed: 42 });
+                 * VOTAX.CRUD.seed('students', 20, undefined, { seed: 'demo' });   // from the schema
+                 * VOTAX.CRUD.seed('tasks', 100, (i, random, fake) => ({ title: fake.title() }), { seed: 'demo' });
+                 */
+                seed(module, n = 1, factory, opts = {}) {
+                    const fakeFields = opts.fake !== undefined ? !!opts.fake : factory === undefined;
+                    const run = random => {
+                        const fake = VOTAX.Fake.create(random);
+                        const out = [];
+                        for (let i = 0; i < n; i++) {
+                            const item = (typeof factory === 'function') ? factory(i, random, fake) : VOTAX._cloneDeep(factory || {});
+                            if (opts.relations !== false) this._seedRelations(module, item, fake);
+                            if (fakeFields) VOTAX.Fake._fields(module, VOTAX.Validation._schemas[module] || {}, item, fake, '');
+                            const added = this.add(module, item);
+                            if (added) out.push(added);
+                        }
+                        return out;
+                    };
+                    if(opts.seed === undefined || opts.seed === null) return run(Math.random);
+                    return VOTAX._withSeed(opts.seed, opts.now !== undefined ? opts.now : Date.UTC(2020, 0, 1), run);
+                },
+
+                /**
+                 * Point the foreign keys a seeded item leaves blank at random existing records
+                 * (unlinked ones for one-to-one), and give join-module items a pair not linked yet
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item being seeded (filled in place)
+                 * @param {Object} fake - Faker
+                 */
+                _seedRelations(module, item, fake){
+                    const blank = v => v === undefined || v === null;
+                    this._allRelations().forEach(({ from, to, rel }) => {
+                        if(rel.through === module) {
+                            const a = item[rel.throughFrom], b = item[rel.throughTo];
+                            if(!blank(a) && !blank(b)) return;
+                            const as = blank(a) ? this._live(from).map(o => o[rel.keyFrom]) : [a];
+                            const bs = blank(b) ? this._live(to).map(o => o[rel.keyTo]) : [b];
+                            const total = as.length * bs.length;
+                            if(!total) return;
+                            const key = (x, y) => JSON.stringify([x, y]);
+                            const linked = new Set(this._live(module).map(j => key(j[rel.throughFrom], j[rel.throughTo])));
+                            // a few random draws, then a scan so a free pair is always found
+                            for(let k = 0; k < total + 20; k++) {
+                                const p = k < 20 ? fake.int(0, total - 1) : k - 20;
+                                const x = as[Math.floor(p / bs.length)], y = bs[p % bs.length];
+                                if(linked.has(key(x, y))) continue;
+                                item[rel.throughFrom] = x;
+                                item[rel.throughTo] = y;
+                                return;
+                            }
+                            throw new Error(`every ${from}/${to} pair is already linked in ${module}`);
+                        } else if(!rel.through && to === module && rel.keyTo !== 'id' && blank(item[rel.keyTo])) {
+                            let parents = this._live(from);
+                            if(rel.type === 'one-to-one') {
+                                const linked = new Set(this._live(module).map(o => o[rel.keyTo]));
+                                parents = parents.filter(p => !linked.has(p[rel.keyFrom]));
+                            }
+                            if(parents.length) item[rel.keyTo] = fake.pick(parents)[rel.keyFrom];
+                        }
+                    });
+                },
+
+                /**
+                 * Run several writes as one atomic unit. after:* events fire only on commit,
+                 * a single history entry covers the whole unit, and every module touched is
+                 * restored if fn throws (or, by default, if a before:* hook cancels a write).
+                 * Nested calls join the outer transaction.
+                 * @param {Function} fn - Synchronous callback receiving CRUD
+                 * @param {Object} opts - Options (label, abortOnCancel: default true)
+                 * @returns {*} Return value of fn
+                 * @example
+                 * VOTAX.CRUD.transaction(crud => {
+                 *   const s = crud.add('students', { name: 'Amy' });
+                 *   crud.add('tasks', { title: 'Essay', assignedTo: s.id });
+                 * }, { label: 'enroll Amy' });
+                 */
+                transaction(fn, opts = {}) {
+                    if(this._tx) return fn(this);
+                    const meta = VOTAX._cloneDeep(VOTAX._meta);
+                    const tx = { entries: [], events: [], changes: [], snapshots: {}, abortOnCancel: opts.abortOnCancel !== false };
+                    this._tx = tx;
+                    let result;
+                    try {
+                        result = fn(this);
+                        if(result && typeof result.then === 'function') throw new Error('transaction callback must be synchronous');
+                    } catch(e) {
+                        this._tx = null;
+                        Object.keys(tx.snapshots).forEach(m => {
+                            if(tx.snapshots[m] === undefined) delete this._store[m];
+                            else this._store[m] = tx.snapshots[m];
+                        });
+                        VOTAX._meta = meta;
+                        this._observers.filter(o => o.immediate).forEach(o => {
+                            Object.keys(tx.snapshots).forEach(m => this._notify(o, m, 'rollback', null));
+                        });
+                        throw e;
+                    }
+                    this._tx = null;
+                    if(tx.entries.length) this._record({ type:'transaction', label: opts.label, entries: tx.entries });
+                    // deferred observers see one merged notification per module
+                    const merged = {};
+                    tx.changes.forEach(([m, type, changes, records]) => {
+                        if(!merged[m]) merged[m] = { type, changes: [], records: [] };
+                        else if(merged[m].type !== type) merged[m].type = 'transaction';
+                        merged[m].changes = merged[m].changes && changes ? merged[m].changes.concat(changes) : null;
+                        merged[m].records = merged[m].records && (changes || records) ? merged[m].records.concat(changes || records) : null;
+                    });
+                    Object.keys(merged).forEach(m => {
+                        const { type, changes, records } = merged[m];
+                        this._observers.filter(o => !o.immediate).forEach(o => this._notify(o, m, type, changes, changes ? undefined : records || undefined));
+                    });
+                    tx.events.forEach(([m, ev, payload]) => this._emit(m, ev, payload));
+                    return result;
+                },
+
+                /**
+                 * Snapshot a module the first time the active transaction writes to it
+                 * @param {string} module - Module name
+                 */
+                _txTouch(module){
+                    if(!this._tx || module in this._tx.snapshots) return;
+                    this._tx.snapshots[module] = this._store[module] ? VOTAX._cloneDeep(this._store[module]) : undefined;
+                },
+
+                /**
+                 * Record history entry (into the active transaction, if any)
+                 * @param {Object} entry - History entry
+                 */
+                _record(entry){
+                    if(entry.module && this._opt(entry.module, 'history', true) === false) return;
+                    if(this._tx) { this._tx.entries.push(entry); return; }
+                    entry.timestamp = Date.now();
+                    this._history.push(entry);
+                    this._redo = [];
+                    this._trimHistory();
+                },
+
+                /**
+                 * Handle a write cancelled by a before:* hook
+                 * @param {string} module - Module name
+                 * @param {string} event - Event that cancelled
+                 * @param {*} value - Value to return when not aborting
+                 * @returns {*} value
+                 */
+                _cancelled(module, event, value){
+                    if(this._tx && this._tx.abortOnCancel) throw new Error(`transaction aborted: ${event} cancelled on ${module}`);
+                    return value;
+                },
+
+                /**
+                 * Revert a history entry directly on the store (no hooks, no history)
+                 * @param {Object} h - History entry
+                 */
+                _revert(h){
+                    if(h.type === 'transaction') {
+                        h.entries.slice().reverse().forEach(e => this._revert(e));
+                        return;
+                    }
+                    const list = this._store[h.module] = this._store[h.module] || [];
+                    if(h.type === 'add') {
+                        const idx = list.findIndex(i => i.id === h.id);
+                        if(idx !== -1) list.splice(idx, 1);
+                    } else if(h.type === 'remove') {
+                        list.splice(h.index === undefined ? list.length : h.index, 0, VOTAX._cloneDeep(h.removed));
+                    } else if(h.type === 'update') {
+                        const it = list.find(i => i.id === h.id);
+                        if(it) VOTAX._replaceContents(it, h.before);
+                    } else if(h.type === 'bulkUpdate') {
+                        h.changes.forEach(c => {
+                            const it = list.find(i => i.id === c.before.id);
+                            if(it) VOTAX._replaceContents(it, c.before);
+                        });
+                    } else if(h.type === 'bulkRemove') {
+                        h.removed.forEach(r => list.splice(r.index, 0, VOTAX._cloneDeep(r.item)));
+                    }
+                },
+
+                /**
+                 * Re-apply a history entry directly on the store (no hooks, no history)
+                 * @param {Object} h - History entry
+                 */
+                _apply(h){
+                    if(h.type === 'transaction') {
+                        h.entries.forEach(e => this._apply(e));
+                        return;
+                    }
+                    const list = this._store[h.module] = this._store[h.module] || [];
+                    if(h.type === 'add') {
+                        list.push(VOTAX._cloneDeep(h.item));
+                    } else if(h.type === 'remove') {
+                        const idx = list.findIndex(i => i.id === h.removed.id);
+                        if(idx !== -1) list.splice(idx, 1);
+                    } else if(h.type === 'update') {
+                        const it = list.find(i => i.id === h.id);
+                        if(it) VOTAX._replaceContents(it, h.after);
+                    } else if(h.type === 'bulkUpdate') {
+                        h.changes.forEach(c => {
+                            const it = list.find(i => i.id === c.after.id);
+                            if(it) VOTAX._replaceContents(it, c.after);
+                        });
+                    } else if(h.type === 'bulkRemove') {
+                        const ids = new Set(h.removed.map(r => r.item.id));
+                        this._store[h.module] = list.filter(i => !ids.has(i.id));
+                    }
+                },
+
+                /**
+                 * Modules touched by a history entry
+                 * @param {Object} h - History entry
+                 * @returns {string[]} Module names
+                 */
+                _entryModules(h){
+                    if(h.type !== 'transaction') return [h.module];
+                    return Array.from(new Set(h.entries.map(e => e.module)));
+                },
+
+                /**
+                 * Undo last operation (a transaction is undone as a whole)
+                 * @returns {boolean} True if successful
+                 */
+                undo() {
+                    const h = this._history.pop();
+                    if(!h) return false;
+                    const modules = this._entryModules(h);
+                    const before = this._auditBefore(modules);
+                    this._revert(h);
+                    this._redo.push(h);
+                    modules.forEach(m => this._changed(m, 'undo', null, this._auditRecords(before, m)));
+                    return true;
+                },
+
+                /**
+                 * Redo last undone operation
+                 * @returns {boolean} True if successful
+                 */
+                redo() {
+                    const h = this._redo.pop();
+                    if(!h) return false;
+                    const modules = this._entryModules(h);
+                    const before = this._auditBefore(modules);
+                    this._apply(h);
+                    this._history.push(h);
+                    modules.forEach(m => this._changed(m, 'redo', null, this._auditRecords(before, m)));
+                    return true;
+                },
+
+                /**
+                 * Copy modules about to change as a whole (undo, redo, clear, restore), so the
+                 * change log can record per-record diffs; skipped while Audit is off
+                 * @param {string[]} modules - Module names
+                 * @returns {Record<string, Array>|null} Records per module, or null
+                 */
+                _auditBefore(modules){
+                    if(!VOTAX.Audit.isEnabled()) return null;
+                    const out = {};
+                    modules.forEach(m => { out[m] = VOTAX._cloneDeep(this._store[m] || []); });
+                    return out;
+                },
+
+                /**
+                 * Record-level changes of a module since _auditBefore
+                 * @param {Record<string, Array>|null} before - Result of _auditBefore
+                 * @param {string} module - Module name
+                 * @returns {Array<{id:string, before:Object|null, after:Object|null}>|undefined} Changes
+                 */
+                _auditRecords(before, module){
+                    if(!before || !before[module]) return undefined;
+                    const old = new Map(before[module].map(i => [i.id, i]));
+                    const out = [];
+                    (this._store[module] || []).forEach(item => {
+                        const prev = old.get(item.id);
+                        old.delete(item.id);
+                        if(!prev || JSON.stringify(prev) !== JSON.stringify(item)) out.push({ id: item.id, before: prev || null, after: item });
+                    });
+                    old.forEach((prev, id) => out.push({ id, before: prev, after: null }));
+                    return out;
+                },
+
+                /**
+                 * Whether there is an operation to undo
+                 * @returns {boolean}
+                 */
+                canUndo() {
+                    return this._history.length > 0;
+                },
+
+                /**
+                 * Whether there is an undone operation to redo
+                 * @returns {boolean}
+                 */
+                canRedo() {
+                    return this._redo.length > 0;
+                },
+
+                /**
+                 * History browsing
+                 */
+                history: {
+                    /**
+                     * List history entries, oldest first (undone entries last)
+                     * @returns {Array<{index:number, type:string, module:string, label:string, timestamp:number, applied:boolean}>} Entries
+                     * @example
+                     * VOTAX.CRUD.history.list().forEach(h => console.log(h.index, h.label));
+                     */
+                    list() {
+                        const crud = VOTAX.CRUD;
+                        const entries = crud._history.concat(crud._redo.slice().reverse());
+                        return entries.map((h, i) => ({
+                            index: i + 1,
+                            type: h.type,
+                            module: h.module || null,
+                            label: h.label || `${h.type} ${h.module || ''}`.trim(),
+                            timestamp: h.timestamp,
+                            applied: i < crud._history.length
+                        }));
+                    },
+
+                    /**
+                     * Undo/redo until exactly n entries are applied (0 = before the first entry)
+                     * @param {number} n - Target position
+                     * @returns {boolean} True if the position exists
+                     * @example
+                     * VOTAX.CRUD.history.goto(0); // back to the start
+                     */
+                    goto(n) {
+                        const crud = VOTAX.CRUD;
+                        if(n < 0 || n > crud._history.length + crud._redo.length) return false;
+                        while(crud._history.length > n) crud.undo();
+                        while(crud._history.length < n) crud.redo();
+                        return true;
+                    },
+
+                    /**
+                     * Set max number of undoable entries (oldest are dropped first)
+                     * @param {number} limit - Max depth (Infinity for unbounded)
+                     */
+                    setLimit(limit) {
+                        const crud = VOTAX.CRUD;
+                        crud._historyLimit = limit;
+                        crud._trimHistory();
+                    },
+
+                    /**
+                     * Rename the most recent entry (e.g. after a multi-step edit)
+                     * @param {string} label - Label
+                     * @returns {boolean} True if there was an entry
+                     */
+                    label(label) {
+                        const h = VOTAX.CRUD._history[VOTAX.CRUD._history.length - 1];
+                        if(!h) return false;
+                        h.label = label;
+                        return true;
+                    },
+
+                    /**
+                     * Drop all undo and redo entries
+                     */
+                    clear() {
+                        VOTAX.CRUD._history = [];
+                        VOTAX.CRUD._redo = [];
+                    }
+                },
+
+                /**
+                 * Drop oldest entries beyond the history limit
+                 */
+                _trimHistory(){
+                    const over = this._history.length - this._historyLimit;
+                    if(over > 0) this._history.splice(0, over);
+                },
+
+                /**
+                 * Set per-module options
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (history: false to skip undo history for this module;
+                 *   softDelete: true to move removed items to the trash instead of deleting them;
+                 *   idStrategy: 'default'|'uuid4'|'uuid7'|'ulid'|'nanoid' or (item, module) => id;
+                 *   code: code template such as '{PREFIX}-{YYYY}-{seq:5}' or (item, { module, seq, prefix }) => code;
+                 *   prefix: code prefix, unique across modules (default: derived from the module name))
+                 * @returns {Object} Current module options
+                 * @example
+                 * VOTAX.CRUD.configure('logs', { history: false });
+                 * VOTAX.CRUD.configure('students', { softDelete: true });
+                 * VOTAX.CRUD.configure('invoices', { idStrategy: 'uuid7', code: '{PREFIX}-{YYYY}-{seq:5}', prefix: 'INV' });
+                 */
+                configure(module, opts = {}) {
+                    if(opts.prefix && opts.prefix !== VOTAX._codePrefixes[module]) {
+                        if(VOTAX._prefixTaken(opts.prefix, module)) {
+                            throw new Error(`code prefix ${opts.prefix} is already used by another module`);
+                        }
+                        VOTAX._codePrefixes[module] = opts.prefix;
+                    }
+                    this._moduleOpts[module] = Object.assign({}, this._moduleOpts[module], opts);
+                    return Object.assign({}, this._moduleOpts[module]);
+                },
+
+                /**
+                 * Read a module's code sequence (the last number used by {seq})
+                 * @param {string} module - Module name
+                 * @returns {number} Sequence value
+                 */
+                getSequence(module){
+                    return VOTAX._meta[module] || 0;
+                },
+
+                /**
+                 * Set a module's code sequence; the next code uses value + 1. Generated codes
+                 * still skip any code already in use.
+                 * @param {string} module - Module name
+                 * @param {number} value - Sequence value
+                 * @example
+                 * VOTAX.CRUD.setSequence('invoices', 0); // new year, numbering restarts
+                 */
+                setSequence(module, value){
+                    if(!Number.isInteger(value) || value < 0) throw new Error('sequence must be a non-negative integer');
+                    VOTAX._meta[module] = value;
+                },
+
+                /**
+                 * Read a per-module option
+                 * @param {string} module - Module name
+                 * @param {string} key - Option name
+                 * @param {*} fallback - Default value
+                 * @returns {*} Option value
+                 */
+                _opt(module, key, fallback){
+                    const o = this._moduleOpts[module];
+                    return o && o[key] !== undefined ? o[key] : fallback;
+                },
+
+                /**
+                 * Clear module data
+                 * @param {string} module - Module name (omit to clear all)
+                 */
+                clear(module) {
+                    const modules = module ? [module] : Object.keys(this._store);
+                    const before = this._auditBefore(modules);
+                    if(module) this._store[module] = [];
+                    else this._store = {};
+                    this._history = [];
+                    this._redo = [];
+                    modules.forEach(m => this._changed(m, 'clear', null, this._auditRecords(before, m)));
+                }
+            },
+
+            /**
+             * Image utilities
+             */
+            Images: {
+                /**
+                 * Preview image file as data URL
+                 * @param {File} file - Image file
+                 * @returns {Promise<string>} Data URL
+                 * @example
+                 * VOTAX.Images.preview(fileInput.files[0])
+                 *   .then(dataUrl => { img.src = dataUrl; });
+                 */
+                preview(file){
+                    return new Promise((resolve, reject) => {
+                        if(!file) return reject(new Error('file required'));
+                        const reader = new FileReader();
+                        reader.onload = e => resolve(e.target.result);
+                        reader.onerror = reject;
+                        reader.readAsDataURL(file);
+                    });
+                },
+
+                /**
+                 * Resize image client-side
+                 * @param {File|string} fileOrDataUrl - File or data URL
+                 * @param {number} maxW - Max width
+                 * @param {number} maxH - Max height
+                 * @param {number} quality - JPEG quality (0-1)
+                 * @returns {Promise<string>} Resized data URL
+                 * @example
+                 * VOTAX.Images.resize(file, 800, 800, 0.8)
+                 *   .then(resized => { VOTAX.CRUD.add('posts', { image: resized }); });
+                 */
+                resize(fileOrDataUrl, maxW = 800, maxH = 800, quality = 0.8){
+                    return new Promise((resolve, reject) => {
+                        const img = new Image();
+                        img.onerror = reject;
+                        img.onload = () => {
+                            let { width: w, height: h } = img;
+                            const ratio = Math.min(1, Math.min(maxW / w, maxH / h));
+                            const nw = Math.round(w * ratio), nh = Math.round(h * ratio);
+                            const canvas = document.createElement('canvas');
+                            canvas.width = nw; canvas.height = nh;
+                            const ctx = canvas.getContext('2d');
+                            ctx.drawImage(img,0,0,nw,nh);
+                            resolve(canvas.toDataURL('image/jpeg', quality));
+                        };
+                        if(typeof fileOrDataUrl === 'string' && fileOrDataUrl.startsWith('data:')) img.src = fileOrDataUrl;
+                        else {
+                            const reader = new FileReader();
+                            reader.onerror = reject;
+                            reader.onload = e => img.src = e.target.result;
+                            reader.readAsDataURL(fileOrDataUrl);
+                        }
+                    });
+                }
+            },
+
+            /**
+             * Persistence module (localStorage, IndexedDB, JSON)
+             */
+            Persistence: {
+                /** @type {IDBDatabase|null} */
+                _db: null,
+                /** @type {string} */
+                _dbName: options.dbName || (options.name ? `votax:${options.name}` : 'votax'),
+                /** @type {string} localStorage key prefix */
+                _prefix: options.name ? `votax:${options.name}:` : 'votax:',
+                /** @type {Record<string, number>} */
+                _versions: {},
+                /** @type {Record<string, Record<number, Function>>} */
+                _migrations: {},
+                /** @type {Array<{stop: Function, flush: Function}>} active autosaves */
+                _autosaves: [],
+                /** @type {Function[]} */
+                _errorListeners: [],
+                /** @type {number} > 0 while loading (autosave skips those writes) */
+                _muted: 0,
+                /** @type {Promise} IndexedDB operations run one at a time (upgrades close the connection) */
+                _idbQueue: Promise.resolve(),
+                /** @type {Record<string, StorageAdapter>} */
+                _adapters: {},
+                /** @type {string|StorageAdapter} adapter used by saveLocal/loadLocal */
+                _adapter: options.adapter || 'local',
+                /** @type {{passphrase:string, iterations:number, salt:Uint8Array, keys:Map}|null} encryption at rest */
+                _crypto: null,
+
+                /**
+                 * Write loaded records into a module.
+                 * Modes: 'replace' (the module ends up holding exactly the records), 'merge-by-id'
+                 * (records with a known id are merged with RealTime.resolveConflict, others inserted)
+                 * and 'append' (every record is inserted; colliding ids/codes get new ones).
+                 * By default hooks and history are bypassed; code counters are restored either way.
+                 * @param {string} module - Module name
+                 * @param {Array} records - Records
+                 * @param {Object} opts - Options (mode, strategy: conflict strategy name or
+                 *   (local, loaded) => record, default 'last-write-wins', hooks, history, meta, label,
+                 *   source: change-log source, default 'import')
+                 * @returns {LoadReport} Report
+                 */
+                _ingest(module, records, opts = {}) {
+                    return VOTAX._withSource(opts.source || 'import', () => this._ingestAs(module, records, opts));
+                },
+
+                /**
+                 * Body of _ingest, run with the write source set for the change log
+                 * @param {string} module - Module name
+                 * @param {Array} records - Records
+                 * @param {Object} opts - Load options
+                 * @returns {LoadReport} Report
+                 */
+                _ingestAs(module, records, opts) {
+                    const CRUD = VOTAX.CRUD;
+                    const mode = opts.mode || 'merge-by-id';
+                    if(!['replace', 'merge-by-id', 'append'].includes(mode)) throw new Error(`unknown load mode: ${mode}`);
+                    const resolve = typeof opts.strategy === 'function'
+                        ? opts.strategy
+                        : (local, remote) => VOTAX.RealTime.resolveConflict(opts.strategy || 'last-write-wins', local, remote);
+                    const report = { module, mode, inserted: [], updated: [], skipped: [], errors: [] };
+                    this._restoreMeta(module, records, opts.meta, opts.prefix);
+                    const label = opts.label || `load ${module}`;
+                    if(opts.hooks) {
+                        const had = CRUD._moduleOpts[module] && 'history' in CRUD._moduleOpts[module];
+                        const prev = had ? CRUD._moduleOpts[module].history : undefined;
+                        if(!opts.history) CRUD.configure(module, { history: false });
+                        try {
+                            CRUD.transaction(crud => this._ingestWith(module, records, mode, resolve, report, {
+                                // replace removes for good, trash included (bulkRemove would only trash
+                                // on soft-delete modules, and the kept ids would collide with the incoming ones)
+                                clear: () => crud._commitBulkRemove(module, () => true),
+                                find: id => crud._lookup(module, id),
+                                // append mode gives colliding ids new ones
+                                insert: rec => crud.add(module, rec && crud._lookup(module, rec.id) ? Object.assign({}, rec, { id: undefined }) : rec),
+                                update: (id, next) => crud.update(module, id, next)
+                            }), { label, abortOnCancel: false });
+                        } finally {
+                            if(!opts.history) {
+                                if(had) CRUD._moduleOpts[module].history = prev;
+                                else delete CRUD._moduleOpts[module].history;
+                            }
+                        }
+                        return report;
+                    }
+                    CRUD.transaction(() => {
+                        CRUD._txTouch(module);
+                        const list = CRUD._store[module] = CRUD._store[module] || [];
+                        const byId = new Map(list.map(i => [i.id, i]));
+                        const codes = new Set(list.map(i => i.code));
+                        const claim = VOTAX.Performance._uniqueClaims(module);
+                        const changes = [];
+                        this._ingestWith(module, records, mode, resolve, report, {
+                            clear: () => {
+                                if(!list.length) return;
+                                if(opts.history) CRUD._record({ type:'bulkRemove', module, removed: list.map((item, index) => ({ index, item: VOTAX._cloneDeep(item) })) });
+                                const removed = list.splice(0);
+                                byId.clear();
+                                codes.clear();
+                                delete CRUD._positions[module];
+                                // let indexes forget the old records before uniqueness checks
+                                CRUD._changed(module, 'load', removed.map(item => ({ id: item.id, before: item, after: null })));
+                            },
+                            find: id => byId.get(id),
+                            insert: rec => {
+                                const obj = VOTAX._cloneDeep(rec);
+                                if(obj.id === undefined || obj.id === null || byId.has(obj.id)) obj.id = CRUD._newId(module, obj, id => byId.has(id));
+                                if(!obj.code || codes.has(obj.code) || VOTAX._codeTaken(obj.code)) obj.code = VOTAX._genCode(module, obj);
+                                if(!Array.isArray(obj.tags)) obj.tags = obj.tags ? [obj.tags] : [];
+                                claim(obj);
+                                list.push(obj);
+                                byId.set(obj.id, obj);
+                                codes.add(obj.code);
+                                changes.push({ id: obj.id, before: null, after: obj });
+                                if(opts.history) CRUD._record({ type:'add', module, id: obj.id, item: VOTAX._cloneDeep(obj) });
+                                return obj;
+                            },
+                            update: (id, next) => {
+                                const it = byId.get(id);
+                                const after = Object.assign({}, next, { id });
+                                claim(after);
+                                const before = VOTAX._cloneDeep(it);
+                                VOTAX._replaceContents(it, after);
+                                changes.push({ id, before, after: it });
+                                if(opts.history) CRUD._record({ type:'update', module, id, before, after: VOTAX._cloneDeep(it) });
+                                return it;
+                            }
+                        });
+                        delete CRUD._positions[module];
+                        if(changes.length) CRUD._changed(module, 'load', changes);
+                    }, { label });
+                    CRUD._emit(module, 'after:load', VOTAX._cloneDeep(report));
+                    return report;
+                },
+
+                /**
+                 * Decide per record whether to insert, update or skip, and do it through `ops`
+                 * @param {string} module - Module name
+                 * @param {Array} records - Records
+                 * @param {string} mode - Load mode
+                 * @param {Function} resolve - Conflict resolver (local, loaded) => record
+                 * @param {LoadReport} report - Report to fill
+                 * @param {{clear:Function, find:Function, insert:Function, update:Function}} ops - Store operations
+                 */
+                _ingestWith(module, records, mode, resolve, report, ops) {
+                    if(mode === 'replace') ops.clear();
+                    records.forEach(rec => {
+                        const ref = rec && rec.id !== undefined ? rec.id : null;
+                        try {
+                            const current = mode === 'merge-by-id' && ref !== null ? ops.find(ref) : null;
+                            if(!current) {
+                                const added = ops.insert(rec);
+                                if(added) report.inserted.push(added.id); else report.skipped.push(ref);
+                                return;
+                            }
+                            const merged = resolve(VOTAX._cloneDeep(current), VOTAX._cloneDeep(rec));
+                            if(!merged || JSON.stringify(Object.assign({}, merged, { id: ref })) === JSON.stringify(current)) {
+                                report.skipped.push(ref);
+                                return;
+                            }
+                            if(ops.update(ref, merged)) report.updated.push(ref); else report.skipped.push(ref);
+                        } catch(e) {
+                            report.skipped.push(ref);
+                            report.errors.push({ id: ref, message: e.message });
+                        }
+                    });
+                },
+
+                /**
+                 * Bring a module's code counter up to the saved counter and the highest loaded
+                 * code, so new codes never repeat loaded ones. Adopts the saved code prefix
+                 * (or, for data saved without one, the prefix of the loaded default-style codes)
+                 * unless another module already uses it.
+                 * @param {string} module - Module name
+                 * @param {Array} records - Loaded records
+                 * @param {number} saved - Counter stored with the payload
+                 * @param {string} prefix - Code prefix stored with the payload
+                 */
+                _restoreMeta(module, records, saved, prefix) {
+                    if(prefix && !VOTAX.CRUD._opt(module, 'prefix')) {
+                        if(!VOTAX._prefixTaken(prefix, module)) VOTAX._codePrefixes[module] = prefix;
+                    } else if(!VOTAX._codePrefixes[module] && !VOTAX.CRUD._opt(module, 'prefix')) {
+                        const legacy = records.map(r => r && /^([A-Z0-9]+)-\d+$/.exec(r.code)).find(Boolean);
+                        if(legacy && !VOTAX._prefixTaken(legacy[1], module)) VOTAX._codePrefixes[module] = legacy[1];
+                    }
+                    let n = Math.max(VOTAX._meta[module] || 0, saved || 0);
+                    const pattern = VOTAX._codePattern(module);
+                    if(pattern) records.forEach(r => {
+                        const m = r && typeof r.code === 'string' && pattern.exec(r.code);
+                        if(m && Number(m[1]) > n) n = Number(m[1]);
+                    });
+                    VOTAX._meta[module] = n;
+                },
+
+                /**
+                 * Set the current data version of a module (stamped into saved payloads)
+                 * @param {string} module - Module name
+                 * @param {number} version - Version number
+                 */
+                setVersion(module, version) {
+                    this._versions[module] = version;
+                },
+
+                /**
+                 * Get the current data version of a module: the version set explicitly, otherwise
+                 * the version the registered migrations lead to, otherwise 0
+                 * @param {string} module - Module name
+                 * @returns {number} Version
+                 */
+                getVersion(module) {
+                    if(this._versions[module] !== undefined) return this._versions[module];
+                    const froms = Object.keys(this._migrations[module] || {}).map(Number);
+                    return froms.length ? Math.max(...froms) + 1 : 0;
+                },
+
+                /**
+                 * Register a migration step that upgrades records from fromVersion to fromVersion + 1.
+                 * Steps run in a chain on load/import; payloads saved before versioning count as version 0.
+                 * @param {string} module - Module name
+                 * @param {number} fromVersion - Version the step upgrades from
+                 * @param {Function} fn - (item, { module, from, to }) => item; may mutate and return nothing,
+                 *   or return null to drop the record
+                 * @example
+                 * VOTAX.Persistence.registerMigration('students', 0, (s) => {
+                 *   s.fullName = `${s.first} ${s.last}`;
+                 *   delete s.first; delete s.last;
+                 * });
+                 */
+                registerMigration(module, fromVersion, fn) {
+                    if(typeof fn !== 'function') throw new Error('migration must be a function');
+                    this._migrations[module] = this._migrations[module] || {};
+                    this._migrations[module][fromVersion] = fn;
+                },
+
+                /**
+                 * Run the migration chain over records without storing them
+                 * @param {string} module - Module name
+                 * @param {Array} data - Records as saved
+                 * @param {number} fromVersion - Version the records were saved with
+                 * @returns {MigrationReport} Report with the migrated records in `data`
+                 */
+                migrate(module, data, fromVersion = 0) {
+                    const to = this.getVersion(module);
+                    const report = { module, from: fromVersion, to, total: data.length, changed: [], dropped: [], data: VOTAX._cloneDeep(data) };
+                    if(fromVersion > to) throw new Error(`${module} data has version ${fromVersion}, newer than ${to}`);
+                    for(let v = fromVersion; v < to; v++) {
+                        const fn = (this._migrations[module] || {})[v];
+                        if(!fn) throw new Error(`no migration for ${module} from version ${v}`);
+                        report.data = report.data.reduce((out, item) => {
+                            const res = fn(item, { module, from: v, to: v + 1 });
+                            if(res === null) report.dropped.push(item.id);
+                            else out.push(res === undefined ? item : res);
+                            return out;
+                        }, []);
+                    }
+                    if(fromVersion < to) {
+                        const byId = new Map(data.map(item => [item.id, item]));
+                        report.data.forEach(item => {
+                            const before = byId.get(item.id);
+                            if(!before || JSON.stringify(before) !== JSON.stringify(item)) report.changed.push({ id: item.id, before: before || null, after: item });
+                        });
+                    }
+                    return report;
+                },
+
+                /**
+                 * Migrate a saved payload, reporting failures through onError (op 'migrate')
+                 * @param {string} module - Module name
+                 * @param {Array} data - Records
+                 * @param {number} version - Saved version
+                 * @returns {MigrationReport|null} Report, or null if the chain failed
+                 */
+                _upgrade(module, data, version) {
+                    try {
+                        return this.migrate(module, data, version || 0);
+                    } catch(e) {
+                        this._reportError('migrate', module, e);
+                        return null;
+                    }
+                },
+
+                /**
+                 * Initialize IndexedDB. Each module gets its own object store (keyPath id) with
+                 * indexes; the 'modules' store keeps per-module metadata (version, timestamp, count).
+                 * @returns {Promise<IDBDatabase>} Database instance
+                 */
+                initIndexedDB() {
+                    if(this._db) return Promise.resolve(this._db);
+                    return this._openDB();
+                },
+
+                /**
+                 * Open the database, optionally upgrading it to create a module store or indexes
+                 * @param {number} version - Version to open (omit for current)
+                 * @param {string} module - Module whose store/indexes the upgrade should create
+                 * @returns {Promise<IDBDatabase>} Database instance
+                 */
+                _openDB(version, module) {
+                    return new Promise((resolve, reject) => {
+                        const req = version ? indexedDB.open(this._dbName, version) : indexedDB.open(this._dbName);
+                        req.onerror = () => reject(req.error);
+                        req.onblocked = () => console.warn(`VOTAX: IndexedDB upgrade of ${this._dbName} is blocked by another tab`);
+                        req.onupgradeneeded = (e) => {
+                            const db = e.target.result;
+                            if(!db.objectStoreNames.contains('modules')) {
+                                db.createObjectStore('modules', { keyPath: 'module' });
+                            }
+                            if(!db.objectStoreNames.contains('kv')) db.createObjectStore('kv');
+                            if(module) {
+                                const store = db.objectStoreNames.contains(module)
+                                    ? e.target.transaction.objectStore(module)
+                                    : db.createObjectStore(module, { keyPath: 'id' });
+                                this._idbIndexes(module).forEach(ix => {
+                                    if(!store.indexNames.contains(ix.name)) store.createIndex(ix.name, ix.keyPath, ix.opts);
+                                });
+                            }
+                        };
+                        req.onsuccess = () => {
+                            this._db = req.result;
+                            // let other tabs upgrade the schema
+                            this._db.onversionchange = () => { this._db.close(); this._db = null; };
+                            resolve(this._db);
+                        };
+                    });
+                },
+
+                /**
+                 * Indexes a module's object store should have: code, tags (multiEntry) and
+                 * every field indexed with Performance.createIndex
+                 * @param {string} module - Module name
+                 * @returns {Array<{name:string, keyPath:string, opts:Object}>} Index specs
+                 */
+                _idbIndexes(module) {
+                    const specs = [
+                        { name: 'code', keyPath: 'code', opts: {} },
+                        { name: 'tags', keyPath: 'tags', opts: { multiEntry: true } }
+                    ];
+                    Object.values(VOTAX.Performance._indexes[module] || {}).forEach(ix => {
+                        if(ix.field !== 'code' && ix.field !== 'tags') specs.push({ name: ix.field, keyPath: ix.field, opts: { unique: !!ix.unique } });
+                    });
+                    return specs;
+                },
+
+                /**
+                 * Make sure the module's object store and indexes exist, upgrading the database if not
+                 * @param {string} module - Module name
+                 * @returns {Promise<IDBDatabase>} Database instance
+                 */
+                async _ensureStore(module) {
+                    const db = await this.initIndexedDB();
+                    if(db.objectStoreNames.contains(module)) {
+                        const names = db.transaction(module, 'readonly').objectStore(module).indexNames;
+                        if(this._idbIndexes(module).every(ix => names.contains(ix.name))) return db;
+                    }
+                    const next = db.version + 1;
+                    db.close();
+                    this._db = null;
+                    return this._openDB(next, module);
+                },
+
+                /**
+                 * Queue an IndexedDB operation behind the ones already running
+                 * @param {Function} fn - Async operation
+                 * @returns {Promise<*>} Its result
+                 */
+                _serial(fn) {
+                    const run = this._idbQueue.then(fn, fn);
+                    this._idbQueue = run.catch(() => {});
+                    return run;
+                },
+
+                /**
+                 * Run a request-producing function in a transaction and resolve when it completes
+                 * @param {string[]} stores - Object store names
+                 * @param {string} mode - 'readonly' or 'readwrite'
+                 * @param {Function} fn - (tx) => result collector
+                 * @returns {Promise<*>} Value returned by fn once the transaction completed
+                 */
+                _idbRun(stores, mode, fn) {
+                    return new Promise((resolve, reject) => {
+                        const tx = this._db.transaction(stores, mode);
+                        let result;
+                        tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+                        tx.onerror = () => reject(tx.error);
+                        tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+                        result = fn(tx);
+                    });
+                },
+
+                /**
+                 * Save a module to IndexedDB, one record per item
+                 * @param {string} module - Module name
+                 * @returns {Promise<boolean>} Success status (failures are reported, see onError)
+                 * @example
+                 * await VOTAX.Persistence.saveIDB('students');
+                 */
+                saveIDB(module) {
+                    return this._serial(async () => {
+                        try {
+                            const plain = (VOTAX.CRUD._store[module] || []).map(i => VOTAX._cloneDeep(i));
+                            const data = this._crypto ? await Promise.all(plain.map(i => this._sealRecord(i))) : plain;
+                            await this._ensureStore(module);
+                            await this._idbRun([module, 'modules'], 'readwrite', tx => {
+                                const store = tx.objectStore(module);
+                                store.clear();
+                                data.forEach(item => store.put(item));
+                                tx.objectStore('modules').put({ module, version: this.getVersion(module), meta: VOTAX._meta[module] || 0, prefix: VOTAX._codePrefixes[module], timestamp: Date.now(), count: data.length });
+                            });
+                            return true;
+                        } catch(e) {
+                            this._reportError('save', module, e);
+                            return false;
+                        }
+                    });
+                },
+
+                /**
+                 * Load a module from IndexedDB, migrating records saved with an older version
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (mode, strategy, hooks, history as in loadLocal;
+                 *   dryRun: return the migration report without loading)
+                 * @returns {Promise<LoadReport|false|MigrationReport|null>} Load report (false on failure),
+                 *   or the migration report on dry run
+                 * @example
+                 * await VOTAX.Persistence.loadIDB('students');
+                 */
+                loadIDB(module, opts = {}) {
+                    return this._serial(async () => {
+                        try {
+                            const db = await this.initIndexedDB();
+                            if(!db.objectStoreNames.contains(module)) return opts.dryRun ? null : false;
+                            const { data: stored, meta } = await this._idbRun([module, 'modules'], 'readonly', tx => {
+                                const all = tx.objectStore(module).getAll();
+                                const m = tx.objectStore('modules').get(module);
+                                return () => ({ data: all.result, meta: m.result });
+                            });
+                            const data = await Promise.all(stored.map(r => this._open(r)));
+                            const report = this._upgrade(module, data, meta ? meta.version : 0);
+                            if(opts.dryRun || !report) return opts.dryRun ? report : false;
+                            this._muted++;
+                            try { return this._ingest(module, report.data, Object.assign({ meta: meta && meta.meta, prefix: meta && meta.prefix }, opts)); }
+                            finally { this._muted--; }
+                        } catch(e) {
+                            this._reportError('load', module, e);
+                            return opts.dryRun ? null : false;
+                        }
+                    });
+                },
+
+                /**
+                 * Persist CRUD writes to IndexedDB automatically. Changes are batched and written
+                 * per record after `delay` ms; undo/redo/clear rewrite the whole module.
+                 * @param {string|string[]} modules - Module name(s), or '*' for all
+                 * @param {Object} opts - Options (delay: debounce in ms, default 50)
+                 * @returns {Function} Stop function
+                 * @example
+                 * const stop = VOTAX.Persistence.autosave('*');
+                 * VOTAX.Persistence.onError(({ module, quota }) => quota && alert(`Storage full (${module})`));
+                 */
+                autosave(modules = '*', opts = {}) {
+                    const only = modules === '*' ? null : [].concat(modules);
+                    const pending = new Map(); // module -> Set<id> | null (whole module)
+                    let timer = null;
+                    const flush = () => {
+                        timer = null;
+                        const batch = Array.from(pending.entries());
+                        pending.clear();
+                        return Promise.all(batch.map(([module, ids]) => ids ? this._writeIds(module, ids) : this.saveIDB(module)));
+                    };
+                    const stop = VOTAX.CRUD._observe((module, type, changes) => {
+                        if(this._muted || (only && !only.includes(module))) return;
+                        if(!changes || pending.get(module) === null) pending.set(module, null);
+                        else {
+                            const ids = pending.get(module) || new Set();
+                            changes.forEach(c => ids.add(c.id));
+                            pending.set(module, ids);
+                        }
+                        if(!timer) timer = setTimeout(flush, opts.delay !== undefined ? opts.delay : 50);
+                    });
+                    const rec = { stop, flush: () => { if(timer) { clearTimeout(timer); return flush(); } return Promise.resolve([]); } };
+                    this._autosaves.push(rec);
+                    return () => {
+                        stop();
+                        this._autosaves.splice(this._autosaves.indexOf(rec), 1);
+                        return rec.flush();
+                    };
+                },
+
+                /**
+                 * Write pending autosave changes now
+                 * @returns {Promise<void>} Resolves when written
+                 */
+                async flush() {
+                    await Promise.all(this._autosaves.map(rec => rec.flush()));
+                },
+
+                /**
+                 * Write (or delete) individual records of a module
+                 * @param {string} module - Module name
+                 * @param {Set<string>} ids - Changed record ids
+                 * @returns {Promise<boolean>} Success status
+                 */
+                _writeIds(module, ids) {
+                    return this._serial(async () => {
+                        try {
+                            const records = await Promise.all(Array.from(ids).map(id => {
+                                const item = VOTAX.CRUD._lookup(module, id);
+                                return item ? Promise.resolve(this._crypto ? this._sealRecord(item) : VOTAX._cloneDeep(item)).then(rec => [id, rec]) : [id, null];
+                            }));
+                            await this._ensureStore(module);
+                            await this._idbRun([module, 'modules'], 'readwrite', tx => {
+                                const store = tx.objectStore(module);
+                                records.forEach(([id, item]) => item ? store.put(item) : store.delete(id));
+                                tx.objectStore('modules').put({ module, version: this.getVersion(module), meta: VOTAX._meta[module] || 0, prefix: VOTAX._codePrefixes[module], timestamp: Date.now(), count: (VOTAX.CRUD._store[module] || []).length });
+                            });
+                            return true;
+                        } catch(e) {
+                            this._reportError('save', module, e);
+                            return false;
+                        }
+                    });
+                },
+
+                /**
+                 * Turn on encryption at rest: saveLocal/saveAllLocal (any adapter), saveIDB/autosave
+                 * and exportJSON write AES-GCM envelopes keyed by PBKDF2(passphrase). Loads decrypt
+                 * transparently. Saves and loads return promises while encryption is on.
+                 * @param {string|null} passphrase - Passphrase, or null to turn encryption off
+                 * @param {Object} opts - Options (iterations: PBKDF2 iterations, default 310000)
+                 * @returns {Promise<void>} Resolves once the key is derived
+                 * @example
+                 * await VOTAX.Persistence.setEncryption(prompt('Passphrase'));
+                 * await VOTAX.Persistence.saveLocal('students');
+                 */
+                async setEncryption(passphrase, opts = {}) {
+                    if(passphrase === null || passphrase === undefined) { this._crypto = null; return; }
+                    if(typeof passphrase !== 'string' || !passphrase) throw new Error('passphrase must be a non-empty string');
+                    const next = { passphrase, iterations: opts.iterations || 310000, salt: this._random(16), keys: new Map() };
+                    await this._deriveKey(next, next.salt);
+                    this._crypto = next;
+                },
+
+                /**
+                 * Re-encrypt stored data under a new passphrase: every payload of this instance in
+                 * the current adapter and every IndexedDB record store. Nothing is written if any
+                 * item fails to decrypt with the current passphrase, and the adapter payloads are
+                 * put back if a write fails.
+                 * @param {string} passphrase - New passphrase
+                 * @param {Object} opts - Options (adapter: name or adapter, iterations)
+                 * @returns {Promise<{keys:number, records:number}>} Counts of re-encrypted payloads and records
+                 */
+                async rotateKey(passphrase, opts = {}) {
+                    if(!this._crypto) throw new Error('encryption is not enabled');
+                    if(typeof passphrase !== 'string' || !passphrase) throw new Error('passphrase must be a non-empty string');
+                    const next = { passphrase, iterations: opts.iterations || this._crypto.iterations, salt: this._random(16), keys: new Map() };
+                    const adapter = this._resolveAdapter(opts.adapter);
+                    const keys = await this._instanceKeys(adapter, this._prefix);
+                    const values = await Promise.all(keys.map(k => adapter.get(k)));
+                    const resealed = await Promise.all(values.map(v => Promise.resolve(this._open(v)).then(plain => this._encrypt(plain, next))));
+                    const stores = typeof indexedDB !== 'undefined' ? await this._serial(async () => {
+                        const db = await this.initIndexedDB();
+                        const names = Array.from(db.objectStoreNames).filter(n => n !== 'modules' && n !== 'kv');
+                        const out = [];
+                        for(const name of names) {
+                            const rows = await this._idbRun([name], 'readonly', tx => { const req = tx.objectStore(name).getAll(); return () => req.result; });
+                            out.push([name, await Promise.all(rows.map(r => Promise.resolve(this._open(r)).then(plain => this._sealRecord(plain, next))))]);
+                        }
+                        return out;
+                    }) : [];
+                    let records = 0;
+                    try {
+                        await this._transaction(adapter, batch => keys.forEach((k, i) => batch.set(k, resealed[i])));
+                        if(stores.length) {
+                            await this._serial(() => this._idbRun(stores.map(s => s[0]), 'readwrite', tx => {
+                                stores.forEach(([name, rows]) => {
+                                    rows.forEach(r => tx.objectStore(name).put(r));
+                                    records += rows.length;
+                                });
+                            }));
+                        }
+                    } catch(e) {
+                        // the IndexedDB write is one transaction; only the adapter needs undoing
+                        await Promise.resolve().then(() => this._transaction(adapter, batch => keys.forEach((k, i) => batch.set(k, values[i]))))
+                            .catch(err => this._reportError('save', '*', err));
+                        throw e;
+                    }
+                    this._crypto = next;
+                    return { keys: keys.length, records };
+                },
+
+                /**
+                 * Get WebCrypto's SubtleCrypto (browser, worker or Node)
+                 * @returns {SubtleCrypto} Subtle crypto
+                 */
+                _subtle() {
+                    const c = global.crypto && global.crypto.subtle ? global.crypto
+                        : (typeof require === 'function' ? require('crypto').webcrypto : null);
+                    if(!c || !c.subtle) throw new Error('WebCrypto is not available');
+                    return c.subtle;
+                },
+
+                /**
+                 * Random bytes
+                 * @param {number} n - Byte count
+                 * @returns {Uint8Array} Bytes
+                 */
+                _random(n) {
+                    const c = global.crypto && global.crypto.getRandomValues ? global.crypto : require('crypto').webcrypto;
+                    return c.getRandomValues(new Uint8Array(n));
+                },
+
+                /**
+                 * Derive (and cache) the AES-GCM key for a salt
+                 * @param {Object} c - Encryption settings
+                 * @param {Uint8Array} salt - Salt
+                 * @param {number} iterations - PBKDF2 iterations
+                 * @returns {Promise<CryptoKey>} Key
+                 */
+                _deriveKey(c, salt, iterations = c.iterations) {
+                    const id = `${iterations}:${this._toB64(salt)}`;
+                    if(!c.keys.has(id)) {
+                        const subtle = this._subtle();
+                        c.keys.set(id, subtle.importKey('raw', new TextEncoder().encode(c.passphrase), 'PBKDF2', false, ['deriveKey'])
+                            .then(base => subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])));
+                    }
+                    return c.keys.get(id);
+                },
+
+                /**
+                 * Encrypt a JSON value into an envelope
+                 * @param {*} value - Value
+                 * @param {Object} c - Encryption settings (default: current)
+                 * @returns {Promise<Object>} Envelope { enc, iter, salt, iv, data }
+                 */
+                async _encrypt(value, c = this._crypto) {
+                    const iv = this._random(12);
+                    const key = await this._deriveKey(c, c.salt);
+                    const data = await this._subtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+                    return { enc: 'votax-aes-gcm', iter: c.iterations, salt: this._toB64(c.salt), iv: this._toB64(iv), data: this._toB64(new Uint8Array(data)) };
+                },
+
+                /**
+                 * Decrypt an envelope
+                 * @param {Object} env - Envelope
+                 * @param {Object} c - Encryption settings (default: current)
+                 * @returns {Promise<*>} Value
+                 */
+                async _decrypt(env, c = this._crypto) {
+                    if(!c) throw new Error('data is encrypted: call Persistence.setEncryption(passphrase) first');
+                    const key = await this._deriveKey(c, this._fromB64(env.salt), env.iter);
+                    let plain;
+                    try {
+                        plain = await this._subtle().decrypt({ name: 'AES-GCM', iv: this._fromB64(env.iv) }, key, this._fromB64(env.data));
+                    } catch(e) {
+                        throw new Error('wrong passphrase (or corrupted data): decryption failed');
+                    }
+                    return JSON.parse(new TextDecoder().decode(plain));
+                },
+
+                /**
+                 * Encrypt a value if encryption is on
+                 * @param {*} value - Value
+                 * @returns {*|Promise<Object>} Value or envelope promise
+                 */
+                _seal(value) {
+                    return this._crypto ? this._encrypt(value) : value;
+                },
+
+                /**
+                 * Decrypt a value if it is an envelope
+                 * @param {*} value - Stored value
+                 * @returns {*|Promise<*>} Value
+                 */
+                _open(value) {
+                    return value && value.enc === 'votax-aes-gcm' ? this._decrypt(value) : value;
+                },
+
+                /**
+                 * Encrypt an IndexedDB record, keeping its id as the key
+                 * @param {Object} item - Record
+                 * @param {Object} c - Encryption settings (default: current)
+                 * @returns {Promise<Object>} { id, ...envelope }
+                 */
+                async _sealRecord(item, c = this._crypto) {
+                    return Object.assign({ id: item.id }, await this._encrypt(item, c));
+                },
+
+                /**
+                 * Bytes to base64
+                 * @param {Uint8Array} bytes - Bytes
+                 * @returns {string} Base64
+                 */
+                _toB64(bytes) {
+                    if(typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+                    let bin = '';
+                    bytes.forEach(b => { bin += String.fromCharCode(b); });
+                    return btoa(bin);
+                },
+
+                /**
+                 * Base64 to bytes
+                 * @param {string} b64 - Base64
+                 * @returns {Uint8Array} Bytes
+                 */
+                _fromB64(b64) {
+                    if(typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(b64, 'base64'));
+                    return Uint8Array.from(atob(b64), ch => ch.charCodeAt(0));
+                },
+
+                /**
+                 * Subscribe to storage errors ({ op, module, error, quota })
+                 * @param {Function} fn - Callback
+                 * @returns {Function} Unsubscribe function
+                 */
+                onError(fn) {
+                    this._errorListeners.push(fn);
+                    return () => {
+                        const idx = this._errorListeners.indexOf(fn);
+                        if(idx !== -1) this._errorListeners.splice(idx, 1);
+                    };
+                },
+
+                /**
+                 * Log a storage error and notify onError listeners
+                 * @param {string} op - Operation (save, load, import, migrate)
+                 * @param {string} module - Module name
+                 * @param {Error} error - Error
+                 */
+                _reportError(op, module, error) {
+                    const quota = !!error && (error.name === 'QuotaExceededError' || error.code === 22);
+                    console.error(`VOTAX: ${op} of ${module} failed${quota ? ' (storage quota exceeded)' : ''}:`, error);
+                    this._errorListeners.slice().forEach(fn => {
+                        try { fn({ op, module, error, quota }); } catch(e) { console.error(e); }
+                    });
+                },
+
+                /**
+                 * Estimate storage usage and quota
+                 * @returns {Promise<{usage:number, quota:number}|null>} Estimate, or null if unsupported
+                 */
+                async estimate() {
+                    if(typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+                    const { usage, quota } = await navigator.storage.estimate();
+                    return { usage, quota };
+                },
+
+                /**
+                 * Built-in storage adapter factories. An adapter implements
+                 * get(key), set(key, value), delete(key), list(prefix) and optionally
+                 * transaction(fn); values are plain objects, and any method may return a promise.
+                 * @example
+                 * VOTAX.Persistence.registerAdapter('file', VOTAX.Persistence.adapters.jsonFile('./data/votax.json'));
+                 * VOTAX.Persistence.useAdapter('file');
+                 */
+                adapters: {
+                    /**
+                     * Adapter over window.localStorage
+                     * @returns {StorageAdapter} Adapter
+                     */
+                    localStorage() {
+                        return VOTAX.Persistence._webStorage('localStorage');
+                    },
+
+                    /**
+                     * Adapter over window.sessionStorage
+                     * @returns {StorageAdapter} Adapter
+                     */
+                    sessionStorage() {
+                        return VOTAX.Persistence._webStorage('sessionStorage');
+                    },
+
+                    /**
+                     * In-memory adapter (tests, workers, server-side rendering)
+                     * @returns {StorageAdapter} Adapter
+                     */
+                    memory() {
+                        const map = new Map();
+                        const adapter = {
+                            get: key => map.has(key) ? VOTAX._cloneDeep(map.get(key)) : undefined,
+                            set: (key, value) => { map.set(key, VOTAX._cloneDeep(value)); },
+                            delete: key => { map.delete(key); },
+                            list: (prefix = '') => Array.from(map.keys()).filter(k => k.startsWith(prefix)),
+                            transaction: fn => VOTAX.Persistence._buffered(adapter, fn, writes => {
+                                writes.forEach((value, key) => value === undefined ? map.delete(key) : map.set(key, VOTAX._cloneDeep(value)));
+                            })
+                        };
+                        return adapter;
+                    },
+
+                    /**
+                     * Adapter over an IndexedDB key/value store ('kv') in the instance database
+                     * @returns {StorageAdapter} Adapter
+                     */
+                    indexedDB() {
+                        const P = VOTAX.Persistence;
+                        const run = (mode, fn) => P._serial(async () => {
+                            await P._ensureKV();
+                            return P._idbRun(['kv'], mode, tx => fn(tx.objectStore('kv')));
+                        });
+                        const adapter = {
+                            get: key => run('readonly', store => { const req = store.get(key); return () => req.result; }),
+                            set: (key, value) => run('readwrite', store => { store.put(VOTAX._cloneDeep(value), key); }),
+                            delete: key => run('readwrite', store => { store.delete(key); }),
+                            list: (prefix = '') => run('readonly', store => {
+                                const req = store.getAllKeys();
+                                return () => req.result.map(String).filter(k => k.startsWith(prefix));
+                            }),
+                            // one IndexedDB transaction, so all writes land or none do
+                            transaction: fn => P._buffered(adapter, fn, writes => run('readwrite', store => {
+                                writes.forEach((value, key) => value === undefined ? store.delete(key) : store.put(VOTAX._cloneDeep(value), key));
+                            }))
+                        };
+                        return adapter;
+                    },
+
+                    /**
+                     * Adapter over a JSON file (Node). The file holds one object of key -> value;
+                     * writes go to a temporary file that is renamed into place.
+                     * @param {string} path - File path
+                     * @returns {StorageAdapter} Adapter
+                     */
+                    jsonFile(path) {
+                        const fs = typeof require === 'function' ? require('fs') : null;
+                        if(!fs) throw new Error('jsonFile adapter requires Node.js');
+                        const read = () => fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8') || '{}') : {};
+                        const write = (data) => {
+                            fs.writeFileSync(`${path}.tmp`, JSON.stringify(data));
+                            fs.renameSync(`${path}.tmp`, path);
+                        };
+                        const adapter = {
+                            get: key => read()[key],
+                            set: (key, value) => { const data = read(); data[key] = value; write(data); },
+                            delete: key => { const data = read(); delete data[key]; write(data); },
+                            list: (prefix = '') => Object.keys(read()).filter(k => k.startsWith(prefix)),
+                            transaction: fn => VOTAX.Persistence._buffered(adapter, fn, writes => {
+                                const data = read();
+                                writes.forEach((value, key) => value === undefined ? delete data[key] : data[key] = value);
+                                write(data);
+                            })
+                        };
+                        return adapter;
+                    }
+                },
+
+                /**
+                 * Register a storage adapter under a name
+                 * @param {string} name - Adapter name
+                 * @param {StorageAdapter} adapter - Adapter
+                 * @example
+                 * VOTAX.Persistence.registerAdapter('rest', {
+                 *   get: async (key) => (await fetch(`/kv/${key}`)).json(),
+                 *   set: (key, value) => fetch(`/kv/${key}`, { method: 'PUT', body: JSON.stringify(value) }),
+                 *   delete: (key) => fetch(`/kv/${key}`, { method: 'DELETE' }),
+                 *   list: async (prefix) => (await fetch(`/kv?prefix=${prefix}`)).json()
+                 * });
+                 */
+                registerAdapter(name, adapter) {
+                    ['get', 'set', 'delete', 'list'].forEach(fn => {
+                        if(!adapter || typeof adapter[fn] !== 'function') throw new Error(`storage adapter must implement ${fn}()`);
+                    });
+                    this._adapters[name] = adapter;
+                },
+
+                /**
+                 * Set the adapter used by saveLocal/loadLocal/saveAllLocal/loadAllLocal
+                 * @param {string|StorageAdapter} adapter - Registered name ('local', 'session', 'memory', 'idb', ...) or adapter
+                 */
+                useAdapter(adapter) {
+                    this._resolveAdapter(adapter);
+                    this._adapter = adapter;
+                },
+
+                /**
+                 * Resolve an adapter name or object
+                 * @param {string|StorageAdapter} adapter - Name or adapter (default: current adapter)
+                 * @returns {StorageAdapter} Adapter
+                 */
+                _resolveAdapter(adapter = this._adapter) {
+                    if(adapter && typeof adapter === 'object') return adapter;
+                    if(!this._adapters[adapter]) throw new Error(`unknown storage adapter: ${adapter}`);
+                    return this._adapters[adapter];
+                },
+
+                /**
+                 * Adapter over a Web Storage area (values are JSON strings)
+                 * @param {string} name - 'localStorage' or 'sessionStorage'
+                 * @returns {StorageAdapter} Adapter
+                 */
+                _webStorage(name) {
+                    const area = () => {
+                        if(!global[name]) throw new Error(`${name} is not available`);
+                        return global[name];
+                    };
+                    const adapter = {
+                        get: key => {
+                            const raw = area().getItem(key);
+                            return raw === null ? undefined : JSON.parse(raw);
+                        },
+                        set: (key, value) => { area().setItem(key, JSON.stringify(value)); },
+                        delete: key => { area().removeItem(key); },
+                        list: (prefix = '') => {
+                            const keys = [];
+                            for(let i = 0; i < area().length; i++) {
+                                const k = area().key(i);
+                                if(k !== null && k.startsWith(prefix)) keys.push(k);
+                            }
+                            return keys;
+                        },
+                        // restore the previous values if a write fails part way (e.g. quota)
+                        transaction: fn => VOTAX.Persistence._buffered(adapter, fn, writes => {
+                            const previous = new Map();
+                            writes.forEach((v, key) => previous.set(key, area().getItem(key)));
+                            try {
+                                writes.forEach((value, key) => value === undefined ? area().removeItem(key) : area().setItem(key, JSON.stringify(value)));
+                            } catch(e) {
+                                previous.forEach((raw, key) => { try { raw === null ? area().removeItem(key) : area().setItem(key, raw); } catch(err) { /* best effort */ } });
+                                throw e;
+                            }
+                        })
+                    };
+                    return adapter;
+                },
+
+                /**
+                 * Run fn against a write buffer, then hand the buffered writes to commit.
+                 * Reads inside fn see the buffered writes.
+                 * @param {StorageAdapter} adapter - Underlying adapter
+                 * @param {Function} fn - (batch) => result; batch has get/set/delete/list
+                 * @param {Function} commit - (writes: Map<key, value|undefined>) => void|Promise
+                 * @returns {*|Promise<*>} fn's result once committed
+                 */
+                _buffered(adapter, fn, commit) {
+                    const writes = new Map();
+                    const batch = {
+                        get: key => writes.has(key) ? writes.get(key) : adapter.get(key),
+                        set: (key, value) => { writes.set(key, value); },
+                        delete: key => { writes.set(key, undefined); },
+                        list: (prefix = '') => VOTAX.Persistence._then(adapter.list(prefix), keys => {
+                            const all = new Set(keys);
+                            writes.forEach((value, key) => {
+                                if(!key.startsWith(prefix)) return;
+                                if(value === undefined) all.delete(key); else all.add(key);
+                            });
+                            return Array.from(all);
+                        })
+                    };
+                    return this._then(fn(batch), res => this._then(commit(writes), () => res));
+                },
+
+                /**
+                 * Run several adapter writes as one unit (adapter.transaction, or sequential writes)
+                 * @param {StorageAdapter} adapter - Adapter
+                 * @param {Function} fn - (batch) => result
+                 * @returns {*|Promise<*>} fn's result
+                 */
+                _transaction(adapter, fn) {
+                    if(typeof adapter.transaction === 'function') return adapter.transaction(fn);
+                    return this._buffered(adapter, fn, writes => {
+                        let chain;
+                        writes.forEach((value, key) => {
+                            chain = this._then(chain, () => value === undefined ? adapter.delete(key) : adapter.set(key, value));
+                        });
+                        return chain;
                     });
-                });
-            }
-        },
-
-        /**
-         * Real-time module (cross-tab sync, conflict resolution)
-         */
-        RealTime: {
-            _syncChannels: {},        // { channelName: [listeners] }
-            _conflictStrategies: {},  // { strategy: fn } — INITIALIZE HERE
-            
+                },
+
+                /**
+                 * Continue with a value that may be a promise (sync adapters stay sync)
+                 * @param {*} value - Value or promise
+                 * @param {Function} fn - Continuation
+                 * @returns {*|Promise<*>} Result
+                 */
+                _then(value, fn) {
+                    return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+                },
+
+                /**
+                 * Run a storage operation, reporting failures (sync or async) through onError
+                 * @param {string} op - Operation (save, load)
+                 * @param {string} module - Module name
+                 * @param {Function} run - Operation
+                 * @param {*} failed - Value returned on failure
+                 * @returns {*|Promise<*>} Result
+                 */
+                _settle(op, module, run, failed) {
+                    const fail = (e) => { this._reportError(op, module, e); return failed; };
+                    try {
+                        const res = run();
+                        return res && typeof res.then === 'function' ? res.catch(fail) : res;
+                    } catch(e) { return fail(e); }
+                },
+
+                /**
+                 * Make sure the 'kv' store used by the IndexedDB adapter exists
+                 * @returns {Promise<IDBDatabase>} Database instance
+                 */
+                async _ensureKV() {
+                    const db = await this.initIndexedDB();
+                    if(db.objectStoreNames.contains('kv')) return db;
+                    const next = db.version + 1;
+                    db.close();
+                    this._db = null;
+                    return this._openDB(next);
+                },
+
+                /**
+                 * Save module through the current storage adapter (localStorage by default)
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (adapter: name or adapter for this call)
+                 * @returns {boolean|Promise<boolean>} Success status (a promise for async adapters;
+                 *   failures such as a full quota are reported, see onError)
+                 */
+                saveLocal(module, opts = {}) {
+                    return this._settle('save', module, () => {
+                        const adapter = this._resolveAdapter(opts.adapter);
+                        return this._then(this._seal(this._payload(module)), payload => this._then(adapter.set(`${this._prefix}${module}`, payload), () => true));
+                    }, false);
+                },
+
+                /**
+                 * Build the saved payload of a module
+                 * @param {string} module - Module name
+                 * @returns {{module:string, version:number, meta:number, data:Array, timestamp:number}} Payload
+                 */
+                _payload(module) {
+                    return { module, version: this.getVersion(module), meta: VOTAX._meta[module] || 0, prefix: VOTAX._codePrefixes[module], data: VOTAX.CRUD.getAll(module, { includeDeleted: true }), timestamp: Date.now() };
+                },
+
+                /**
+                 * Load module through the current storage adapter, migrating records saved with an older version.
+                 * Loading twice doesn't duplicate records: the default mode is 'merge-by-id'.
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (mode: 'merge-by-id' | 'replace' | 'append', strategy,
+                 *   hooks, history, dryRun: return the migration report without loading,
+                 *   adapter: name or adapter for this call)
+                 * @returns {LoadReport|false|MigrationReport|null|Promise} Load report (false on failure),
+                 *   or the migration report on dry run (a promise for async adapters)
+                 * @example
+                 * const { inserted, updated, skipped } = VOTAX.Persistence.loadLocal('students', { strategy: 'local-wins' });
+                 */
+                loadLocal(module, opts = {}) {
+                    return this._loadKey(opts.adapter, `${this._prefix}${module}`, module, opts);
+                },
+
+                /**
+                 * Load one module from an adapter key
+                 * @param {string|StorageAdapter} adapter - Adapter or its name (default: current)
+                 * @param {string} key - Storage key
+                 * @param {string} module - Module name
+                 * @param {Object} opts - loadLocal options
+                 * @returns {LoadReport|false|MigrationReport|null|Promise} See loadLocal
+                 */
+                _loadKey(adapter, key, module, opts) {
+                    const failed = opts.dryRun ? null : false;
+                    return this._settle('load', module, () => {
+                        adapter = this._resolveAdapter(adapter);
+                        return this._then(this._then(adapter.get(key), raw => this._open(raw)), payload => {
+                            if(!payload) return failed;
+                            const report = this._upgrade(module, payload.data, payload.version);
+                            if(opts.dryRun || !report) return opts.dryRun ? report : false;
+                            return this._ingest(module, report.data, Object.assign({ meta: payload.meta, prefix: payload.prefix }, opts));
+                        });
+                    }, failed);
+                },
+
+                /**
+                 * List the adapter keys that belong to one instance: keys under prefix with no
+                 * further ':' (named instances nest under the default 'votax:' prefix)
+                 * @param {StorageAdapter} adapter - Adapter
+                 * @param {string} prefix - Instance prefix
+                 * @returns {string[]|Promise<string[]>} Keys
+                 */
+                _instanceKeys(adapter, prefix) {
+                    return this._then(adapter.list(prefix), keys => keys.filter(k => k.startsWith(prefix) && k.indexOf(':', prefix.length) === -1));
+                },
+
+                /**
+                 * Export all modules as JSON (an encrypted envelope while encryption is on)
+                 * @param {Object} opts - Options (encrypt: false to export plain JSON anyway)
+                 * @returns {string|Promise<string>} JSON string (a promise while encryption is on)
+                 */
+                exportJSON(opts = {}) {
+                    const exported = {}, versions = {}, counters = {}, prefixes = {};
+                    const modules = Object.keys(VOTAX.CRUD._store);
+                    modules.forEach(m => {
+                        exported[m] = VOTAX.CRUD.getAll(m, { includeDeleted: true });
+                        versions[m] = this.getVersion(m);
+                        counters[m] = VOTAX._meta[m] || 0;
+                        if(VOTAX._codePrefixes[m]) prefixes[m] = VOTAX._codePrefixes[m];
+                    });
+                    const doc = { version: VOTAX.version, timestamp: Date.now(), versions, counters, prefixes, modules: exported };
+                    if(this._crypto && opts.encrypt !== false) return this._encrypt(doc).then(env => JSON.stringify(env, null, 2));
+                    return JSON.stringify(doc, null, 2);
+                },
+
+                /**
+                 * Import modules from JSON, migrating modules exported with an older version.
+                 * Nothing is imported if any module fails to migrate or write.
+                 * @param {string} jsonStr - JSON string
+                 * @param {Object} opts - Options (mode: 'replace' (default) | 'merge-by-id' | 'append',
+                 *   strategy, hooks, history as in loadLocal; dryRun: return the migration reports without importing;
+                 *   passphrase: for an encrypted export, if not the current one)
+                 * @returns {Record<string, LoadReport>|false|Record<string, MigrationReport>|null|Promise} Load reports
+                 *   per module (false on failure), or migration reports per module on dry run (a promise for
+                 *   encrypted exports)
+                 * @example
+                 * VOTAX.Persistence.importJSON(json, { mode: 'merge-by-id', strategy: 'merge' });
+                 */
+                importJSON(jsonStr, opts = {}) {
+                    let doc;
+                    try { doc = JSON.parse(jsonStr); } catch(e) { console.error(e); return opts.dryRun ? null : false; }
+                    if(doc && doc.enc === 'votax-aes-gcm') {
+                        const settings = opts.passphrase ? { passphrase: opts.passphrase, iterations: doc.iter, keys: new Map() } : this._crypto;
+                        return this._decrypt(doc, settings).then(plain => this._importDoc(plain, opts), e => {
+                            this._reportError('import', '*', e);
+                            return opts.dryRun ? null : false;
+                        });
+                    }
+                    return this._importDoc(doc, opts);
+                },
+
+                /**
+                 * Import a parsed export document
+                 * @param {Object} doc - { versions, counters, prefixes, modules }
+                 * @param {Object} opts - importJSON options
+                 * @returns {Record<string, LoadReport>|false|Record<string, MigrationReport>|null} See importJSON
+                 */
+                _importDoc(doc, opts = {}) {
+                    try {
+                        const { modules, versions = {}, counters = {}, prefixes = {} } = doc;
+                        const reports = {};
+                        for(const m of Object.keys(modules)) {
+                            reports[m] = this._upgrade(m, modules[m], versions[m]);
+                            if(!reports[m] && !opts.dryRun) return false;
+                        }
+                        if(opts.dryRun) return reports;
+                        const loaded = {};
+                        // the change log sees the merged commit, so the source must cover the whole transaction
+                        VOTAX._withSource(opts.source || 'import', () => VOTAX.CRUD.transaction(() => {
+                            Object.keys(reports).forEach(m => {
+                                loaded[m] = this._ingest(m, reports[m].data, Object.assign({ mode: 'replace', meta: counters[m], prefix: prefixes[m] }, opts));
+                            });
+                        }, { label: 'import' }));
+                        return loaded;
+                    } catch(e) { console.error(e); return opts.dryRun ? null : false; }
+                },
+
+                /**
+                 * Export a module as CSV (RFC 4180: quoted where needed, CRLF line breaks).
+                 * Nested objects become dotted columns (address.zip); arrays are joined.
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (fields: column paths, default every path in the data;
+                 *   delimiter: default ','; arraySeparator: default '|'; header: default true;
+                 *   includeDeleted: also export soft-deleted items; withComputed: add computed fields)
+                 * @returns {string} CSV text
+                 * @example
+                 * const csv = VOTAX.Persistence.exportCSV('students', { fields: ['code', 'name', 'age', 'tags'] });
+                 */
+                exportCSV(module, opts = {}) {
+                    const delimiter = opts.delimiter || ',';
+                    const sep = opts.arraySeparator || '|';
+                    const items = VOTAX.CRUD.getAll(module, { includeDeleted: opts.includeDeleted, withComputed: opts.withComputed });
+                    let fields = opts.fields;
+                    if(!fields) {
+                        const seen = new Set();
+                        items.forEach(item => this._flatPaths(item, '', seen));
+                        fields = Array.from(seen);
+                    }
+                    const quote = (text) => /["\r\n]/.test(text) || text.indexOf(delimiter) !== -1 ? `"${text.replace(/"/g, '""')}"` : text;
+                    const cell = (val) => {
+                        if(val === undefined || val === null) return '';
+                        if(Array.isArray(val)) return quote(val.map(v => v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v)).join(sep));
+                        if(typeof val === 'object') return quote(JSON.stringify(val));
+                        return quote(String(val));
+                    };
+                    const lines = items.map(item => fields.map(f => cell(VOTAX._getPath(item, f))).join(delimiter));
+                    if(opts.header !== false) lines.unshift(fields.map(quote).join(delimiter));
+                    return lines.join('\r\n');
+                },
+
+                /**
+                 * Import CSV rows into a module. Cells are converted with the module schema
+                 * (or the template's value types); array fields are split. Each row is validated
+                 * with Validation.validate and invalid rows are left out of the import.
+                 * @param {string} module - Module name
+                 * @param {string} text - CSV text (first row is the header)
+                 * @param {Object} opts - Options (mapping: { header: field } or (header) => field|null,
+                 *   delimiter: default ','; arraySeparator: default '|'; mode: default 'merge-by-id',
+                 *   strategy, hooks, history as in loadLocal; validate: default true)
+                 * @returns {ImportReport} Load report plus rows and invalid rows
+                 * @example
+                 * const report = VOTAX.Persistence.importCSV('students', text, {
+                 *   mapping: { 'Full name': 'name', 'ZIP': 'address.zip', 'Notes': null }
+                 * });
+                 * report.invalid; // [{ row: 4, errors: [{ field: 'age', message: 'age must be number' }] }]
+                 */
+                importCSV(module, text, opts = {}) {
+                    const sep = opts.arraySeparator || '|';
+                    const table = this._parseCSV(String(text).replace(/^\uFEFF/, ''), opts.delimiter || ',');
+                    const header = table.shift() || [];
+                    const mapping = opts.mapping || {};
+                    const fields = header.map(h => {
+                        if(typeof mapping === 'function') return mapping(h);
+                        return h in mapping ? mapping[h] : h.trim();
+                    });
+                    const rows = table
+                        .map((cells, i) => ({ cells, row: i + 2 }))
+                        .filter(({ cells }) => !(cells.length === 1 && cells[0] === ''))
+                        .map(({ cells, row }) => {
+                            const obj = {};
+                            fields.forEach((field, c) => {
+                                if(!field) return;
+                                const val = this._csvCell(module, field, cells[c] === undefined ? '' : cells[c], sep);
+                                if(val !== undefined) VOTAX._setPath(obj, field, val);
+                            });
+                            return { row, obj };
+                        });
+                    return this._importRows(module, rows, opts);
+                },
+
+                /**
+                 * Export a module as NDJSON (one JSON record per line)
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (fields: paths to keep; id is always kept; includeDeleted, withComputed)
+                 * @returns {string} NDJSON text
+                 */
+                exportNDJSON(module, opts = {}) {
+                    return VOTAX.CRUD.getAll(module, { includeDeleted: opts.includeDeleted, withComputed: opts.withComputed })
+                        .map(item => JSON.stringify(opts.fields ? VOTAX.CRUD._project(item, opts.fields) : item))
+                        .join('\n');
+                },
+
+                /**
+                 * Import NDJSON records into a module, validating each like importCSV.
+                 * Pass an async iterable of text chunks (a fetch body reader, a Node stream)
+                 * to import a large dump in batches.
+                 * @param {string} module - Module name
+                 * @param {string|AsyncIterable<string>} source - NDJSON text or chunks
+                 * @param {Object} opts - Options (mode, strategy, hooks, history, validate as in importCSV;
+                 *   batchSize: records per batch for streamed input, default 1000)
+                 * @returns {ImportReport|Promise<ImportReport>} Report (a promise for streamed input)
+                 * @example
+                 * const res = await fetch('/dump.ndjson');
+                 * const report = await VOTAX.Persistence.importNDJSON('students', res.body.pipeThrough(new TextDecoderStream()));
+                 */
+                importNDJSON(module, source, opts = {}) {
+                    const parse = (line, row, rows, report) => {
+                        if(!line.trim()) return;
+                        try { rows.push({ row, obj: JSON.parse(line) }); }
+                        catch(e) { report.invalid.push({ row, errors: [{ field: '', message: `invalid JSON: ${e.message}` }] }); }
+                    };
+                    if(typeof source === 'string') {
+                        const rows = [], bad = { invalid: [] };
+                        source.split(/\r?\n/).forEach((line, i) => parse(line, i + 1, rows, bad));
+                        const report = this._importRows(module, rows, opts);
+                        report.invalid = bad.invalid.concat(report.invalid).sort((a, b) => a.row - b.row);
+                        report.rows += bad.invalid.length;
+                        return report;
+                    }
+                    return (async () => {
+                        const total = { module, mode: opts.mode || 'merge-by-id', rows: 0, inserted: [], updated: [], skipped: [], errors: [], invalid: [] };
+                        const size = opts.batchSize || 1000;
+                        let rows = [], rest = '', row = 0, mode = total.mode;
+                        const flush = () => {
+                            const part = this._importRows(module, rows, Object.assign({}, opts, { mode }));
+                            ['inserted', 'updated', 'skipped', 'errors', 'invalid'].forEach(k => { total[k] = total[k].concat(part[k]); });
+                            total.rows += part.rows;
+                            rows = [];
+                            // replace clears the module once, with the first batch; later batches add to it
+                            if(mode === 'replace') mode = 'append';
+                        };
+                        for await (const chunk of source) {
+                            const lines = (rest + chunk).split(/\r?\n/);
+                            rest = lines.pop();
+                            lines.forEach(line => {
+                                const before = total.invalid.length;
+                                parse(line, ++row, rows, total);
+                                if(total.invalid.length > before) total.rows++;
+                                if(rows.length >= size) flush();
+                            });
+                        }
+                        const before = total.invalid.length;
+                        parse(rest, ++row, rows, total);
+                        if(total.invalid.length > before) total.rows++;
+                        // an empty stream still clears the module on replace
+                        if(rows.length || mode === 'replace') flush();
+                        return total;
+                    })();
+                },
+
+                /**
+                 * Validate parsed rows and load the valid ones
+                 * @param {string} module - Module name
+                 * @param {Array<{row:number, obj:Object}>} rows - Parsed rows
+                 * @param {Object} opts - Import options
+                 * @returns {ImportReport} Report
+                 */
+                _importRows(module, rows, opts = {}) {
+                    const mode = opts.mode || 'merge-by-id';
+                    const CRUD = VOTAX.CRUD;
+                    const invalid = [], valid = [];
+                    rows.forEach(({ row, obj }) => {
+                        const existing = mode === 'merge-by-id' && obj.id !== undefined ? CRUD._lookup(module, obj.id) : null;
+                        // validate the record as it will be stored: merged into the existing one, or a new record
+                        const candidate = existing
+                            ? VOTAX.Validation._prepare(module, Object.assign(VOTAX._cloneDeep(existing), obj), { defaults: false })
+                            : VOTAX.Validation._prepare(module, Object.assign(VOTAX._cloneDeep(CRUD._templates[module] || {}), obj));
+                        const result = opts.validate === false ? { valid: true } : VOTAX.Validation.validate(module, candidate);
+                        if(result.valid) valid.push(candidate);
+                        else invalid.push({ row, id: obj.id, errors: result.errors });
+                    });
+                    const report = this._ingest(module, valid, Object.assign({}, opts, { mode }));
+                    return Object.assign(report, { rows: rows.length, invalid });
+                },
+
+                /**
+                 * Convert a CSV cell for a field (schema rule first, then the template's value type)
+                 * @param {string} module - Module name
+                 * @param {string} field - Field path
+                 * @param {string} raw - Cell text
+                 * @param {string} sep - Array separator
+                 * @returns {*} Value (undefined for an empty cell)
+                 */
+                _csvCell(module, field, raw, sep) {
+                    const rule = VOTAX.Validation._ruleAt(module, field);
+                    const tpl = VOTAX._getPath(VOTAX.CRUD._templates[module] || {}, field);
+                    if((rule && rule.type === 'array') || Array.isArray(tpl) || field === 'tags') {
+                        const parts = raw === '' ? [] : raw.split(sep).map(s => s.trim());
+                        return rule && rule.items ? parts.map(p => VOTAX.Validation._coerce(rule.items, p)) : parts;
+                    }
+                    if(raw === '') return undefined;
+                    if(rule && rule.type) return VOTAX.Validation._coerce(rule, raw);
+                    if(typeof tpl === 'number') return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+                    if(typeof tpl === 'boolean') {
+                        if(/^(true|yes|1)$/i.test(raw.trim())) return true;
+                        if(/^(false|no|0)$/i.test(raw.trim())) return false;
+                    }
+                    return raw;
+                },
+
+                /**
+                 * Parse CSV text into rows of cells (RFC 4180)
+                 * @param {string} text - CSV text
+                 * @param {string} delimiter - Cell delimiter
+                 * @returns {string[][]} Rows
+                 */
+                _parseCSV(text, delimiter) {
+                    const rows = [];
+                    let row = [], cell = '', quoted = false;
+                    for(let i = 0; i < text.length; i++) {
+                        const ch = text[i];
+                        if(quoted) {
+                            if(ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                            else if(ch === '"') quoted = false;
+                            else cell += ch;
+                        } else if(ch === '"' && cell === '') {
+                            quoted = true;
+                        } else if(text.startsWith(delimiter, i)) {
+                            row.push(cell); cell = '';
+                            i += delimiter.length - 1;
+                        } else if(ch === '\r' || ch === '\n') {
+                            if(ch === '\r' && text[i + 1] === '\n') i++;
+                            row.push(cell); rows.push(row);
+                            row = []; cell = '';
+                        } else {
+                            cell += ch;
+                        }
+                    }
+                    if(cell !== '' || row.length) { row.push(cell); rows.push(row); }
+                    return rows;
+                },
+
+                /**
+                 * Collect the dotted leaf paths of an object (arrays are leaves)
+                 * @param {Object} obj - Object
+                 * @param {string} prefix - Path prefix
+                 * @param {Set<string>} out - Paths in first-seen order
+                 */
+                _flatPaths(obj, prefix, out) {
+                    Object.keys(obj).forEach(k => {
+                        const path = prefix ? `${prefix}.${k}` : k;
+                        const val = obj[k];
+                        if(val && typeof val === 'object' && !Array.isArray(val) && Object.keys(val).length) this._flatPaths(val, path, out);
+                        else out.add(path);
+                    });
+                },
+
+                /**
+                 * Save all modules through the current storage adapter, in one adapter transaction
+                 * @param {Object} opts - Options (adapter: name or adapter for this call)
+                 * @returns {boolean|Promise<boolean>} Success status
+                 */
+                saveAllLocal(opts = {}) {
+                    return this._settle('save', '*', () => {
+                        const adapter = this._resolveAdapter(opts.adapter);
+                        const modules = Object.keys(VOTAX.CRUD._store);
+                        const payloads = modules.map(m => this._payload(m));
+                        return this._then(this._crypto ? Promise.all(payloads.map(p => this._encrypt(p))) : payloads, sealed => this._then(this._transaction(adapter, batch => {
+                            modules.forEach((m, i) => batch.set(`${this._prefix}${m}`, sealed[i]));
+                        }), () => true));
+                    }, false);
+                },
+
+                /**
+                 * Load all modules saved through the current storage adapter. Keys of other
+                 * instances and reserved '__' keys (the audit log) are skipped.
+                 * @param {string} prefix - Key prefix (default: instance prefix, 'votax:')
+                 * @param {Object} opts - Options (adapter: name or adapter for this call)
+                 * @returns {number|Promise<number>} Count of loaded modules
+                 */
+                loadAllLocal(prefix = this._prefix, opts = {}) {
+                    return this._settle('load', '*', () => {
+                        const adapter = this._resolveAdapter(opts.adapter);
+                        return this._then(this._instanceKeys(adapter, prefix), keys => {
+                            let chain, count = 0;
+                            keys.map(k => k.slice(prefix.length)).filter(m => m && m.indexOf('__') !== 0).forEach(m => {
+                                chain = this._then(chain, () => this._then(this._loadKey(adapter, `${prefix}${m}`, m, {}), report => {
+                                    if(report) count++;
+                                }));
+                            });
+                            return this._then(chain, () => count);
+                        });
+                    }, 0);
+                }
+            },
+
             /**
-             * Broadcast message across tabs
-             * @param {string} channel - Channel name
-             * @param {string} event - Event type
-             * @param {*} data - Event data
+             * Validation module
              */
-            broadcast(channel, event, data) {
-                const msg = { channel, event, data, timestamp: Date.now() };
-                localStorage.setItem(`votax:sync:${channel}`, JSON.stringify(msg));
-                this._notifyListeners(channel, event, data);
+            Validation: {
+                /** @type {Record<string, object>} */
+                _schemas: {},
+                /** @type {Record<string, {rules: Array, coerce: boolean}>} */
+                _schemaOpts: {},
+                /** @type {Array} */
+                _errors: [],
+
+                /**
+                 * Register schema for module. The schema also becomes the module template
+                 * (defaults, blank values per type) unless opts.template is false.
+                 * @param {string} module - Module name
+                 * @param {Object} schema - Field rules: type ('string', 'number', 'boolean', 'date',
+                 *   'array', 'object', 'enum'), required, default (value or function), enum, pattern,
+                 *   minLength, maxLength, min, max (numbers and dates), minItems, maxItems,
+                 *   items (rule for array elements), fields (schema for nested objects), unique,
+                 *   custom (sync (val, item) => bool|message), validate (async (val, item) => bool|message)
+                 * @param {Object} opts - Options (rules: cross-field checks (item) => bool|message
+                 *   or { path, message, check }, coerce: default true, template: default true,
+                 *   version: data version, see Persistence.registerMigration)
+                 * @example
+                 * VOTAX.Validation.registerSchema('students', {
+                 *   name: { required: true, minLength: 2 },
+                 *   age: { type: 'number', min: 5, max: 120 },
+                 *   status: { type: 'enum', enum: ['active', 'alumni'], default: 'active' },
+                 *   address: { type: 'object', fields: { zip: { type: 'string', pattern: /^\d{5}$/ } } },
+                 *   tags: { type: 'array', items: { type: 'string', maxLength: 20 } },
+                 *   email: { type: 'string', unique: true, validate: async (v) => !(await isBanned(v)) }
+                 * }, {
+                 *   rules: [{ path: 'endDate', message: 'endDate must be after startDate', check: s => !s.endDate || s.endDate >= s.startDate }]
+                 * });
+                 */
+                registerSchema(module, schema = {}, opts = {}) {
+                    this._schemas[module] = schema;
+                    this._schemaOpts[module] = { rules: opts.rules || [], coerce: opts.coerce !== false };
+                    if(opts.version !== undefined) VOTAX.Persistence.setVersion(module, opts.version);
+                    if(opts.template !== false) VOTAX.CRUD.registerTemplate(module, this.template(module));
+                },
+
+                /**
+                 * Build a template from a schema: static defaults, otherwise a blank value per type
+                 * @param {string} module - Module name
+                 * @returns {Object} Template
+                 */
+                template(module) {
+                    const blanks = { string: '', boolean: false, array: [] };
+                    const build = (schema) => {
+                        const tpl = {};
+                        Object.keys(schema).forEach(field => {
+                            const rule = schema[field];
+                            if(rule.default !== undefined && typeof rule.default !== 'function') tpl[field] = VOTAX._cloneDeep(rule.default);
+                            else if(rule.type === 'object' && rule.fields) tpl[field] = build(rule.fields);
+                            else tpl[field] = rule.type in blanks ? VOTAX._cloneDeep(blanks[rule.type]) : null;
+                        });
+                        return tpl;
+                    };
+                    return build(this._schemas[module] || {});
+                },
+
+                /**
+                 * Apply defaults and coercion to an item in place (used by CRUD on add/update)
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item
+                 * @param {Object} opts - Options (defaults: apply defaults, default true)
+                 * @returns {Object} item
+                 */
+                _prepare(module, item, opts = {}) {
+                    const schema = this._schemas[module];
+                    if(!schema) return item;
+                    const coerce = this._schemaOpts[module] ? this._schemaOpts[module].coerce : true;
+                    const walk = (schema, obj) => {
+                        Object.keys(schema).forEach(field => {
+                            const rule = schema[field];
+                            if(opts.defaults !== false && rule.default !== undefined && (obj[field] === undefined || obj[field] === null)) {
+                                obj[field] = typeof rule.default === 'function' ? rule.default(item) : VOTAX._cloneDeep(rule.default);
+                            }
+                            if(coerce) obj[field] = this._coerce(rule, obj[field]);
+                            if(rule.type === 'object' && rule.fields && obj[field] && typeof obj[field] === 'object' && !Array.isArray(obj[field])) walk(rule.fields, obj[field]);
+                            if(rule.type === 'array' && rule.items && Array.isArray(obj[field])) {
+                                obj[field] = obj[field].map(v => {
+                                    const el = coerce ? this._coerce(rule.items, v) : v;
+                                    if(rule.items.type === 'object' && rule.items.fields && el && typeof el === 'object') walk(rule.items.fields, el);
+                                    return el;
+                                });
+                            }
+                        });
+                    };
+                    walk(schema, item);
+                    return item;
+                },
+
+                /**
+                 * Find the rule for a (dotted) field path
+                 * @param {string} module - Module name
+                 * @param {string} path - Field path (address.zip)
+                 * @returns {Object|undefined} Rule
+                 */
+                _ruleAt(module, path) {
+                    let schema = this._schemas[module], rule;
+                    for(const key of String(path).split('.')) {
+                        if(!schema || !schema[key]) return undefined;
+                        rule = schema[key];
+                        schema = rule.fields;
+                    }
+                    return rule;
+                },
+
+                /**
+                 * Coerce a value to a rule's type when the conversion is lossless
+                 * @param {Object} rule - Field rule
+                 * @param {*} val - Value
+                 * @returns {*} Coerced value (unchanged if not convertible)
+                 */
+                _coerce(rule, val) {
+                    if(val === undefined || val === null) return val;
+                    switch(rule.type) {
+                        case 'number':
+                            if(typeof val === 'string' && val.trim() !== '' && !isNaN(Number(val))) return Number(val);
+                            return val;
+                        case 'boolean':
+                            if(val === 'true' || val === '1' || val === 1) return true;
+                            if(val === 'false' || val === '0' || val === 0) return false;
+                            return val;
+                        case 'string':
+                            return typeof val === 'number' || typeof val === 'boolean' ? String(val) : val;
+                        case 'date': {
+                            const d = val instanceof Date ? val : (typeof val === 'string' || typeof val === 'number') ? new Date(val) : null;
+                            return d && !isNaN(d.getTime()) ? d.toISOString() : val;
+                        }
+                        case 'array':
+                            return Array.isArray(val) ? val : [val];
+                        default:
+                            if(rule.enum && typeof val === 'string' && !rule.enum.includes(val) && rule.enum.includes(Number(val))) return Number(val);
+                            return val;
+                    }
+                },
+
+                /**
+                 * Validate item against schema (sync checks only; see validateAsync)
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item to validate
+                 * @returns {ValidationResult} Validation result; error fields are paths (address.zip, tags[2])
+                 */
+                validate(module, item) {
+                    const schema = this._schemas[module];
+                    if(!schema) return { valid: true, errors: [] };
+                    const errors = [];
+                    this._walk(module, schema, item, item, '', errors, null);
+                    this._crossRules(module, item, errors, null);
+                    return { valid: errors.length === 0, errors };
+                },
+
+                /**
+                 * Validate item against schema, including async field validators and rules
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item to validate
+                 * @returns {Promise<ValidationResult>} Validation result
+                 * @example
+                 * const { valid, errors } = await VOTAX.Validation.validateAsync('users', { email: 'a@b.c' });
+                 */
+                async validateAsync(module, item) {
+                    const schema = this._schemas[module];
+                    if(!schema) return { valid: true, errors: [] };
+                    const errors = [], pending = [];
+                    this._walk(module, schema, item, item, '', errors, pending);
+                    this._crossRules(module, item, errors, pending);
+                    (await Promise.all(pending.map(p => p.promise.then(res => ({ p, res }), e => ({ p, res: e && e.message || false })))))
+                        .forEach(({ p, res }) => this._verdict(res, p.path, p.message, errors));
+                    return { valid: errors.length === 0, errors };
+                },
+
+                /**
+                 * Check the fields of one (possibly nested) schema level
+                 * @param {string} module - Module name
+                 * @param {Object} schema - Schema level
+                 * @param {Object} obj - Object at this level
+                 * @param {Object} item - Root item
+                 * @param {string} prefix - Path prefix
+                 * @param {Array} errors - Error sink
+                 * @param {Array|null} pending - Async sink (null: skip async validators)
+                 */
+                _walk(module, schema, obj, item, prefix, errors, pending) {
+                    Object.keys(schema).forEach(field => {
+                        this._check(module, schema[field], obj ? obj[field] : undefined, item, prefix ? `${prefix}.${field}` : field, errors, pending);
+                    });
+                },
+
+                /**
+                 * Check one value against its rule
+                 * @param {string} module - Module name
+                 * @param {Object} rule - Field rule
+                 * @param {*} val - Value
+                 * @param {Object} item - Root item
+                 * @param {string} field - Path of the value
+                 * @param {Array} errors - Error sink
+                 * @param {Array|null} pending - Async sink
+                 */
+                _check(module, rule, val, item, field, errors, pending) {
+                    if(rule.required && (val === undefined || val === null || val === '' || (rule.type === 'array' && Array.isArray(val) && !val.length))) {
+                        errors.push({ field, message: `${field} is required` });
+                        return;
+                    }
+                    // blank values (e.g. from the template) only matter to required
+                    if(val === undefined || val === null || val === '') return;
+                    if(rule.type && !this._isType(rule.type, val)) {
+                        errors.push({ field, message: `${field} must be ${rule.type}` });
+                        return;
+                    }
+                    if(rule.enum && !rule.enum.includes(val)) {
+                        errors.push({ field, message: `${field} must be one of ${rule.enum.join(', ')}` });
+                    }
+                    if(rule.pattern && !rule.pattern.test(String(val))) {
+                        errors.push({ field, message: `${field} does not match pattern` });
+                    }
+                    if(rule.custom && typeof rule.custom === 'function') {
+                        this._verdict(rule.custom(val, item), field, `${field} failed custom validation`, errors);
+                    }
+                    const len = Array.isArray(val) ? null : String(val).length;
+                    if(len !== null && rule.minLength && len < rule.minLength) {
+                        errors.push({ field, message: `${field} must be at least ${rule.minLength} chars` });
+                    }
+                    if(len !== null && rule.maxLength && len > rule.maxLength) {
+                        errors.push({ field, message: `${field} must be at most ${rule.maxLength} chars` });
+                    }
+                    const num = rule.type === 'date' ? Date.parse(val) : Number(val);
+                    const bound = (b) => rule.type === 'date' ? Date.parse(b instanceof Date ? b.toISOString() : b) : b;
+                    if(rule.min !== undefined && num < bound(rule.min)) {
+                        errors.push({ field, message: `${field} must be >= ${rule.min}` });
+                    }
+                    if(rule.max !== undefined && num > bound(rule.max)) {
+                        errors.push({ field, message: `${field} must be <= ${rule.max}` });
+                    }
+                    if(Array.isArray(val)) {
+                        if(rule.minItems !== undefined && val.length < rule.minItems) {
+                            errors.push({ field, message: `${field} must have at least ${rule.minItems} items` });
+                        }
+                        if(rule.maxItems !== undefined && val.length > rule.maxItems) {
+                            errors.push({ field, message: `${field} must have at most ${rule.maxItems} items` });
+                        }
+                        if(rule.items) val.forEach((v, i) => this._check(module, rule.items, v, item, `${field}[${i}]`, errors, pending));
+                    }
+                    if(rule.type === 'object' && rule.fields) this._walk(module, rule.fields, val, item, field, errors, pending);
+                    if(rule.unique && field.indexOf('[') === -1) {
+                        const clash = (VOTAX.CRUD._store[module] || []).some(o => o.id !== item.id && VOTAX._getPath(o, field) === val);
+                        if(clash) errors.push({ field, message: `${field} must be unique` });
+                    }
+                    if(pending && typeof rule.validate === 'function') {
+                        pending.push({ promise: Promise.resolve().then(() => rule.validate(val, item)), path: field, message: `${field} is invalid` });
+                    }
+                },
+
+                /**
+                 * Run cross-field rules
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item
+                 * @param {Array} errors - Error sink
+                 * @param {Array|null} pending - Async sink (null: promise results are ignored)
+                 */
+                _crossRules(module, item, errors, pending) {
+                    const opts = this._schemaOpts[module];
+                    (opts ? opts.rules : []).forEach(rule => {
+                        const check = typeof rule === 'function' ? rule : rule.check;
+                        const path = rule.path || '';
+                        const message = rule.message || 'cross-field rule failed';
+                        let res;
+                        try { res = check(item); } catch(e) { res = e.message || false; }
+                        if(res && typeof res.then === 'function') {
+                            if(pending) pending.push({ promise: res, path, message });
+                            return;
+                        }
+                        this._verdict(res, path, message, errors);
+                    });
+                },
+
+                /**
+                 * Turn a validator result into an error (false or a message string fails)
+                 * @param {*} res - Result
+                 * @param {string} field - Path
+                 * @param {string} message - Default message
+                 * @param {Array} errors - Error sink
+                 */
+                _verdict(res, field, message, errors) {
+                    if(res === false) errors.push({ field, message });
+                    else if(typeof res === 'string') errors.push({ field, message: res });
+                },
+
+                /**
+                 * Check a value's type
+                 * @param {string} type - Rule type
+                 * @param {*} val - Value
+                 * @returns {boolean} True if val matches
+                 */
+                _isType(type, val) {
+                    switch(type) {
+                        case 'number': return typeof val === 'number' && !isNaN(val);
+                        case 'array': return Array.isArray(val);
+                        case 'object': return typeof val === 'object' && !Array.isArray(val);
+                        case 'date': return (val instanceof Date || typeof val === 'string' || typeof val === 'number') && !isNaN(new Date(val).getTime());
+                        case 'enum': return true;
+                        default: return typeof val === type;
+                    }
+                },
+
+                /**
+                 * Setup auto-validation hooks. Async validators run on addAsync/updateAsync;
+                 * plain add/update apply the sync checks. A rejected write is cancelled, logged in
+                 * getErrors() and announced as a 'validation:failed' event ({ item, errors }).
+                 * @param {string} module - Module name
+                 * @example
+                 * VOTAX.CRUD.on('students', 'validation:failed', ({ errors }) => showErrors(errors));
+                 */
+                setupHooks(module) {
+                    const verdict = (item, { valid, errors }) => {
+                        if(!valid) {
+                            VOTAX.Validation._errors.push({ module, item, errors, timestamp: Date.now() });
+                            VOTAX.CRUD._emit(module, 'validation:failed', { item: VOTAX._cloneDeep(item), errors });
+                            return false; // cancel
+                        }
+                    };
+                    VOTAX.CRUD.on(module, 'before:add', (item, ctx) => {
+                        if(ctx.async) return VOTAX.Validation.validateAsync(module, item).then(res => verdict(item, res));
+                        return verdict(item, VOTAX.Validation.validate(module, item));
+                    });
+                    VOTAX.CRUD.on(module, 'before:update', ({ after }, ctx) => {
+                        if(ctx.async) return VOTAX.Validation.validateAsync(module, after).then(res => verdict(after, res));
+                        return verdict(after, VOTAX.Validation.validate(module, after));
+                    });
+                },
+
+                /**
+                 * Get validation errors
+                 * @returns {Array} Error log
+                 */
+                getErrors() {
+                    return VOTAX._cloneDeep(this._errors);
+                },
+
+                /**
+                 * Clear validation errors
+                 */
+                clearErrors() {
+                    this._errors = [];
+                }
             },
 
             /**
-             * Subscribe to channel
-             * @param {string} channel - Channel name
-             * @param {Function} listener - Callback (event, data)
-             * @returns {Function} Unsubscribe function
+             * Fake data module: seeded random sources and fakers driven by Validation schemas
              */
-            subscribe(channel, listener) {
-                if(!this._syncChannels[channel]) this._syncChannels[channel] = [];
-                this._syncChannels[channel].push(listener);
-                const handleStorage = (e) => {
-                    if(e.key === `votax:sync:${channel}`) {
-                        try {
-                            const { event, data } = JSON.parse(e.newValue || '{}');
-                            listener(event, data);
-                        } catch(err) { console.error(err); }
+            Fake: {
+                /** Word lists the fakers draw from */
+                _data: {
+                    firstNames: ['Ava', 'Ben', 'Chloe', 'Daniel', 'Emma', 'Felix', 'Grace', 'Hugo', 'Isla', 'Jack', 'Kai', 'Lena',
+                        'Mia', 'Noah', 'Olivia', 'Priya', 'Quinn', 'Ravi', 'Sofia', 'Theo', 'Uma', 'Victor', 'Wen', 'Yara', 'Zoe'],
+                    lastNames: ['Adams', 'Brown', 'Chen', 'Diaz', 'Evans', 'Fischer', 'Garcia', 'Hughes', 'Ito', 'Jones', 'Khan', 'Lopez',
+                        'Martin', 'Nguyen', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Taylor', 'Novak', 'Walker', 'Young', 'Zhang'],
+                    words: ['alpha', 'bright', 'cloud', 'delta', 'ember', 'forest', 'garden', 'harbor', 'island', 'jade', 'kite', 'lunar',
+                        'maple', 'north', 'ocean', 'pixel', 'quartz', 'river', 'stone', 'tiger', 'urban', 'velvet', 'willow', 'zenith'],
+                    cities: ['Lisbon', 'Osaka', 'Toronto', 'Nairobi', 'Berlin', 'Austin', 'Lyon', 'Melbourne', 'Seoul', 'Porto', 'Denver', 'Oslo'],
+                    streets: ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Lake', 'Hill', 'Park', 'River'],
+                    domains: ['example.com', 'example.org', 'example.net']
+                },
+
+                /** Faker used for string fields, matched against the field name */
+                _guesses: [
+                    [/e-?mail/, 'email'],
+                    [/^(first|given)_?name$/, 'firstName'],
+                    [/^(last|family)_?name$|^surname$/, 'lastName'],
+                    [/^user_?name$|^login$|^handle$/, 'username'],
+                    [/name$/, 'name'],
+                    [/phone|mobile|^tel$/, 'phone'],
+                    [/city|town/, 'city'],
+                    [/address|street/, 'address'],
+                    [/url|website|link/, 'url'],
+                    [/colou?r/, 'color'],
+                    [/zip|postal/, 'zip'],
+                    [/title|subject|label/, 'title'],
+                    [/desc|note|comment|bio|body|text|summary|message/, 'sentence'],
+                    [/^uuid$|^guid$/, 'uuid']
+                ],
+
+                /**
+                 * Seeded pseudo-random generator. Without a seed, the source active in
+                 * CRUD.seed({ seed }) if any, otherwise Math.random.
+                 * @param {number|string} seed - Seed
+                 * @returns {Function} () => number in [0, 1)
+                 * @example
+                 * const random = VOTAX.Fake.rng(42);
+                 * random(); // same sequence on every run
+                 */
+                rng(seed) {
+                    if(seed === undefined || seed === null) return VOTAX._rng || Math.random;
+                    return VOTAX._prng(seed);
+                },
+
+                /**
+                 * Create a faker bound to a random source. Dates default to the year before now:
+                 * opts.now, else the seeding clock inside CRUD.seed({ seed }), else, for a seeded
+                 * faker, 2020-01-01T00:00:00Z (as in CRUD.seed), so seeds give the same dates.
+                 * @param {number|string|Function} seed - Seed, or a random function
+                 * @param {Object} opts - Options (now: clock for default date ranges)
+                 * @returns {Object} Faker: random, int, float, bool, pick, shuffle, firstName, lastName,
+                 *   name, username, email, phone, city, address, zip, url, color, word, words, title,
+                 *   sentence, date, uuid, pattern, value (rule, field)
+                 * @example
+                 * const f = VOTAX.Fake.create('demo');
+                 * f.email();                     // 'mia.okafor17@example.org'
+                 * f.int(1, 6);
+                 * f.pattern(/^[A-Z]{3}-\d{4}$/); // 'QHT-0412'
+                 */
+                create(seed, opts = {}) {
+                    const random = typeof seed === 'function' ? seed : this.rng(seed);
+                    const seeded = seed !== undefined && seed !== null && typeof seed !== 'function';
+                    const now = () => opts.now !== undefined ? new Date(opts.now).getTime()
+                        : seeded && VOTAX._clock === null ? Date.UTC(2020, 0, 1) : VOTAX._now();
+                    const d = this._data;
+                    const year = 365 * 24 * 3600 * 1000;
+                    const ms = v => v instanceof Date ? v.getTime() : typeof v === 'string' ? Date.parse(v) : v;
+                    const f = {
+                        random,
+                        int: (min = 0, max = 100) => min + Math.floor(random() * (max - min + 1)),
+                        float: (min = 0, max = 1, decimals = 2) => Number((min + random() * (max - min)).toFixed(decimals)),
+                        bool: (p = 0.5) => random() < p,
+                        pick: list => list[Math.floor(random() * list.length)],
+                        shuffle: list => {
+                            const a = list.slice();
+                            for(let i = a.length - 1; i > 0; i--) {
+                                const j = Math.floor(random() * (i + 1));
+                                [a[i], a[j]] = [a[j], a[i]];
+                            }
+                            return a;
+                        },
+                        firstName: () => f.pick(d.firstNames),
+                        lastName: () => f.pick(d.lastNames),
+                        name: () => `${f.firstName()} ${f.lastName()}`,
+                        username: () => `${f.firstName().toLowerCase()}_${f.int(10, 9999)}`,
+                        email: (name = f.name()) => `${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.|\.$/g, '')}${f.int(1, 99)}@${f.pick(d.domains)}`,
+                        phone: () => `+1-555-${f.int(100, 999)}-${String(f.int(0, 9999)).padStart(4, '0')}`,
+                        city: () => f.pick(d.cities),
+                        address: () => `${f.int(1, 9999)} ${f.pick(d.streets)} ${f.pick(['St', 'Ave', 'Rd', 'Ln'])}`,
+                        zip: () => String(f.int(0, 99999)).padStart(5, '0'),
+                        url: () => `https://${f.pick(d.domains)}/${f.word()}`,
+                        color: () => '#' + Array.from({ length: 6 }, () => f.pick('0123456789abcdef')).join(''),
+                        word: () => f.pick(d.words),
+                        words: (n = 3) => Array.from({ length: n }, f.word).join(' '),
+                        title: () => f.words(f.int(2, 4)).replace(/\b\w/g, c => c.toUpperCase()),
+                        sentence: () => { const s = f.words(f.int(4, 10)); return s[0].toUpperCase() + s.slice(1) + '.'; },
+                        date: (min, max) => {
+                            let lo = ms(min), hi = ms(max);
+                            if(hi === undefined) hi = lo === undefined ? now() : lo + year;
+                            if(lo === undefined) lo = hi - year;
+                            return new Date(lo + Math.floor(random() * (hi - lo + 1))).toISOString();
+                        },
+                        uuid: () => {
+                            const b = Uint8Array.from({ length: 16 }, () => Math.floor(random() * 256));
+                            b[6] = (b[6] & 0x0f) | 0x40;
+                            b[8] = (b[8] & 0x3f) | 0x80;
+                            return VOTAX._uuid(b);
+                        },
+                        pattern: re => this._fromPattern(re, f),
+                        value: (rule = {}, field = '') => this._value(rule, field, f, null)
+                    };
+                    return f;
+                },
+
+                /**
+                 * Build (without adding) a record from the module's Validation schema. Fields in
+                 * overrides are kept; unique fields avoid values already stored.
+                 * @param {string} module - Module name
+                 * @param {Object} overrides - Fixed field values
+                 * @param {Object} opts - Options (seed, or random: a random function or faker; now: as in create)
+                 * @returns {Object} Item
+                 * @example
+                 * VOTAX.Fake.item('students', { grade: 'A' }, { seed: 7 });
+                 */
+                item(module, overrides = {}, opts = {}) {
+                    const f = opts.random && opts.random.pick ? opts.random : this.create(opts.random || opts.seed, { now: opts.now });
+                    return this._fields(module, VOTAX.Validation._schemas[module] || {}, VOTAX._cloneDeep(overrides), f, '');
+                },
+
+                /**
+                 * Fake the fields an object leaves undefined, descending into nested objects.
+                 * Rules with fake: false are skipped.
+                 * @param {string|null} module - Module name (for unique checks)
+                 * @param {Object} schema - Schema level
+                 * @param {Object} obj - Object to fill in place
+                 * @param {Object} f - Faker
+                 * @param {string} prefix - Path prefix
+                 * @returns {Object} obj
+                 */
+                _fields(module, schema, obj, f, prefix) {
+                    Object.keys(schema).forEach(field => {
+                        const rule = schema[field];
+                        const path = prefix ? `${prefix}.${field}` : field;
+                        if(rule.fake === false) return;
+                        if(obj[field] === undefined) obj[field] = this._unique(module, rule, path, f, obj);
+                        else if(rule.type === 'object' && rule.fields && obj[field] && typeof obj[field] === 'object' && !Array.isArray(obj[field])) {
+                            this._fields(module, rule.fields, obj[field], f, path);
+                        }
+                    });
+                    return obj;
+                },
+
+                /**
+                 * Fake a value, retrying while a unique field (schema rule or unique index) clashes
+                 * @param {string|null} module - Module name
+                 * @param {Object} rule - Field rule
+                 * @param {string} path - Field path
+                 * @param {Object} f - Faker
+                 * @param {Object} obj - Object being filled
+                 * @returns {*} Value
+                 */
+                _unique(module, rule, path, f, obj) {
+                    let val = this._value(rule, path, f, module, obj);
+                    const idx = module && (VOTAX.Performance._indexes[module] || {})[path];
+                    if(!module || !(rule.unique || (idx && idx.unique))) return val;
+                    const taken = v => (VOTAX.CRUD._store[module] || []).some(o => VOTAX._getPath(o, path) === v);
+                    for(let tries = 1; taken(val); tries++) {
+                        if(tries >= 50) throw new Error(`cannot generate a unique ${module}.${path}`);
+                        val = this._value(rule, path, f, module, obj);
                     }
-                };
-                window.addEventListener('storage', handleStorage);
-                return () => window.removeEventListener('storage', handleStorage);
+                    return val;
+                },
+
+                /**
+                 * Fake one value for a rule: rule.fake (faker name or (faker) => value), enum pick,
+                 * numbers and dates within min/max, pattern strings, lengths within
+                 * minLength/maxLength, arrays within minItems/maxItems, nested objects. Emails
+                 * follow the object's name when it has one.
+                 * @param {Object} rule - Field rule
+                 * @param {string} path - Field path (its last segment picks the string faker)
+                 * @param {Object} f - Faker
+                 * @param {string|null} module - Module name
+                 * @param {Object} [obj] - Object being filled
+                 * @returns {*} Value
+                 */
+                _value(rule, path, f, module, obj) {
+                    if(typeof rule.fake === 'function') return rule.fake(f);
+                    if(typeof rule.fake === 'string') {
+                        if(typeof f[rule.fake] !== 'function') throw new Error(`unknown faker: ${rule.fake}`);
+                        return f[rule.fake]();
+                    }
+                    if(rule.enum) return f.pick(rule.enum);
+                    switch(rule.type) {
+                        case 'number': {
+                            let min = rule.min, max = rule.max;
+                            if(min === undefined) min = max === undefined ? 0 : max >= 0 ? 0 : max - 100;
+                            if(max === undefined) max = min + 100;
+                            return Number.isInteger(min) && Number.isInteger(max) ? f.int(min, max) : f.float(min, max);
+                        }
+                        case 'boolean': return f.bool();
+                        case 'date': return f.date(rule.min, rule.max);
+                        case 'enum': return null;
+                        case 'object': return rule.fields ? this._fields(module, rule.fields, {}, f, path) : {};
+                        case 'array': {
+                            const min = rule.minItems !== undefined ? rule.minItems : 1;
+                            const max = rule.maxItems !== undefined ? rule.maxItems : min + 2;
+                            return Array.from({ length: f.int(min, Math.max(min, max)) }, () => rule.items ? this._value(rule.items, path, f, module) : f.word());
+                        }
+                        default: {
+                            if(rule.pattern) return f.pattern(rule.pattern);
+                            const name = String(path).split('.').pop().toLowerCase();
+                            const guess = this._guesses.find(([re]) => re.test(name));
+                            const named = obj && (typeof obj.name === 'string' ? obj.name
+                                : typeof obj.firstName === 'string' ? `${obj.firstName} ${obj.lastName || ''}` : null);
+                            let s = guess && guess[1] === 'email' && named ? f.email(named) : f[guess ? guess[1] : 'word']();
+                            while(rule.minLength && s.length < rule.minLength) s += ' ' + f.word();
+                            if(rule.maxLength && s.length > rule.maxLength) s = s.slice(0, rule.maxLength);
+                            return s;
+                        }
+                    }
+                },
+
+                /**
+                 * Generate a string matching a regular expression: literals, classes (\d \w \s .),
+                 * sets, groups, alternation and quantifiers. Lookarounds and backreferences throw.
+                 * @param {RegExp|string} re - Pattern
+                 * @param {Object} f - Faker
+                 * @returns {string} Matching string
+                 */
+                _fromPattern(re, f) {
+                    const src = re instanceof RegExp ? re.source : String(re);
+                    const check = new RegExp(src, re instanceof RegExp ? re.flags.replace(/[gy]/g, '') : '');
+                    const tree = this._parsePattern(src);
+                    for(let tries = 0; tries < 20; tries++) {
+                        const s = this._genPattern(tree, f);
+                        if(check.test(s)) return s;
+                    }
+                    throw new Error(`cannot generate a value matching ${check}`);
+                },
+
+                /**
+                 * Parse a pattern into alternatives of quantified parts
+                 * @param {string} src - Pattern source
+                 * @returns {Array<Array<{chars:?string, group:?Array, min:number, max:number}>>} Alternatives
+                 */
+                _parsePattern(src) {
+                    const lower = 'abcdefghijklmnopqrstuvwxyz', digits = '0123456789';
+                    const alnum = lower + lower.toUpperCase() + digits;
+                    const classes = { d: digits, w: alnum + '_', s: ' ', D: lower, W: ' -.', S: alnum };
+                    const escapes = { n: '\n', t: '\t', r: '\r' };
+                    let i = 0;
+                    const unsupported = what => new Error(`unsupported ${what} in pattern /${src}/`);
+                    const set = () => {
+                        let out = '';
+                        const neg = src[i] === '^';
+                        if(neg) i++;
+                        while(i < src.length && src[i] !== ']') {
+                            let c = src[i++];
+                            if(c === '\\') {
+                                const e = src[i++];
+                                if(classes[e]) { out += classes[e]; continue; }
+                                c = escapes[e] || e;
+                            }
+                            if(src[i] === '-' && i + 1 < src.length && src[i + 1] !== ']') {
+                                let to = src[i + 1];
+                                i += 2;
+                                if(to === '\\') to = src[i++];
+                                for(let code = c.charCodeAt(0); code <= to.charCodeAt(0); code++) out += String.fromCharCode(code);
+                            } else out += c;
+                        }
+                        i++;
+                        return neg ? Array.from(alnum + ' -_.').filter(c => out.indexOf(c) === -1).join('') : out;
+                    };
+                    const alt = () => {
+                        const branches = [[]];
+                        while(i < src.length && src[i] !== ')') {
+                            const c = src[i++];
+                            let part;
+                            if(c === '|') { branches.push([]); continue; }
+                            if(c === '^' || c === '$') continue;
+                            if(c === '(') {
+                                if(src[i] === '?') {
+                                    if(src[i + 1] === ':') i += 2;
+                                    else if(src[i + 1] === '<' && src[i + 2] !== '=' && src[i + 2] !== '!') i = src.indexOf('>', i) + 1;
+                                    else throw unsupported('lookaround');
+                                }
+                                part = { group: alt() };
+                                i++;
+                            } else if(c === '[') part = { chars: set() };
+                            else if(c === '\\') {
+                                const e = src[i++];
+                                if(/[1-9k]/.test(e)) throw unsupported('backreference');
+                                if(e === 'b' || e === 'B') continue;
+                                part = { chars: classes[e] || escapes[e] || e };
+                            } else if(c === '.') part = { chars: alnum };
+                            else part = { chars: c };
+                            if(part.chars === '') throw unsupported('empty set');
+                            part.min = part.max = 1;
+                            const q = src[i], m = /^\{(\d+)(,(\d*))?\}/.exec(src.slice(i));
+                            if(q === '?') part.min = 0;
+                            else if(q === '*') { part.min = 0; part.max = 3; }
+                            else if(q === '+') part.max = 4;
+                            else if(m) {
+                                part.min = Number(m[1]);
+                                part.max = m[2] ? (m[3] ? Number(m[3]) : part.min + 3) : part.min;
+                            }
+                            if(q === '?' || q === '*' || q === '+') i++;
+                            else if(m) i += m[0].length;
+                            if((q === '?' || q === '*' || q === '+' || m) && src[i] === '?') i++; // lazy
+                            branches[branches.length - 1].push(part);
+                        }
+                        return branches;
+                    };
+                    return alt();
+                },
+
+                /**
+                 * Generate a string from a parsed pattern
+                 * @param {Array} branches - Alternatives from _parsePattern
+                 * @param {Object} f - Faker
+                 * @returns {string} String
+                 */
+                _genPattern(branches, f) {
+                    return f.pick(branches).map(part => {
+                        let s = '';
+                        for(let n = f.int(part.min, part.max); n > 0; n--) s += part.group ? this._genPattern(part.group, f) : f.pick(part.chars);
+                        return s;
+                    }).join('');
+                }
+            },
+
+            /**
+             * Advanced UI module
+             */
+            UI: {
+                /**
+                 * Generate form for module
+                 * @param {string} module - Module name
+                 * @param {Function} onSubmit - Submit callback
+                 * @returns {HTMLFormElement} Form element
+                 */
+                formFor(module, onSubmit = () => {}) {
+                    const tpl = VOTAX.CRUD._templates[module] || {};
+                    const form = document.createElement('form');
+                    form.style.cssText = 'border:1px solid #ccc; padding:10px; margin:10px 0; border-radius:5px;';
+                    Object.keys(tpl).forEach(field => {
+                        const val = tpl[field];
+                        const fieldDiv = document.createElement('div');
+                        fieldDiv.style.marginBottom = '10px';
+                        const label = document.createElement('label');
+                        label.textContent = field + ': ';
+                        fieldDiv.appendChild(label);
+                        let input;
+                        if(typeof val === 'boolean') {
+                            input = document.createElement('input');
+                            input.type = 'checkbox';
+                            input.name = field;
+                        } else if(typeof val === 'number') {
+                            input = document.createElement('input');
+                            input.type = 'number';
+                            input.name = field;
+                        } else if(Array.isArray(val)) {
+                            input = document.createElement('input');
+                            input.type = 'text';
+                            input.name = field;
+                            input.placeholder = 'comma-separated';
+                        } else {
+                            input = document.createElement('input');
+                            input.type = 'text';
+                            input.name = field;
+                        }
+                        input.style.marginLeft = '5px';
+                        fieldDiv.appendChild(input);
+                        form.appendChild(fieldDiv);
+                    });
+                    const btn = document.createElement('button');
+                    btn.type = 'submit';
+                    btn.textContent = 'Submit';
+                    form.appendChild(btn);
+                    form.addEventListener('submit', (e) => {
+                        e.preventDefault();
+                        const fd = new FormData(form);
+                        const data = {};
+                        fd.forEach((v, k) => {
+                            const val = tpl[k];
+                            if(typeof val === 'boolean') data[k] = fd.get(k) !== null;
+                            else if(typeof val === 'number') data[k] = Number(fd.get(k));
+                            else if(Array.isArray(val)) data[k] = fd.get(k).split(',').map(s => s.trim());
+                            else data[k] = fd.get(k);
+                        });
+                        onSubmit(data);
+                    });
+                    return form;
+                },
+
+                /**
+                 * Show modal dialog
+                 * @param {string} title - Modal title
+                 * @param {string|HTMLElement} content - Content
+                 * @param {Array<{label:string, onclick:Function}>} buttons - Buttons
+                 * @returns {HTMLDivElement} Modal overlay
+                 */
+                modal(title, content, buttons = []) {
+                    const overlay = document.createElement('div');
+                    overlay.style.cssText = 'position:fixed; top:0; left:0; width:100%; height:100%; background:rgba(0,0,0,0.5); display:flex; align-items:center; justify-content:center; z-index:9999;';
+                    const box = document.createElement('div');
+                    box.style.cssText = 'background:white; padding:20px; border-radius:10px; max-width:500px; box-shadow:0 4px 6px rgba(0,0,0,0.1);';
+                    const titleEl = document.createElement('h3');
+                    titleEl.textContent = title;
+                    box.appendChild(titleEl);
+                    const contentEl = document.createElement('div');
+                    contentEl.innerHTML = typeof content === 'string' ? content : '';
+                    if(content instanceof HTMLElement) contentEl.appendChild(content);
+                    box.appendChild(contentEl);
+                    const btnDiv = document.createElement('div');
+                    btnDiv.style.marginTop = '15px';
+                    buttons.forEach(({ label, onclick }) => {
+                        const btn = document.createElement('button');
+                        btn.textContent = label;
+                        btn.style.marginRight = '10px';
+                        btn.onclick = () => { onclick(); overlay.remove(); };
+                        btnDiv.appendChild(btn);
+                    });
+                    box.appendChild(btnDiv);
+                    overlay.appendChild(box);
+                    overlay.onclick = (e) => { if(e.target === overlay) overlay.remove(); };
+                    document.body.appendChild(overlay);
+                    return overlay;
+                },
+
+                /**
+                 * Make list draggable
+                 * @param {string|HTMLElement} container - Container selector or element
+                 * @param {Array} items - Items to render
+                 * @param {Function} onReorder - Reorder callback
+                 */
+                makeDraggable(container, items = [], onReorder = () => {}) {
+                    const el = (typeof container === 'string') ? document.querySelector(container) : container;
+                    if(!el) return;
+                    el.innerHTML = '';
+                    items.forEach((item, i) => {
+                        const div = document.createElement('div');
+                        div.draggable = true;
+                        div.style.cssText = 'padding:10px; border:1px solid #ddd; margin:5px 0; cursor:move; border-radius:5px;';
+                        div.textContent = item.name || item.title || JSON.stringify(item).slice(0,50);
+                        div.dataset.index = i;
+                        div.addEventListener('dragstart', (e) => e.dataTransfer.effectAllowed = 'move');
+                        div.addEventListener('dragover', (e) => e.preventDefault());
+                        div.addEventListener('drop', (e) => {
+                            e.preventDefault();
+                            const from = parseInt(e.dataTransfer.getData('text/plain') || 0);
+                            const to = parseInt(div.dataset.index);
+                            if(from !== to) {
+                                [items[from], items[to]] = [items[to], items[from]];
+                                onReorder(items);
+                                VOTAX.UI.makeDraggable(el, items, onReorder);
+                            }
+                        });
+                        div.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', i));
+                        el.appendChild(div);
+                    });
+                },
+
+                /**
+                 * Render dashboard for module
+                 * @param {string|HTMLElement} container - Container
+                 * @param {string} module - Module name
+                 */
+                renderDashboard(container, module){
+                    const el = (typeof container === 'string') ? document.querySelector(container) : container;
+                    if(!el) return;
+                    const list = VOTAX.CRUD.getAll(module, { withComputed: true });
+                    el.innerHTML = '';
+                    const header = document.createElement('div');
+                    header.innerHTML = `<strong>${module}</strong> — Total: ${list.length}`;
+                    el.appendChild(header);
+                    const numeric = new Set();
+                    list.forEach(it => Object.keys(it).forEach(k => { if(typeof it[k] === 'number') numeric.add(k); }));
+                    const group = { by: null };
+                    numeric.forEach(k => { group[`sum:${k}`] = { sum: k }; group[`avg:${k}`] = { avg: k }; });
+                    const [totals] = VOTAX.CRUD.aggregate(module, [{ group }], { withComputed: true });
+                    numeric.forEach(k => {
+                        const row = document.createElement('div');
+                        row.textContent = `${k}: sum=${totals[`sum:${k}`]} avg=${totals[`avg:${k}`].toFixed(2)}`;
+                        el.appendChild(row);
+                    });
+                    const tagCounts = VOTAX.CRUD.aggregate(module, [{ unwind: 'tags' }, { group: { by: 'tags', n: { count: true } } }]);
+                    const tagsRow = document.createElement('div');
+                    tagsRow.textContent = 'Tags: ' + tagCounts.map(t => `${t.tags}(${t.n})`).join(', ');
+                    el.appendChild(tagsRow);
+                }
+            },
+
+            /**
+             * Performance module (indexing, pagination)
+             */
+            Performance: {
+                /** @type {Record<string, Record<string, object>>} */
+                _indexes: {},
+
+                /**
+                 * Create a secondary index, kept up to date on every CRUD write.
+                 * Hash indexes serve eq/in lookups; sorted indexes also serve ranges.
+                 * Unique indexes make add/update throw on a duplicate value.
+                 * @param {string} module - Module name
+                 * @param {string} field - Field name or dotted path
+                 * @param {Object} opts - Options (unique, type: 'hash'|'sorted')
+                 * @returns {Object} Index info { module, field, unique, type, size }
+                 * @example
+                 * VOTAX.Performance.createIndex('students', 'email', { unique: true });
+                 * VOTAX.Performance.createIndex('students', 'age', { type: 'sorted' });
+                 */
+                createIndex(module, field, opts = {}) {
+                    const idx = { field, unique: !!opts.unique, type: opts.type === 'sorted' ? 'sorted' : 'hash' };
+                    this._rebuild(module, idx);
+                    this._indexes[module] = this._indexes[module] || {};
+                    this._indexes[module][field] = idx;
+                    return this._info(module, idx);
+                },
+
+                /**
+                 * Build (hash) index on field
+                 * @param {string} module - Module name
+                 * @param {string} field - Field name
+                 * @returns {Object} Index snapshot { value: [ids] }
+                 */
+                buildIndex(module, field) {
+                    const existing = this._indexes[module] && this._indexes[module][field];
+                    const idx = existing || (this.createIndex(module, field), this._indexes[module][field]);
+                    const out = {};
+                    idx.map.forEach((ids, key) => { out[key] = Array.from(ids); });
+                    return out;
+                },
+
+                /**
+                 * Drop an index
+                 * @param {string} module - Module name
+                 * @param {string} field - Field name
+                 * @returns {boolean} True if an index was dropped
+                 */
+                dropIndex(module, field) {
+                    if(!this._indexes[module] || !this._indexes[module][field]) return false;
+                    delete this._indexes[module][field];
+                    return true;
+                },
+
+                /**
+                 * Drop all indexes of a module (or of every module)
+                 * @param {string} module - Module name (omit for all)
+                 */
+                clearIndexes(module) {
+                    if(module) delete this._indexes[module];
+                    else this._indexes = {};
+                },
+
+                /**
+                 * List indexes
+                 * @param {string} module - Module name (omit for all)
+                 * @returns {Array<Object>} Index info
+                 */
+                listIndexes(module) {
+                    const out = [];
+                    Object.keys(this._indexes).forEach(m => {
+                        if(module && m !== module) return;
+                        Object.keys(this._indexes[m]).forEach(f => out.push(this._info(m, this._indexes[m][f])));
+                    });
+                    return out;
+                },
+
+                /**
+                 * Paginate results. Accepts (page, pageSize) or an options object with the
+                 * same filters/sort as CRUD.query plus opaque cursors. Cursors point between
+                 * records (keyset pagination), so pages don't shift when rows are inserted
+                 * or removed elsewhere; id breaks sort ties.
+                 * @param {string} module - Module name
+                 * @param {number|Object} page - Page number (1-indexed) or options
+                 *   { filters, sort, pageSize, page, cursor, select, includeDeleted, withComputed, populate }
+                 * @param {number} pageSize - Items per page
+                 * @returns {PaginationResult} Pagination result (with next/prev cursors, null at the ends)
+                 * @example
+                 * const p1 = VOTAX.Performance.paginate('students', { filters: { grade: 'A' }, sort: '-age', pageSize: 20 });
+                 * const p2 = VOTAX.Performance.paginate('students', { filters: { grade: 'A' }, sort: '-age', pageSize: 20, cursor: p1.next });
+                 */
+                paginate(module, page = 1, pageSize = 10) {
+                    const opts = typeof page === 'object' && page !== null ? page : { page, pageSize };
+                    const size = opts.pageSize || 10;
+                    const keys = VOTAX.CRUD._sortKeys(opts.sort || []).concat([{ field: 'id', dir: 1 }]);
+                    // computed sort keys stay on the rows until the cursors are encoded
+                    const names = VOTAX.CRUD._computedNames(module, opts);
+                    const extra = VOTAX.CRUD._computedRefs(module, undefined, opts.sort || []).filter(n => names.indexOf(n) === -1);
+                    const list = VOTAX.CRUD.query(module, opts.filters, { sort: keys.map(k => ({ field: k.field, dir: k.dir })), includeDeleted: opts.includeDeleted, withComputed: names.concat(extra) });
+                    const total = list.length;
+                    let start;
+                    if(opts.cursor) {
+                        const cur = this._decodeCursor(opts.cursor);
+                        const cmp = item => this._cursorCompare(item, keys, cur);
+                        // first record after (or at/after, for prev) the cursor position
+                        let lo = 0, hi = total;
+                        while(lo < hi) {
+                            const mid = (lo + hi) >> 1;
+                            if(cur.d === 'prev' ? cmp(list[mid]) < 0 : cmp(list[mid]) <= 0) lo = mid + 1;
+                            else hi = mid;
+                        }
+                        start = cur.d === 'prev' ? Math.max(0, lo - size) : lo;
+                    } else {
+                        start = ((opts.page || 1) - 1) * size;
+                    }
+                    const slice = list.slice(start, start + size);
+                    let items = VOTAX.CRUD._strip(slice.map(i => VOTAX._cloneDeep(i)), extra);
+                    if(opts.populate) items = VOTAX.CRUD._populate(module, items, opts.populate);
+                    if(opts.select) {
+                        const keep = opts.populate ? opts.select.concat(VOTAX.CRUD._populateSpecs(opts.populate).map(p => p.as)) : opts.select;
+                        items = items.map(i => VOTAX.CRUD._project(i, keep));
+                    }
+                    return {
+                        page: Math.floor(start / size) + 1,
+                        pageSize: size,
+                        total,
+                        pages: Math.ceil(total / size),
+                        items,
+                        next: start + size < total && slice.length ? this._encodeCursor(slice[slice.length - 1], keys, 'next') : null,
+                        prev: start > 0 && slice.length ? this._encodeCursor(slice[0], keys, 'prev') : null
+                    };
+                },
+
+                /**
+                 * Walk a module in chunks; uses cursors, so writes between chunks neither
+                 * skip nor duplicate records
+                 * @param {string} module - Module name
+                 * @param {Object} opts - Options (chunkSize: default 100, filters, sort, select, withComputed, populate)
+                 * @returns {AsyncGenerator<VOTAXItem[]>} Chunks
+                 * @example
+                 * for await (const chunk of VOTAX.Performance.iterate('students', { chunkSize: 500 })) {
+                 *   chunk.forEach(exportRow);
+                 * }
+                 */
+                async *iterate(module, opts = {}) {
+                    let cursor = null;
+                    do {
+                        const page = this.paginate(module, Object.assign({}, opts, { pageSize: opts.chunkSize || 100, cursor, page: 1 }));
+                        if(!page.items.length) return;
+                        yield page.items;
+                        cursor = page.next;
+                        // let other work run between chunks
+                        await Promise.resolve();
+                    } while(cursor);
+                },
+
+                /**
+                 * Encode an opaque cursor for the position of an item
+                 * @param {Object} item - Boundary item
+                 * @param {Array<{field:string, dir:number}>} keys - Sort keys (ending with id)
+                 * @param {string} d - 'next' (records after item) or 'prev' (records before item)
+                 * @returns {string} Cursor
+                 */
+                _encodeCursor(item, keys, d) {
+                    const json = JSON.stringify({ k: keys.map(k => VOTAX._getPath(item, k.field)), d });
+                    const b64 = typeof Buffer !== 'undefined' ? Buffer.from(json, 'utf8').toString('base64') : btoa(unescape(encodeURIComponent(json)));
+                    return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+                },
+
+                /**
+                 * Decode a cursor
+                 * @param {string} cursor - Cursor
+                 * @returns {{k: Array, d: string}} Position
+                 */
+                _decodeCursor(cursor) {
+                    try {
+                        const b64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+                        const json = typeof Buffer !== 'undefined' ? Buffer.from(b64, 'base64').toString('utf8') : decodeURIComponent(escape(atob(b64)));
+                        const cur = JSON.parse(json);
+                        if(!Array.isArray(cur.k)) throw new Error('bad cursor');
+                        return cur;
+                    } catch(e) { throw new Error('invalid cursor'); }
+                },
+
+                /**
+                 * Compare an item with a cursor position in sort order
+                 * @param {Object} item - Item
+                 * @param {Array<{field:string, dir:number}>} keys - Sort keys
+                 * @param {{k: Array}} cur - Decoded cursor
+                 * @returns {number} <0 before, 0 at, >0 after the cursor
+                 */
+                _cursorCompare(item, keys, cur) {
+                    for(let i = 0; i < keys.length; i++) {
+                        const c = VOTAX._compare(VOTAX._getPath(item, keys[i].field), cur.k[i]);
+                        if(c) return c * keys[i].dir;
+                    }
+                    return 0;
+                },
+
+                /**
+                 * Query using index (fast for large datasets); builds a hash index if missing
+                 * @param {string} module - Module name
+                 * @param {string} field - Indexed field
+                 * @param {*} value - Value to match
+                 * @returns {VOTAXItem[]} Matching items
+                 */
+                queryWithIndex(module, field, value) {
+                    const idx = (this._indexes[module] && this._indexes[module][field]) || (this.createIndex(module, field), this._indexes[module][field]);
+                    const ids = Array.from(idx.map.get(this._key(value)) || []);
+                    return VOTAX.CRUD._inStoreOrder(module, ids).map(i => VOTAX._cloneDeep(i));
+                },
+
+                /**
+                 * Range lookup on a sorted index
+                 * @param {string} module - Module name
+                 * @param {string} field - Field with a sorted index
+                 * @param {Object} bounds - { gt, gte, lt, lte }
+                 * @returns {VOTAXItem[]} Matching items, ordered by field
+                 * @example
+                 * VOTAX.Performance.range('students', 'age', { gte: 18, lt: 30 });
+                 */
+                range(module, field, bounds = {}) {
+                    const idx = this._indexes[module] && this._indexes[module][field];
+                    if(!idx || idx.type !== 'sorted') throw new Error(`no sorted index on ${module}.${field}`);
+                    return this._rangeIds(idx, bounds).map(id => VOTAX.CRUD._lookup(module, id)).filter(Boolean).map(i => VOTAX._cloneDeep(i));
+                },
+
+                /**
+                 * Normalize a value into an index key (objects/arrays by JSON)
+                 * @param {*} value - Field value
+                 * @returns {*} Key
+                 */
+                _key(value) {
+                    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+                },
+
+                /**
+                 * Public description of an index
+                 * @param {string} module - Module name
+                 * @param {Object} idx - Index
+                 * @returns {Object} Index info
+                 */
+                _info(module, idx) {
+                    return { module, field: idx.field, unique: idx.unique, type: idx.type, size: idx.byId.size };
+                },
+
+                /**
+                 * Rebuild an index from the store
+                 * @param {string} module - Module name
+                 * @param {Object} idx - Index
+                 */
+                _rebuild(module, idx) {
+                    idx.map = new Map();
+                    idx.byId = new Map();
+                    idx.sorted = [];
+                    (VOTAX.CRUD._store[module] || []).forEach(item => {
+                        const key = this._key(VOTAX._getPath(item, idx.field));
+                        if(idx.unique && key !== undefined && key !== null && idx.map.has(key)) {
+                            throw new Error(`unique index violation: ${module}.${idx.field} = ${key}`);
+                        }
+                        this._insert(idx, item.id, key);
+                    });
+                },
+
+                /**
+                 * Insert an id under a key
+                 * @param {Object} idx - Index
+                 * @param {string} id - Item ID
+                 * @param {*} key - Index key (null/undefined are not indexed)
+                 */
+                _insert(idx, id, key) {
+                    if(key === undefined || key === null) return;
+                    if(!idx.map.has(key)) idx.map.set(key, new Set());
+                    idx.map.get(key).add(id);
+                    idx.byId.set(id, key);
+                    if(idx.type === 'sorted') idx.sorted.splice(this._bound(idx.sorted, key, false), 0, { key, id });
+                },
+
+                /**
+                 * Remove an id from an index
+                 * @param {Object} idx - Index
+                 * @param {string} id - Item ID
+                 */
+                _delete(idx, id) {
+                    if(!idx.byId.has(id)) return;
+                    const key = idx.byId.get(id);
+                    idx.byId.delete(id);
+                    const ids = idx.map.get(key);
+                    ids.delete(id);
+                    if(!ids.size) idx.map.delete(key);
+                    if(idx.type === 'sorted') {
+                        for(let i = this._bound(idx.sorted, key, true); i < idx.sorted.length && VOTAX._compare(idx.sorted[i].key, key) === 0; i++) {
+                            if(idx.sorted[i].id === id) { idx.sorted.splice(i, 1); break; }
+                        }
+                    }
+                },
+
+                /**
+                 * Binary search in a sorted index
+                 * @param {Array<{key:*}>} sorted - Sorted entries
+                 * @param {*} key - Key
+                 * @param {boolean} lower - true: first entry >= key; false: first entry > key
+                 * @returns {number} Position
+                 */
+                _bound(sorted, key, lower) {
+                    let lo = 0, hi = sorted.length;
+                    while(lo < hi) {
+                        const mid = (lo + hi) >> 1;
+                        const c = VOTAX._compare(sorted[mid].key, key);
+                        if(c < 0 || (!lower && c === 0)) lo = mid + 1;
+                        else hi = mid;
+                    }
+                    return lo;
+                },
+
+                /**
+                 * Ids within bounds of a sorted index
+                 * @param {Object} idx - Sorted index
+                 * @param {Object} b - { gt, gte, lt, lte }
+                 * @returns {string[]} Ids ordered by key
+                 */
+                _rangeIds(idx, b) {
+                    const from = b.gte !== undefined ? this._bound(idx.sorted, b.gte, true) : b.gt !== undefined ? this._bound(idx.sorted, b.gt, false) : 0;
+                    const to = b.lte !== undefined ? this._bound(idx.sorted, b.lte, false) : b.lt !== undefined ? this._bound(idx.sorted, b.lt, true) : idx.sorted.length;
+                    return idx.sorted.slice(from, Math.max(from, to)).map(e => e.id);
+                },
+
+                /**
+                 * Keep indexes in sync with writes (registered as an immediate observer)
+                 * @param {string} module - Module name
+                 * @param {string} type - Change type
+                 * @param {Array|null} changes - Changed records
+                 */
+                _sync(module, type, changes) {
+                    const byField = this._indexes[module];
+                    if(!byField) return;
+                    Object.keys(byField).forEach(f => {
+                        const idx = byField[f];
+                        if(!changes) { this._rebuild(module, idx); return; }
+                        changes.forEach(c => {
+                            this._delete(idx, c.id);
+                            if(c.after) this._insert(idx, c.id, this._key(VOTAX._getPath(c.after, idx.field)));
+                        });
+                    });
+                },
+
+                /**
+                 * Throw if an item would violate a unique index
+                 * @param {string} module - Module name
+                 * @param {Object} item - Item about to be written
+                 */
+                _checkUnique(module, item) {
+                    this._checkUniqueBatch(module, [item]);
+                },
+
+                /**
+                 * Unique-index check for writes the indexes only see at the end of a batch (loads):
+                 * keys claimed earlier in the batch count as taken, and records rewritten in the
+                 * batch no longer hold their indexed keys
+                 * @param {string} module - Module name
+                 * @returns {Function} (item) => void, throws on a violation and otherwise claims the item's keys
+                 */
+                _uniqueClaims(module) {
+                    const claimed = new Map(), rewritten = new Set();
+                    return item => {
+                        const unique = Object.values(this._indexes[module] || {}).filter(idx => idx.unique);
+                        unique.forEach(idx => {
+                            const key = this._key(VOTAX._getPath(item, idx.field));
+                            if(key === undefined || key === null) return;
+                            const mine = claimed.get(idx.field);
+                            const held = idx.map.get(key);
+                            if((mine && mine.byKey.has(key) && mine.byKey.get(key) !== item.id)
+                                || (held && Array.from(held).some(id => id !== item.id && !rewritten.has(id)))) {
+                                throw new Error(`unique index violation: ${module}.${idx.field} = ${key}`);
+                            }
+                        });
+                        unique.forEach(idx => {
+                            const key = this._key(VOTAX._getPath(item, idx.field));
+                            if(!claimed.has(idx.field)) claimed.set(idx.field, { byKey: new Map(), byId: new Map() });
+                            const mine = claimed.get(idx.field);
+                            const prev = mine.byId.get(item.id);
+                            if(prev !== undefined && mine.byKey.get(prev) === item.id) mine.byKey.delete(prev);
+                            if(key !== undefined && key !== null) {
+                                mine.byKey.set(key, item.id);
+                                mine.byId.set(item.id, key);
+                            }
+                        });
+                        rewritten.add(item.id);
+                    };
+                },
+
+                /**
+                 * Throw if items written together would violate a unique index, against stored
+                 * records outside the batch or against each other
+                 * @param {string} module - Module name
+                 * @param {Object[]} items - Items about to be written (with their ids)
+                 */
+                _checkUniqueBatch(module, items) {
+                    const byField = this._indexes[module];
+                    if(!byField) return;
+                    const ids = new Set(items.map(it => it.id));
+                    Object.keys(byField).forEach(f => {
+                        const idx = byField[f];
+                        if(!idx.unique) return;
+                        const seen = new Set();
+                        items.forEach(item => {
+                            const key = this._key(VOTAX._getPath(item, idx.field));
+                            if(key === undefined || key === null) return;
+                            const held = idx.map.get(key);
+                            if(seen.has(key) || (held && Array.from(held).some(id => !ids.has(id)))) {
+                                throw new Error(`unique index violation: ${module}.${idx.field} = ${key}`);
+                            }
+                            seen.add(key);
+                        });
+                    });
+                },
+
+                /**
+                 * Candidate ids for a query from the best fitting index, or null to scan
+                 * @param {string} module - Module name
+                 * @param {Object|Array} filters - Query filters
+                 * @returns {string[]|null} Candidate ids (a superset of the matches)
+                 */
+                _candidates(module, filters) {
+                    const byField = this._indexes[module];
+                    if(!byField || !filters || typeof filters !== 'object') return null;
+                    const clauses = Array.isArray(filters) ? filters : [filters];
+                    let best = null;
+                    clauses.forEach(f => {
+                        if(!f || typeof f !== 'object' || Array.isArray(f)) return;
+                        const crit = ('op' in f || ('field' in f && 'value' in f)) ? [f]
+                            : Object.keys(f).filter(k => k.charAt(0) !== '$').map(k => ({ field: k, op: Array.isArray(f[k]) ? 'in' : 'eq', value: f[k] }));
+                        crit.forEach(c => {
+                            const idx = byField[c.field];
+                            if(!idx) return;
+                            const op = c.op || 'eq';
+                            // null/undefined keys are never indexed, so those clauses are left to the scan
+                            const unindexed = v => v === null || v === undefined;
+                            let ids = null;
+                            if(op === 'eq') ids = unindexed(c.value) ? null : Array.from(idx.map.get(this._key(c.value)) || []);
+                            else if(op === 'in' && Array.isArray(c.value) && !c.value.some(unindexed)) ids = [].concat(...c.value.map(v => Array.from(idx.map.get(this._key(v)) || [])));
+                            else if(idx.type === 'sorted' && ['lt', 'lte', 'gt', 'gte'].indexOf(op) !== -1) ids = this._rangeIds(idx, { [op]: c.value });
+                            else if(idx.type === 'sorted' && op === 'between' && Array.isArray(c.value)) ids = this._rangeIds(idx, { gte: c.value[0], lte: c.value[1] });
+                            if(ids && (!best || ids.length < best.length)) best = ids;
+                        });
+                    });
+                    return best;
+                }
+            },
+
+            /**
+             * Advanced animations (easing, timeline, spring)
+             */
+            Animate: {
+                /**
+                 * Animate to state
+                 * @param {string|HTMLElement} target - Element selector or element
+                 * @param {Object} toProps - Target properties
+                 * @param {number} duration - Duration in seconds
+                 * @param {Object} opts - Options (easing, stagger)
+                 * @returns {Promise} Animation promise
+                 * @example
+                 * VOTAX.Animate.to(el, { x: 100, opacity: 0.5 }, 1, 
+                 *   { easing: VOTAX.Animate.ease.easeOut }
+                 * );
+                 */
+                to(target, toProps = {}, duration = 1, opts = {}){
+                    return VOTAX.Animate._run('to', target, null, toProps, duration, opts);
+                },
+
+                /**
+                 * Animate from state
+                 * @param {string|HTMLElement} target - Element
+                 * @param {Object} fromProps - Starting properties
+                 * @param {number} duration - Duration
+                 * @param {Object} opts - Options
+                 * @returns {Promise} Animation promise
+                 */
+                from(target, fromProps = {}, duration = 1, opts = {}){
+                    return VOTAX.Animate._run('from', target, fromProps, null, duration, opts);
+                },
+
+                /**
+                 * Animate from/to state
+                 * @param {string|HTMLElement} target - Element
+                 * @param {Object} fromProps - Starting properties
+                 * @param {Object} toProps - Target properties
+                 * @param {number} duration - Duration
+                 * @param {Object} opts - Options
+                 * @returns {Promise} Animation promise
+                 */
+                fromTo(target, fromProps = {}, toProps = {}, duration = 1, opts = {}){
+                    return VOTAX.Animate._run('fromTo', target, fromProps, toProps, duration, opts);
+                },
+
+                /**
+                 * Easing functions
+                 * @type {Object}
+                 */
+                ease: {
+                    linear: t => t,
+                    easeIn: t => t * t,
+                    easeOut: t => t * (2 - t),
+                    easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+                    cubicBezier: (x1, y1, x2, y2) => {
+                        return (t) => {
+                            const mt = 1 - t;
+                            return 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t;
+                        };
+                    }
+                },
+
+                /**
+                 * Create animation timeline (sequence)
+                 * @returns {Object} Timeline object with add() and play()
+                 * @example
+                 * VOTAX.Animate.timeline()
+                 *   .add(el, { x: 100 }, 0.5)
+                 *   .add(el, { y: 100 }, 0.5)
+                 *   .play();
+                 */
+                timeline() {
+                    const seq = [];
+                    return {
+                        add(target, props, duration, opts) {
+                            seq.push({ target, props, duration, opts });
+                            return this;
+                        },
+                        play() {
+                            let promise = Promise.resolve();
+                            seq.forEach(({ target, props, duration, opts }) => {
+                                promise = promise.then(() => VOTAX.Animate.to(target, props, duration, opts));
+                            });
+                            return promise;
+                        }
+                    };
+                },
+
+                /**
+                 * Spring physics animation
+                 * @param {string|HTMLElement} target - Element
+                 * @param {Object} fromProps - Starting state
+                 * @param {Object} toProps - Target state
+                 * @param {number} stiffness - Spring stiffness (0-1)
+                 * @param {number} damping - Damping (0-1)
+                 * @returns {Promise} Animation promise
+                 */
+                spring(target, fromProps, toProps, stiffness = 0.1, damping = 0.5) {
+                    return new Promise(resolve => {
+                        const els = VOTAX._resolveTargets(target);
+                        els.forEach(el => {
+                            if(!el.__votax_trans) el.__votax_trans = {x:0,y:0,scale:1,rotate:0};
+                            const state = {};
+                            const velocity = {};
+                            Object.keys(toProps).forEach(k => {
+                                state[k] = fromProps[k] || toProps[k];
+                                velocity[k] = 0;
+                            });
+                            const animate = () => {
+                                let settled = true;
+                                Object.keys(toProps).forEach(k => {
+                                    const target = toProps[k];
+                                    const diff = target - state[k];
+                                    velocity[k] += diff * stiffness;
+                                    velocity[k] *= damping;
+                                    state[k] += velocity[k];
+                                    if(Math.abs(diff) > 0.01) settled = false;
+                                    if(['x','y','scale','rotate'].includes(k)) el.__votax_trans[k] = state[k];
+                                    else el.style[k] = state[k];
+                                });
+                                const tx = el.__votax_trans.x || 0, ty = el.__votax_trans.y || 0;
+                                el.style.transform = `translate(${tx}px, ${ty}px) scale(${el.__votax_trans.scale || 1}) rotate(${el.__votax_trans.rotate || 0}deg)`;
+                                if(!settled) requestAnimationFrame(animate);
+                                else resolve();
+                            };
+                            animate();
+                        });
+                    });
+                }
             },
 
             /**
-             * Register conflict resolution strategy
-             * @param {string} name - Strategy name
-             * @param {Function} fn - Resolution function (local, remote) => merged
+             * Real-time module (cross-tab sync, conflict resolution)
              */
-            registerConflictStrategy(name, fn) {
-                this._conflictStrategies[name] = fn;
+            RealTime: {
+                _syncChannels: {},        // { channelName: [listeners] }
+                _conflictStrategies: {},  // { strategy: fn }
+            
+                /**
+                 * Storage key of a channel, namespaced by the instance prefix
+                 * @param {string} channel - Channel name
+                 * @returns {string} Key
+                 */
+                _channelKey(channel) {
+                    return `${VOTAX.Persistence._prefix}sync:${channel}`;
+                },
+
+                /**
+                 * Broadcast message across tabs (and to this tab's subscribers)
+                 * @param {string} channel - Channel name
+                 * @param {string} event - Event type
+                 * @param {*} data - Event data
+                 */
+                broadcast(channel, event, data) {
+                    const msg = { channel, event, data, timestamp: Date.now() };
+                    if(global.localStorage) global.localStorage.setItem(this._channelKey(channel), JSON.stringify(msg));
+                    this._notifyListeners(channel, event, data);
+                },
+
+                /**
+                 * Call a channel's subscribers, logging (not throwing) their errors
+                 * @param {string} channel - Channel name
+                 * @param {string} event - Event type
+                 * @param {*} data - Event data
+                 */
+                _notifyListeners(channel, event, data) {
+                    (this._syncChannels[channel] || []).slice().forEach(listener => {
+                        try { listener(event, data); }
+                        catch(err) { console.error(err); }
+                    });
+                },
+
+                /**
+                 * Subscribe to channel
+                 * @param {string} channel - Channel name
+                 * @param {Function} listener - Callback (event, data)
+                 * @returns {Function} Unsubscribe function
+                 */
+                subscribe(channel, listener) {
+                    if(!this._syncChannels[channel]) this._syncChannels[channel] = [];
+                    this._syncChannels[channel].push(listener);
+                    const key = this._channelKey(channel);
+                    const handleStorage = (e) => {
+                        if(e.key === key) {
+                            try {
+                                const { event, data } = JSON.parse(e.newValue || '{}');
+                                listener(event, data);
+                            } catch(err) { console.error(err); }
+                        }
+                    };
+                    if(global.addEventListener) global.addEventListener('storage', handleStorage);
+                    return () => {
+                        const list = this._syncChannels[channel] || [];
+                        if(list.indexOf(listener) !== -1) list.splice(list.indexOf(listener), 1);
+                        if(global.removeEventListener) global.removeEventListener('storage', handleStorage);
+                    };
+                },
+
+                /**
+                 * Register conflict resolution strategy
+                 * @param {string} name - Strategy name
+                 * @param {Function} fn - Resolution function (local, remote) => merged
+                 */
+                registerConflictStrategy(name, fn) {
+                    this._conflictStrategies[name] = fn;
+                },
+
+                /**
+                 * Resolve conflict using strategy
+                 * @param {string} strategy - Strategy name
+                 * @param {Object} local - Local version
+                 * @param {Object} remote - Remote version
+                 * @returns {Object} Merged result
+                 */
+                resolveConflict(strategy, local, remote) {
+                    const fn = this._conflictStrategies[strategy] || this._conflictStrategies['last-write-wins'];
+                    return fn(local, remote);
+                }
             },
 
             /**
-             * Resolve conflict using strategy
-             * @param {string} strategy - Strategy name
-             * @param {Object} local - Local version
-             * @param {Object} remote - Remote version
-             * @returns {Object} Merged result
+             * Audit module (opt-in change log fed by CRUD writes)
              */
-            resolveConflict(strategy, local, remote) {
-                const fn = this._conflictStrategies[strategy] || this._conflictStrategies['last-write-wins'];
-                return fn(local, remote);
+            Audit: {
+                /** @type {Array<Object>} */
+                _log: [],
+                /** @type {Function|null} unsubscribe from CRUD changes while enabled */
+                _stop: null,
+                /** @type {{limit:number, persist:boolean, modules:string[]|null}} */
+                _opts: { limit: 10000, persist: false, modules: null },
+                /** @type {number} */
+                _seq: 0,
+                /** @type {boolean} a save is scheduled */
+                _saving: false,
+
+                /**
+                 * Start logging committed changes
+                 * @param {Object} opts - Options (modules: only these, limit: max entries kept
+                 *   (oldest dropped, default 10000), persist: save the log through the storage adapter)
+                 * @example
+                 * VOTAX.Audit.enable({ persist: true });
+                 * VOTAX.setActor('teacher-42');
+                 * VOTAX.CRUD.update('students', id, { grade: 'A' });
+                 * VOTAX.Audit.query({ module: 'students', id });
+                 */
+                enable(opts = {}) {
+                    this.disable();
+                    this._opts = Object.assign({ limit: 10000, persist: false, modules: null }, opts);
+                    this._stop = VOTAX.CRUD._observe((module, type, changes, records) => this._capture(module, type, changes, records));
+                },
+
+                /**
+                 * Stop logging (the log is kept)
+                 */
+                disable() {
+                    if(this._stop) this._stop();
+                    this._stop = null;
+                },
+
+                /**
+                 * Whether logging is on
+                 * @returns {boolean} Enabled state
+                 */
+                isEnabled() {
+                    return !!this._stop;
+                },
+
+                /**
+                 * Run writes with a source other than 'local' (e.g. changes received from a server)
+                 * @param {string} source - Source name ('remote', ...)
+                 * @param {Function} fn - Synchronous callback
+                 * @returns {*} Return value of fn
+                 * @example
+                 * VOTAX.RealTime.subscribe('students', (event, item) => {
+                 *   VOTAX.Audit.withSource('remote', () => VOTAX.CRUD.update('students', item.id, item));
+                 * });
+                 */
+                withSource(source, fn) {
+                    return VOTAX._withSource(source, fn);
+                },
+
+                /**
+                 * Query the change log (oldest first)
+                 * @param {Object} filter - Filter (module, id, from, to: timestamps or dates,
+                 *   actor, source, type, limit: newest n)
+                 * @returns {Array<AuditEntry>} Entries
+                 * @example
+                 * VOTAX.Audit.query({ module: 'students', from: Date.now() - 86400000 });
+                 */
+                query(filter = {}) {
+                    const time = (t) => t instanceof Date ? t.getTime() : typeof t === 'string' ? Date.parse(t) : t;
+                    const from = time(filter.from), to = time(filter.to);
+                    const actorKey = (a) => a && typeof a === 'object' ? a.id : a;
+                    let list = this._log.filter(e =>
+                        (filter.module === undefined || e.module === filter.module) &&
+                        (filter.id === undefined || e.id === filter.id) &&
+                        (from === undefined || e.timestamp >= from) &&
+                        (to === undefined || e.timestamp <= to) &&
+                        (filter.actor === undefined || actorKey(e.actor) === actorKey(filter.actor)) &&
+                        (filter.source === undefined || e.source === filter.source) &&
+                        (filter.type === undefined || e.type === filter.type));
+                    if(filter.limit) list = list.slice(-filter.limit);
+                    return VOTAX._cloneDeep(list);
+                },
+
+                /**
+                 * Clear the change log
+                 */
+                clear() {
+                    this._log = [];
+                    if(this._opts.persist) this._schedule();
+                },
+
+                /**
+                 * Save the log through the current storage adapter
+                 * @returns {boolean|Promise<boolean>} Success status
+                 */
+                save() {
+                    const P = VOTAX.Persistence;
+                    return P._settle('save', '__audit', () => {
+                        const adapter = P._resolveAdapter();
+                        return P._then(P._seal(this._log), log => P._then(adapter.set(`${P._prefix}__audit`, log), () => true));
+                    }, false);
+                },
+
+                /**
+                 * Load a saved log (replaces the in-memory log)
+                 * @returns {boolean|Promise<boolean>} Success status
+                 */
+                load() {
+                    const P = VOTAX.Persistence;
+                    return P._settle('load', '__audit', () => {
+                        const adapter = P._resolveAdapter();
+                        return P._then(P._then(adapter.get(`${P._prefix}__audit`), raw => P._open(raw)), log => {
+                            if(!Array.isArray(log)) return false;
+                            this._log = log;
+                            this._seq = log.reduce((n, e) => Math.max(n, e.seq || 0), this._seq);
+                            return true;
+                        });
+                    }, false);
+                },
+
+                /**
+                 * Turn one change notification into log entries
+                 * @param {string} module - Module name
+                 * @param {string} type - Change type
+                 * @param {Array|null} changes - Changed records
+                 * @param {Array} records - Record-level changes of a whole-module change (undo, redo,
+                 *   clear, restore); logged like writes, with the change type as `cause`
+                 */
+                _capture(module, type, changes, records) {
+                    if(this._opts.modules && !this._opts.modules.includes(module)) return;
+                    const base = { module, actor: VOTAX._actor === null ? null : VOTAX._cloneDeep(VOTAX._actor), source: VOTAX._source };
+                    const timestamp = Date.now();
+                    if(!changes && !records) {
+                        this._log.push(Object.assign({ seq: ++this._seq, timestamp, type, id: null, diff: null }, base));
+                    } else {
+                        const cause = changes ? {} : { cause: type };
+                        (changes || records).forEach(c => {
+                            const kind = !c.before ? 'add' : !c.after ? 'remove' : 'update';
+                            const diff = this._diff(c.before || {}, c.after || {});
+                            if(kind === 'update' && !diff.length) return;
+                            this._log.push(Object.assign({ seq: ++this._seq, timestamp, type: kind, id: c.id, diff }, cause, base));
+                        });
+                    }
+                    if(this._log.length > this._opts.limit) this._log.splice(0, this._log.length - this._opts.limit);
+                    if(this._opts.persist) this._schedule();
+                },
+
+                /**
+                 * Field-level diff between two records (nested objects by dotted path, arrays as values)
+                 * @param {Object} before - Old record
+                 * @param {Object} after - New record
+                 * @param {string} prefix - Path prefix
+                 * @returns {Array<{path:string, from:*, to:*}>} Changed fields
+                 */
+                _diff(before, after, prefix = '') {
+                    const out = [];
+                    const plain = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+                    new Set(Object.keys(before).concat(Object.keys(after))).forEach(k => {
+                        const path = prefix ? `${prefix}.${k}` : k;
+                        const a = before[k], b = after[k];
+                        if(plain(a) && plain(b)) { out.push(...this._diff(a, b, path)); return; }
+                        if(JSON.stringify(a) !== JSON.stringify(b)) {
+                            out.push({ path, from: a === undefined ? undefined : VOTAX._cloneDeep(a), to: b === undefined ? undefined : VOTAX._cloneDeep(b) });
+                        }
+                    });
+                    return out;
+                },
+
+                /**
+                 * Save the log once the current burst of writes is over
+                 */
+                _schedule() {
+                    if(this._saving) return;
+                    this._saving = true;
+                    Promise.resolve().then(() => {
+                        this._saving = false;
+                        return this.save();
+                    });
+                }
             }
-        }
-    };
+        };
+
+        // setup default conflict strategies (after VOTAX object definition)
+        VOTAX.RealTime._conflictStrategies['last-write-wins'] = (local, remote) => remote;
+        VOTAX.RealTime._conflictStrategies['local-wins'] = (local, remote) => local;
+        VOTAX.RealTime._conflictStrategies['merge'] = (local, remote) => Object.assign({}, local, remote);
+
+        // built-in storage adapters
+        VOTAX.Persistence.registerAdapter('local', VOTAX.Persistence.adapters.localStorage());
+        VOTAX.Persistence.registerAdapter('session', VOTAX.Persistence.adapters.sessionStorage());
+        VOTAX.Persistence.registerAdapter('memory', VOTAX.Persistence.adapters.memory());
+        VOTAX.Persistence.registerAdapter('idb', VOTAX.Persistence.adapters.indexedDB());
+
+        // keep full-text indexes in sync with every write (including transactions and rollbacks)
+        VOTAX.CRUD._observe((m, type, changes) => VOTAX.CRUD._searchSync(m, type, changes), { immediate: true });
+
+        // keep the cross-module code index in sync
+        VOTAX.CRUD._observe((m, type, changes) => VOTAX._codeSync(m, type, changes), { immediate: true });
+
+        // drop cached computed values whose inputs changed
+        VOTAX.CRUD._observe((m, type, changes) => VOTAX.CRUD._computedSync(m, type, changes), { immediate: true });
+
+        // keep secondary indexes in sync with every write
+        VOTAX.CRUD._observe((m, type, changes) => VOTAX.Performance._sync(m, type, changes), { immediate: true });
 
-    // setup default conflict strategies (after VOTAX object definition)
-    VOTAX.RealTime._conflictStrategies = VOTAX.RealTime._conflictStrategies || {};
-    VOTAX.RealTime._conflictStrategies['last-write-wins'] = (local, remote) => remote;
-    VOTAX.RealTime._conflictStrategies['local-wins'] = (local, remote) => local;
-    VOTAX.RealTime._conflictStrategies['merge'] = (local, remote) => Object.assign({}, local, remote);
+        // DOM-dependent namespaces fail gracefully outside the browser main thread
+        VOTAX._guardDOM('UI');
+        VOTAX._guardDOM('Images', { async: true });
+        VOTAX._guardDOM('Animate', { async: true, pure: ['timeline'] });
 
-    // expose
-    if(!global.VOTAX) global.VOTAX = VOTAX;
-    if(typeof module !== 'undefined' && module.exports) module.exports = VOTAX;
+        VOTAX.createStore = createStore;
+        return VOTAX;
+    }
 
-})(window);
+    // default instance
+    return createStore();
+});
@@ -0,0 +1,5 @@
+// VOTAX Library v3.0.0 — ES module entry (wraps the UMD build in votax.js)
+import VOTAX from './votax.js';
+
+export const createStore = VOTAX.createStore;
+export default VOTAX;